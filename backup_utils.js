@@ -0,0 +1,316 @@
+/**
+ * backup_utils.js
+ *
+ * Sauvegarde / restauration complète (réglages + données) dans un seul fichier JSON versionné :
+ * - SECTIONS : groupes de clés sauvegardables (réglages, migration, compte MangaDex, auto-match,
+ *   dernier export) ; les clés d'état éphémère (annulations, batch en cours, session) n'y sont pas
+ * - buildBackup() : { format, version, createdAt, manifest: { sections, secretsIncluded }, data }
+ *   les secrets (SECRET_FIELDS) sont retirés sauf opt-in explicite
+ * - validateBackup() : contrôle du format puis de chaque valeur (config : settings_schema.js)
+ * - previewRestore() / planRestore() : aperçu puis écritures à faire, par section
+ *   ("skip" | "merge" | "replace")
+ *
+ * Le fichier peut être compressé (gzip, CompressionStream) : isGzip() reconnaît l'en-tête.
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./settings_schema.js"));
+  } else {
+    root.MP_BACKUP_UTILS = factory(root.MP_SETTINGS_SCHEMA);
+  }
+})(typeof self !== "undefined" ? self : this, function (SCHEMA) {
+  const FORMAT = "mangapark-image-fix-backup";
+  const BACKUP_VERSION = 1;
+
+  const SECTIONS = [
+    { id: "settings", keys: Object.keys(SCHEMA.CONFIG_FIELDS) },
+    { id: "migration", keys: ["mp_migrate_state"] },
+    { id: "mangadex", keys: ["md_auth_settings", "md_follow_settings"] },
+    { id: "matches", keys: ["md_match_state", "md_match_results"] },
+    { id: "export", keys: ["mp_export_follows", "mp_export_partial"] },
+  ];
+
+  // Fields left out of a backup unless the user opts in
+  const SECRET_FIELDS = { md_auth_settings: ["clientSecret"] };
+
+  const RESTORE_MODES = ["skip", "merge", "replace"];
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  function isExportPayload(v) {
+    return isPlainObject(v) && Array.isArray(v.items);
+  }
+
+  // Shape checks for the non-config keys (config keys: SCHEMA.validateConfigValue)
+  const VALUE_CHECKS = {
+    mp_migrate_state: isPlainObject,
+    md_auth_settings: isPlainObject,
+    md_follow_settings: isPlainObject,
+    md_match_state: isPlainObject,
+    md_match_results: Array.isArray,
+    mp_export_follows: isExportPayload,
+    mp_export_partial: isExportPayload,
+  };
+
+  function clone(v) {
+    return JSON.parse(JSON.stringify(v));
+  }
+
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function getSection(id) {
+    return SECTIONS.find((s) => s.id === id) || null;
+  }
+
+  /** @returns {string[]} every key a backup may contain */
+  function allKeys() {
+    return SECTIONS.flatMap((s) => s.keys);
+  }
+
+  function stripSecrets(key, value) {
+    const fields = SECRET_FIELDS[key];
+    if (!fields || !isPlainObject(value)) return value;
+    const out = { ...value };
+    for (const field of fields) delete out[field];
+    return out;
+  }
+
+  function hasSecrets(data) {
+    for (const [key, fields] of Object.entries(SECRET_FIELDS)) {
+      for (const section of Object.values(data)) {
+        const value = section[key];
+        if (isPlainObject(value) && fields.some((f) => value[f])) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {object} values current stored values (getFromStorage(allKeys()))
+   * @param {{ sections?: string[], includeSecrets?: boolean, createdAt?: string,
+   *  extensionVersion?: string }} [opts] sections defaults to all of them
+   * @returns {object} backup document (JSON-serializable)
+   */
+  function buildBackup(values, opts = {}) {
+    const wanted = Array.isArray(opts.sections) ? opts.sections : SECTIONS.map((s) => s.id);
+    const src = values || {};
+    const data = {};
+    const sections = [];
+    for (const section of SECTIONS) {
+      if (!wanted.includes(section.id)) continue;
+      const entries = {};
+      for (const key of section.keys) {
+        if (src[key] == null) continue;
+        const value = clone(src[key]);
+        entries[key] = opts.includeSecrets ? value : stripSecrets(key, value);
+      }
+      data[section.id] = entries;
+      sections.push({ id: section.id, keys: Object.keys(entries) });
+    }
+    return {
+      format: FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: opts.createdAt || new Date().toISOString(),
+      extensionVersion: String(opts.extensionVersion || ""),
+      schemaVersion: SCHEMA.SCHEMA_VERSION,
+      manifest: { sections, secretsIncluded: hasSecrets(data) },
+      data,
+    };
+  }
+
+  function validateValue(key, value) {
+    if (key in SCHEMA.CONFIG_FIELDS) return SCHEMA.validateConfigValue(key, value);
+    const check = VALUE_CHECKS[key];
+    return check && check(value) ? { ok: true, value } : { ok: false, value: undefined };
+  }
+
+  /**
+   * @param {string|object} input file text or parsed JSON
+   * @returns {{ ok: boolean, error: string, backup: object|null, warnings: string[] }}
+   *  error: "not_json" | "wrong_format" | "unsupported_version" | "no_sections";
+   *  backup = normalized copy (unknown sections / keys and invalid values dropped, see warnings)
+   */
+  function validateBackup(input) {
+    const warnings = [];
+    const fail = (error) => ({ ok: false, error, backup: null, warnings });
+    let doc = input;
+    if (typeof input === "string") {
+      try {
+        doc = JSON.parse(input);
+      } catch {
+        return fail("not_json");
+      }
+    }
+    if (!isPlainObject(doc) || doc.format !== FORMAT) return fail("wrong_format");
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > BACKUP_VERSION) {
+      return fail("unsupported_version");
+    }
+
+    const listed = Array.isArray(doc.manifest?.sections) ? doc.manifest.sections : [];
+    const rawData = isPlainObject(doc.data) ? doc.data : {};
+    const data = {};
+    const sections = [];
+    for (const entry of listed) {
+      const id = isPlainObject(entry) ? String(entry.id || "") : "";
+      const section = getSection(id);
+      if (!section || id in data) {
+        warnings.push(`${id || "?"}: unknown section ignored`);
+        continue;
+      }
+      const raw = isPlainObject(rawData[id]) ? rawData[id] : {};
+      const entries = {};
+      for (const [key, value] of Object.entries(raw)) {
+        if (!section.keys.includes(key)) {
+          warnings.push(`${id}.${key}: unknown key ignored`);
+          continue;
+        }
+        const res = validateValue(key, value);
+        if (!res.ok) {
+          warnings.push(`${id}.${key}: invalid value ignored`);
+          continue;
+        }
+        entries[key] = clone(res.value);
+      }
+      data[id] = entries;
+      sections.push({ id, keys: Object.keys(entries) });
+    }
+    if (!sections.length) return fail("no_sections");
+
+    const backup = {
+      format: FORMAT,
+      version: doc.version,
+      createdAt: typeof doc.createdAt === "string" ? doc.createdAt : "",
+      extensionVersion: typeof doc.extensionVersion === "string" ? doc.extensionVersion : "",
+      schemaVersion: Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : null,
+      manifest: { sections, secretsIncluded: hasSecrets(data) },
+      data,
+    };
+    return { ok: true, error: "", backup, warnings };
+  }
+
+  /**
+   * @param {Uint8Array|ArrayBuffer} bytes
+   * @returns {boolean} gzip magic number (1f 8b)
+   */
+  function isGzip(bytes) {
+    const b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || []);
+    return b.length >= 2 && b[0] === 0x1f && b[1] === 0x8b;
+  }
+
+  // Titles / results / fields: what a user would call "items" for a value
+  function countItems(value) {
+    if (value == null) return 0;
+    if (Array.isArray(value)) return value.length;
+    if (isExportPayload(value)) return value.items.length;
+    return 1;
+  }
+
+  /**
+   * @param {object} backup validateBackup().backup
+   * @param {object} current current stored values of allKeys()
+   * @returns {{ id: string, keys: string[], incoming: number, current: number }[]}
+   */
+  function previewRestore(backup, current) {
+    const cur = current || {};
+    return backup.manifest.sections.map(({ id, keys }) => {
+      const entries = backup.data[id] || {};
+      const section = getSection(id);
+      return {
+        id,
+        keys: keys.slice(),
+        incoming: keys.reduce((n, key) => n + countItems(entries[key]), 0),
+        current: section.keys.reduce((n, key) => n + countItems(cur[key]), 0),
+      };
+    });
+  }
+
+  function exportItemKey(item) {
+    if (!isPlainObject(item)) return "";
+    return String(item.comic_id || item.mangapark_url || "");
+  }
+
+  function mergeExport(cur, incoming) {
+    const seen = new Set(cur.items.map(exportItemKey).filter(Boolean));
+    const items = cur.items.slice();
+    for (const item of incoming.items) {
+      const key = exportItemKey(item);
+      if (key && seen.has(key)) continue;
+      if (key) seen.add(key);
+      items.push(item);
+    }
+    const meta = { ...(incoming.meta || {}), ...(cur.meta || {}), total_items: items.length };
+    return { ...cur, meta, items };
+  }
+
+  /**
+   * Merge = the current value wins; the backup only fills what is missing
+   * (whitelist entries, export titles, object fields). md_match_results is index-aligned with
+   * the current export: kept as is.
+   */
+  function mergeValue(key, cur, incoming) {
+    if (cur == null) return incoming;
+    if (key === "whitelist" && Array.isArray(cur) && Array.isArray(incoming)) {
+      return cur.concat(incoming.filter((entry) => !cur.includes(entry)));
+    }
+    if (isExportPayload(cur) && isExportPayload(incoming)) return mergeExport(cur, incoming);
+    if (isPlainObject(cur) && isPlainObject(incoming)) return { ...incoming, ...cur };
+    return cur;
+  }
+
+  /**
+   * @param {object} backup validateBackup().backup
+   * @param {object} current current stored values of allKeys()
+   * @param {Object<string, string>} choices section id => "skip" | "merge" | "replace"
+   * @returns {{ items: object, sections: string[] }} items for setToStorage() (null = remove);
+   *  replace also clears the section keys missing from the backup. A backup without secrets
+   *  keeps the current ones.
+   */
+  function planRestore(backup, current, choices) {
+    const cur = current || {};
+    const items = {};
+    const sections = [];
+    for (const { id } of backup.manifest.sections) {
+      const mode = RESTORE_MODES.includes(choices?.[id]) ? choices[id] : "skip";
+      if (mode === "skip") continue;
+      const entries = backup.data[id] || {};
+      for (const key of getSection(id).keys) {
+        const incoming = entries[key];
+        let next;
+        if (mode === "replace") {
+          next = incoming === undefined ? null : clone(incoming);
+          const fields = SECRET_FIELDS[key] || [];
+          if (!backup.manifest.secretsIncluded && isPlainObject(next) && isPlainObject(cur[key])) {
+            for (const f of fields) if (cur[key][f] !== undefined) next[f] = cur[key][f];
+          }
+        } else {
+          if (incoming === undefined) continue;
+          next = mergeValue(key, cur[key] == null ? null : clone(cur[key]), clone(incoming));
+        }
+        if (next === null ? cur[key] != null : !sameValue(next, cur[key])) items[key] = next;
+      }
+      sections.push(id);
+    }
+    return { items, sections };
+  }
+
+  return {
+    FORMAT,
+    BACKUP_VERSION,
+    SECTIONS,
+    SECRET_FIELDS,
+    RESTORE_MODES,
+    allKeys,
+    buildBackup,
+    validateBackup,
+    isGzip,
+    previewRestore,
+    planRestore,
+  };
+});
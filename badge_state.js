@@ -0,0 +1,132 @@
+/**
+ * badge_state.js
+ *
+ * Badge de la barre d'outils calculé à partir de l'état (service worker) :
+ * - globalBadge() : tâches en cours d'abord (export des follows en %, suivi MangaDex en
+ *   arrière-plan en %), sinon OFF / ON / DBG ; export en pause ou en erreur => couleur
+ *   d'avertissement ; un état "running" figé depuis STALE_TASK_MS est ignoré
+ * - tabBadge() : par onglet, pause ("II") avant tout, puis les tâches globales, puis miroir
+ *   suspect ("?"), puis les compteurs d'images envoyés par content.js (encore cassées en
+ *   avertissement, sinon patchées)
+ * - chaque badge porte titleKey / titleSubs (i18n, infobulle de l'icône)
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_BADGE_STATE = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const COLORS = {
+    on: [25, 135, 84, 255],
+    off: [220, 53, 69, 255],
+    debug: [13, 110, 253, 255],
+    warning: [253, 126, 20, 255],
+    export: [13, 110, 253, 255],
+    follow: [111, 66, 193, 255],
+  };
+
+  const PAUSED_TEXT = "II";
+  const SUSPECT_TEXT = "?";
+  const ERROR_TEXT = "!";
+  // Badges fit ~4 characters
+  const MAX_COUNT = 999;
+  // A "running" state not updated for this long was left by a closed tab / dead runner.
+  const STALE_TASK_MS = 10 * 60 * 1000;
+
+  function badge(text, color, titleKey, titleSubs = []) {
+    return { text, color, titleKey, titleSubs };
+  }
+
+  function countText(n) {
+    const v = Math.max(0, Math.floor(Number(n) || 0));
+    return v > MAX_COUNT ? `${MAX_COUNT}+` : String(v);
+  }
+
+  function percent(done, total) {
+    const d = Number(done);
+    const t = Number(total);
+    if (!Number.isFinite(d) || !Number.isFinite(t) || t <= 0) return null;
+    return Math.max(0, Math.min(100, Math.floor((d / t) * 100)));
+  }
+
+  /**
+   * @param {object|null} st mp_export_state
+   * @returns {number} 0-100; titles known => collected / total, else pages
+   */
+  function exportPercent(st) {
+    if (!st || typeof st !== "object") return 0;
+    const byItems = percent(st.collected, st.total);
+    if (byItems !== null) return byItems;
+    return percent(st.page, st.pages) || 0;
+  }
+
+  function isActive(st, status, now) {
+    if (!st || typeof st !== "object" || st.status !== status) return false;
+    const at = Date.parse(st.updated_at || "");
+    return !Number.isFinite(at) || !Number.isFinite(now) || now - at < STALE_TASK_MS;
+  }
+
+  /**
+   * @param {{ cfg: { enabled: boolean, debug: boolean }, exportState?: object|null,
+   *  batchState?: object|null, now?: number }} ctx
+   * @returns {{ text: string, color: number[], titleKey: string, titleSubs: string[] }}
+   */
+  function globalBadge({ cfg, exportState, batchState, now } = {}) {
+    if (isActive(exportState, "running", now)) {
+      const pct = String(exportPercent(exportState));
+      return badge(`${pct}%`, COLORS.export, "badgeTitleExportRunning", [pct]);
+    }
+    if (exportState?.status === "paused") {
+      const pct = String(exportPercent(exportState));
+      return badge(`${pct}%`, COLORS.warning, "badgeTitleExportPaused", [pct]);
+    }
+    if (isActive(batchState, "running", now)) {
+      const pct = String(percent(batchState.done, batchState.total) || 0);
+      return badge(`${pct}%`, COLORS.follow, "badgeTitleFollow", [pct]);
+    }
+    if (exportState?.status === "error") {
+      return badge(ERROR_TEXT, COLORS.warning, "badgeTitleExportError");
+    }
+    if (!cfg?.enabled) return badge("OFF", COLORS.off, "badgeTitleOff");
+    if (cfg.debug) return badge("DBG", COLORS.debug, "badgeTitleDebug");
+    return badge("ON", COLORS.on, "badgeTitleOn");
+  }
+
+  /**
+   * @param {Parameters<typeof globalBadge>[0]} ctx
+   * @param {{ paused?: boolean, suspect?: { dismissed?: boolean }|null,
+   *  stats?: { patched: number, broken: number }|null }} tab
+   * @returns {ReturnType<typeof globalBadge>}
+   */
+  function tabBadge(ctx, tab = {}) {
+    if (tab.paused) return badge(PAUSED_TEXT, COLORS.warning, "badgeTitlePaused");
+    const global = globalBadge(ctx);
+    // Tasks, export errors and OFF concern every tab
+    if (global.text !== "ON" && global.text !== "DBG") return global;
+    if (tab.suspect && !tab.suspect.dismissed) {
+      return badge(SUSPECT_TEXT, COLORS.warning, "badgeTitleSuspect");
+    }
+    const patched = Math.max(0, Number(tab.stats?.patched) || 0);
+    const broken = Math.max(0, Number(tab.stats?.broken) || 0);
+    const subs = [String(patched), String(broken)];
+    if (broken) return badge(countText(broken), COLORS.warning, "badgeTitleImages", subs);
+    if (patched) return badge(countText(patched), global.color, "badgeTitleImages", subs);
+    return global;
+  }
+
+  return {
+    COLORS,
+    PAUSED_TEXT,
+    SUSPECT_TEXT,
+    ERROR_TEXT,
+    STALE_TASK_MS,
+    countText,
+    exportPercent,
+    globalBadge,
+    tabBadge,
+  };
+});
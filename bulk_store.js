@@ -0,0 +1,201 @@
+/* global chrome */
+
+/**
+ * bulk_store.js
+ *
+ * Stockage IndexedDB des gros jeux de données (export des follows, snapshot partiel, résultats
+ * d'auto-match MangaDex ; voir BULK_KEYS dans settings_schema.js) : pas de quota par clé comme
+ * chrome.storage.sync, pas de sérialisation JSON à chaque écriture.
+ *
+ * - Base de l'origine de l'extension : partagée par le popup, migrate.html et le service worker.
+ *   Les content scripts (mp_export_runner.js) n'y ont pas accès : ils passent par le service
+ *   worker (messages MP_FIX_BULK_GET / MP_FIX_BULK_SET).
+ * - IndexedDB n'émet pas chrome.storage.onChanged : chaque écriture pose un marqueur
+ *   { keys, at } dans chrome.storage.local (CHANGED_KEY), à relire via changedKeys().
+ * - Valeur null / undefined => clé supprimée (même usage que les setToStorage() existants).
+ *
+ * API callback-safe (ne lève jamais) : { ok, error, data? }.
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_BULK_STORE = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const DB_NAME = "mp_fix_bulk";
+  const DB_VERSION = 1;
+  const STORE_NAME = "datasets";
+  const CHANGED_KEY = "mp_bulk_changed";
+
+  function toKeyList(keys) {
+    return (Array.isArray(keys) ? keys : [keys]).filter((k) => typeof k === "string" && k);
+  }
+
+  function storageAreaSet(area, items) {
+    return new Promise((resolve) => {
+      try {
+        area.set(items, () => resolve());
+      } catch {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * @param {{ indexedDB: IDBFactory|null, storageArea?: chrome.storage.StorageArea|null }} deps
+   *  storageArea receives the change marker (chrome.storage.local)
+   */
+  function createBulkStore({ indexedDB, storageArea } = {}) {
+    let dbPromise = null;
+
+    function openDb() {
+      return new Promise((resolve) => {
+        try {
+          if (!indexedDB) return resolve({ ok: false, error: "indexeddb_unavailable" });
+          const req = indexedDB.open(DB_NAME, DB_VERSION);
+          req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME);
+          };
+          req.onsuccess = () => {
+            const db = req.result;
+            // Another context upgrades the schema => release the connection, reopen on next call.
+            db.onversionchange = () => {
+              try {
+                db.close();
+              } catch {
+                // no-op
+              }
+              dbPromise = null;
+            };
+            resolve({ ok: true, db });
+          };
+          req.onerror = () => resolve({ ok: false, error: String(req.error || "open_failed") });
+          req.onblocked = () => resolve({ ok: false, error: "open_blocked" });
+        } catch (e) {
+          resolve({ ok: false, error: String(e) });
+        }
+      });
+    }
+
+    async function getDb() {
+      if (!dbPromise) dbPromise = openDb();
+      const res = await dbPromise;
+      if (!res.ok) dbPromise = null;
+      return res;
+    }
+
+    /**
+     * @param {"readonly"|"readwrite"} mode
+     * @param {(store: IDBObjectStore) => any} fn queues requests; its return value is the result
+     * @returns {Promise<{ ok: boolean, error: string, result?: any }>} settled on transaction end
+     */
+    async function withStore(mode, fn) {
+      const opened = await getDb();
+      if (!opened.ok) return { ok: false, error: opened.error };
+      return new Promise((resolve) => {
+        try {
+          const tx = opened.db.transaction(STORE_NAME, mode);
+          const result = fn(tx.objectStore(STORE_NAME));
+          const fail = (fallback) => resolve({ ok: false, error: String(tx.error || fallback) });
+          tx.oncomplete = () => resolve({ ok: true, error: "", result });
+          tx.onerror = () => fail("transaction_failed");
+          tx.onabort = () => fail("transaction_aborted");
+        } catch (e) {
+          resolve({ ok: false, error: String(e) });
+        }
+      });
+    }
+
+    async function markChanged(keys) {
+      if (!storageArea || !keys.length) return;
+      await storageAreaSet(storageArea, { [CHANGED_KEY]: { keys, at: Date.now() } });
+    }
+
+    /**
+     * @param {string|string[]} keys
+     * @returns {Promise<{ ok: boolean, error: string, data: object }>} missing keys are omitted
+     */
+    async function get(keys) {
+      const list = toKeyList(keys);
+      if (!list.length) return { ok: true, error: "", data: {} };
+      const res = await withStore("readonly", (store) => {
+        const data = {};
+        for (const key of list) {
+          const req = store.get(key);
+          req.onsuccess = () => {
+            if (req.result !== undefined) data[key] = req.result;
+          };
+        }
+        return data;
+      });
+      return { ok: res.ok, error: res.error, data: res.ok ? res.result : {} };
+    }
+
+    /**
+     * @param {object} items null / undefined values delete their key
+     * @returns {Promise<{ ok: boolean, error: string }>}
+     */
+    async function set(items) {
+      const entries = Object.entries(items && typeof items === "object" ? items : {});
+      if (!entries.length) return { ok: true, error: "" };
+      const res = await withStore("readwrite", (store) => {
+        for (const [key, value] of entries) {
+          if (value == null) store.delete(key);
+          else store.put(value, key);
+        }
+      });
+      if (res.ok) await markChanged(entries.map(([key]) => key));
+      return { ok: res.ok, error: res.error };
+    }
+
+    /**
+     * @param {string|string[]} keys
+     * @returns {Promise<{ ok: boolean, error: string }>}
+     */
+    async function remove(keys) {
+      const list = toKeyList(keys);
+      return set(Object.fromEntries(list.map((key) => [key, null])));
+    }
+
+    return { get, set, remove };
+  }
+
+  /**
+   * Bulk keys written since the last event, from a chrome.storage.onChanged payload.
+   * @param {object} changes
+   * @returns {string[]}
+   */
+  function changedKeys(changes) {
+    const next = changes && changes[CHANGED_KEY] ? changes[CHANGED_KEY].newValue : null;
+    return next && Array.isArray(next.keys) ? next.keys.slice() : [];
+  }
+
+  // Store of the current context (extension page / service worker), created on first use.
+  let defaultStore = null;
+
+  function getDefaultStore() {
+    if (!defaultStore) {
+      defaultStore = createBulkStore({
+        indexedDB: typeof indexedDB !== "undefined" ? indexedDB : null,
+        storageArea: typeof chrome !== "undefined" ? chrome?.storage?.local || null : null,
+      });
+    }
+    return defaultStore;
+  }
+
+  return {
+    DB_NAME,
+    STORE_NAME,
+    CHANGED_KEY,
+    createBulkStore,
+    changedKeys,
+    get: (keys) => getDefaultStore().get(keys),
+    set: (items) => getDefaultStore().set(items),
+    remove: (keys) => getDefaultStore().remove(keys),
+  };
+});
@@ -3,58 +3,58 @@
 /**
  * content.js (publishable)
  *
- * Auto-run UNIQUEMENT sur les domaines par défaut listés dans manifest.json.
+ * Auto-run UNIQUEMENT sur les domaines par défaut listés dans manifest.json, et sur les domaines
+ * ajoutés à la whitelist dont l'accès a été accordé (enregistrement dynamique, service worker).
  * La logique de patch réelle est dans injected_patch.js (window.__MP_IMAGE_FIX__).
  *
  * Règles :
- * - Lecture config async (storage.sync, fallback local)
- * - Ne rien faire si disabled ou si domaine non autorisé
- * - Appliquer les changements en temps réel via chrome.storage.onChanged
+ * - Lecture config async (storage.sync, fallback local) ; clés, défauts et validation :
+ *   settings_schema.js (rewriteRules null => règles par défaut du patcher)
+ * - Ne rien faire si disabled ou si page non autorisée (whitelist.js : exclusions, chemins),
+ *   réévalué lors des navigations SPA
+ * - fixMode "network" : redirections DNR uniquement (service worker), pas de patch DOM ; sauf
+ *   sur les hosts autorisés sur certains chemins seulement (règles DNR par host => patch DOM)
+ * - Pause de l'onglet ("pause here", storage.session côté service worker) : patcher arrêté
+ *   sans toucher à la config globale ; état demandé au démarrage, poussé ensuite par le SW
+ * - Appliquer les changements de config en temps réel via chrome.storage.onChanged (les autres
+ *   clés, écrites en continu : export, compteurs, santé des hosts, sont ignorées)
+ * - Transmet enabled/règles à main_world_patch.js (monde MAIN) via CustomEvent (detail JSON)
+ * - Status popup (MP_FIX_GET_STATUS) : compteurs images patchées / encore cassées ; MP_FIX_RETRY_BROKEN
+ * - Badge de l'onglet : ces compteurs sont envoyés au service worker (MP_FIX_TAB_STATS) quand
+ *   ils changent, depuis la frame principale seulement
+ * - Menu contextuel image (MP_FIX_IMAGE_ACTION, envoyé par le service worker à la frame cliquée) :
+ *   délégué au patcher, résultat affiché dans un toast (copie presse-papiers ici)
  * - Zéro exception non catchée
  */
 
 (function () {
   const PATCHER_NS = "__MP_IMAGE_FIX__";
+  // Canal avec main_world_patch.js (option "Intercept before load")
+  const MAIN_CONFIG_EVENT = "mp-fix:main-config";
+  const MAIN_READY_EVENT = "mp-fix:main-ready";
+  const TOAST_ID = "mp-fix-toast";
+  const TOAST_DURATION_MS = 2500;
+
+  // Réglages : clés, défauts et validation partagés (settings_schema.js, chargé avant ce fichier)
+  const SCHEMA = typeof self !== "undefined" ? self.MP_SETTINGS_SCHEMA : null;
+  if (!SCHEMA) return;
   // If sync storage is readable but not writable (quota / policy / transient), popup.js stores a marker locally.
   // Content script must respect it so debug/enabled stay consistent on this device.
-  const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
-
-  const DEFAULT_WHITELIST = [
-    "mangapark.*",
-    "comicpark.*",
-    "readpark.*",
-    "parkmanga.*",
-    "mpark.*",
-  ];
-
-  const DEFAULT_CONFIG = {
-    enabled: true,
-    debug: false,
-    whitelist: DEFAULT_WHITELIST,
-  };
-
-  function escapeRegExp(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  }
-
-  function isHostAllowed(hostname, whitelist) {
-    const host = String(hostname || "").toLowerCase();
-    if (!host) return false;
-
-    for (const entry of whitelist || []) {
-      const e = String(entry || "").trim().toLowerCase();
-      if (!e) continue;
-
-      if (e.endsWith(".*")) {
-        const base = e.slice(0, -2);
-        const re = new RegExp(`(^|\\.)${escapeRegExp(base)}\\.[^.]+$`, "i");
-        if (re.test(host)) return true;
-        continue;
-      }
-      const re = new RegExp(`(^|\\.)${escapeRegExp(e)}$`, "i");
-      if (re.test(host)) return true;
-    }
-    return false;
+  const CONFIG_STORAGE_MODE_KEY = SCHEMA.CONFIG_STORAGE_MODE_KEY; // "sync" | "local"
+  const CONFIG_KEYS = Object.keys(SCHEMA.CONFIG_FIELDS);
+
+  // Matcher partagé (whitelist.js, chargé avant ce fichier) : exclusions, sous-domaines, chemins
+  const WHITELIST = typeof self !== "undefined" ? self.MP_WHITELIST : null;
+
+  function isPageAllowed(whitelist) {
+    if (!WHITELIST) return false;
+    return WHITELIST.isUrlAllowed(window.location, whitelist);
+  }
+
+  // Network-only: the service worker only installs rules for hosts allowed on every path.
+  function isNetworkOnly(cfg) {
+    if (cfg.fixMode !== "network" || !WHITELIST) return false;
+    return WHITELIST.isHostWideAllowed(window.location.hostname, cfg.whitelist);
   }
 
   function getChromeLastErrorMessage() {
@@ -79,31 +79,8 @@
     });
   }
 
-  function applyDefaults(partial) {
-    const cfg = {
-      enabled:
-        typeof partial.enabled === "boolean"
-          ? partial.enabled
-          : DEFAULT_CONFIG.enabled,
-      debug:
-        typeof partial.debug === "boolean" ? partial.debug : DEFAULT_CONFIG.debug,
-      whitelist: Array.isArray(partial.whitelist)
-        ? partial.whitelist
-        : DEFAULT_CONFIG.whitelist,
-    };
-
-    cfg.whitelist = Array.from(
-      new Set(
-        cfg.whitelist
-          .map((s) => String(s || "").trim().toLowerCase())
-          .filter(Boolean)
-      )
-    );
-    return cfg;
-  }
-
   async function getConfig() {
-    const keys = ["enabled", "debug", "whitelist"];
+    const keys = CONFIG_KEYS;
     const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
     const mode =
       modeRes && !modeRes.__error && typeof modeRes[CONFIG_STORAGE_MODE_KEY] === "string"
@@ -112,27 +89,61 @@
 
     if (mode === "local") {
       const localRes = await storageGet(chrome.storage.local, keys);
-      if (!localRes.__error) return applyDefaults(localRes);
+      if (!localRes.__error) return SCHEMA.applyConfigDefaults(localRes);
       const syncRes = await storageGet(chrome.storage.sync, keys);
-      if (!syncRes.__error) return applyDefaults(syncRes);
-      return { ...DEFAULT_CONFIG };
+      if (!syncRes.__error) return SCHEMA.applyConfigDefaults(syncRes);
+      return SCHEMA.applyConfigDefaults({});
     }
 
     const syncRes = await storageGet(chrome.storage.sync, keys);
-    if (!syncRes.__error) return applyDefaults(syncRes);
+    if (!syncRes.__error) return SCHEMA.applyConfigDefaults(syncRes);
     const localRes = await storageGet(chrome.storage.local, keys);
-    if (!localRes.__error) return applyDefaults(localRes);
-    return { ...DEFAULT_CONFIG };
+    if (!localRes.__error) return SCHEMA.applyConfigDefaults(localRes);
+    return SCHEMA.applyConfigDefaults({});
+  }
+
+  let lastMainWorldConfig = null;
+  // Autorisation de la page au dernier runWithConfig() (cf. onUrlChange)
+  let lastPageAllowed = null;
+  // Pause de cet onglet (MP_FIX_TAB_PAUSE_GET / MP_FIX_TAB_PAUSE_CHANGED)
+  let tabPaused = false;
+
+  // detail en JSON : les objets ne traversent pas proprement la frontière monde isolé / MAIN
+  function sendMainWorldConfig() {
+    try {
+      if (!lastMainWorldConfig) return;
+      document.dispatchEvent(
+        new CustomEvent(MAIN_CONFIG_EVENT, { detail: JSON.stringify(lastMainWorldConfig) })
+      );
+    } catch {
+      // no-op
+    }
   }
 
   function runWithConfig(cfg, reason) {
+    lastPageAllowed = isPageAllowed(cfg.whitelist);
+    lastMainWorldConfig = {
+      enabled:
+        !!cfg.enabled &&
+        !tabPaused &&
+        !!cfg.mainWorldIntercept &&
+        !isNetworkOnly(cfg) &&
+        isPageAllowed(cfg.whitelist),
+      rules: cfg.rewriteRules,
+    };
+    sendMainWorldConfig();
+
     try {
       const patcher = window[PATCHER_NS];
       if (!patcher || typeof patcher.run !== "function") return;
       patcher.run({
-        enabled: cfg.enabled,
+        // network-only : le service worker redirige déjà les requêtes sNN
+        // tab paused => stop() (originals restored), global config untouched
+        enabled: cfg.enabled && !tabPaused && !isNetworkOnly(cfg),
         debug: cfg.debug,
         whitelist: cfg.whitelist,
+        rules: cfg.rewriteRules,
+        overlay: cfg.debugOverlay,
         force: false,
         observe: true,
         reason: reason || "auto",
@@ -142,16 +153,201 @@
     }
   }
 
+  // Navigation SPA (pushState / popstate) : les entrées à chemin ("mangapark.net/title/*")
+  // peuvent changer l'autorisation sans rechargement => re-run seulement si elle change.
+
+  function onUrlChange() {
+    getConfig()
+      .then((cfg) => {
+        if (isPageAllowed(cfg.whitelist) !== lastPageAllowed) runWithConfig(cfg, "auto:navigation");
+      })
+      .catch(() => {});
+  }
+
+  // { patched, broken, brokenByHost } ou null si le patcher n'est pas chargé
+  function getPatcherStats() {
+    try {
+      const patcher = window[PATCHER_NS];
+      if (!patcher || typeof patcher.getStats !== "function") return null;
+      return patcher.getStats();
+    } catch {
+      return null;
+    }
+  }
+
+  let lastTabStatsSignature = "0/0";
+
+  // Called by the patcher when its counters change (onStatsChange, batched): sent only if the
+  // badge figures differ (brokenByHost alone doesn't matter here).
+  function pushTabStats(stats) {
+    try {
+      const patched = stats ? Number(stats.patched) || 0 : 0;
+      const broken = stats ? Number(stats.broken) || 0 : 0;
+      const signature = `${patched}/${broken}`;
+      if (signature === lastTabStatsSignature) return;
+      lastTabStatsSignature = signature;
+      chrome.runtime.sendMessage({ type: "MP_FIX_TAB_STATS", patched, broken }, () => {
+        // Lire lastError évite le warning "Unchecked runtime.lastError".
+        void chrome.runtime.lastError;
+      });
+    } catch {
+      // no-op
+    }
+  }
+
+  function getTabPaused() {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: "MP_FIX_TAB_PAUSE_GET" }, (res) => {
+          // Lire lastError évite le warning "Unchecked runtime.lastError".
+          const failed = !!chrome.runtime.lastError;
+          resolve(!failed && !!res?.ok && !!res.paused);
+        });
+      } catch {
+        resolve(false);
+      }
+    });
+  }
+
+  function msg(key, subs) {
+    try {
+      return chrome.i18n.getMessage(key, subs) || "";
+    } catch {
+      return "";
+    }
+  }
+
+  // Toast isolé du CSS de la page (shadow root fermé), un seul à la fois
+  let toastTimer = null;
+
+  function showToast(text, isError) {
+    try {
+      document.getElementById(TOAST_ID)?.remove();
+      clearTimeout(toastTimer);
+      const host = document.createElement("div");
+      host.id = TOAST_ID;
+      const shadow = host.attachShadow({ mode: "closed" });
+      const box = document.createElement("div");
+      box.textContent = text;
+      box.style.cssText = [
+        "position:fixed",
+        "right:16px",
+        "bottom:16px",
+        "z-index:2147483647",
+        "max-width:360px",
+        "padding:8px 12px",
+        "border-radius:8px",
+        "font:13px/1.4 system-ui,sans-serif",
+        "color:#fff",
+        "word-break:break-all",
+        `background:${isError ? "rgba(220,53,69,0.95)" : "rgba(25,135,84,0.95)"}`,
+        "box-shadow:0 2px 8px rgba(0,0,0,0.25)",
+      ].join(";");
+      shadow.appendChild(box);
+      (document.body || document.documentElement).appendChild(host);
+      toastTimer = setTimeout(() => host.remove(), TOAST_DURATION_MS);
+    } catch {
+      // no-op
+    }
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      // no-op
+    }
+    // Repli : pas de focus document (clic de menu) => execCommand sur un textarea temporaire
+    try {
+      const area = document.createElement("textarea");
+      area.value = text;
+      area.style.cssText = "position:fixed;opacity:0;top:0;left:0";
+      (document.body || document.documentElement).appendChild(area);
+      area.select();
+      const ok = document.execCommand("copy");
+      area.remove();
+      return !!ok;
+    } catch {
+      return false;
+    }
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Context menu action on the clicked image (see imageAction() in injected_patch.js).
+   * @returns {Promise<{ ok: boolean, error?: string, url?: string }>}
+   */
+  async function handleImageAction(action, srcUrl) {
+    const patcher = window[PATCHER_NS];
+    if (!patcher || typeof patcher.imageAction !== "function") {
+      return { ok: false, error: "no_patcher" };
+    }
+    const res = patcher.imageAction(action, srcUrl);
+    if (!res.ok) {
+      showToast(msg(`ctxToastError_${res.error}`) || msg("ctxToastError_generic"), true);
+      return res;
+    }
+
+    if (action === "fix") showToast(msg("ctxToastFixed", [hostOf(res.url)]));
+    else if (action === "retry_next") showToast(msg("ctxToastRetry", [hostOf(res.url)]));
+    else if (action === "copy_fixed") {
+      const copied = await copyText(res.url);
+      if (copied) showToast(msg("ctxToastCopied", [res.url]));
+      else showToast(msg("ctxToastCopyFailed", [res.url]), true);
+      return { ...res, copied };
+    }
+    // open_original : onglet ouvert par le service worker
+    return res;
+  }
+
   async function init() {
+    // main_world_patch.js peut démarrer après nous : il redemande la config.
     try {
-      const cfg = await getConfig();
+      document.addEventListener(MAIN_READY_EVENT, sendMainWorldConfig);
+    } catch {
+      // no-op
+    }
+
+    try {
+      const [paused, cfg] = await Promise.all([getTabPaused(), getConfig()]);
+      tabPaused = paused;
       runWithConfig(cfg, "auto:init");
     } catch {
       // no-op
     }
 
     try {
-      chrome.storage.onChanged.addListener((_changes, _areaName) => {
+      const patcher = window[PATCHER_NS];
+      if (window.top === window && typeof patcher?.onStatsChange === "function") {
+        patcher.onStatsChange(pushTabStats);
+      }
+    } catch {
+      // no-op
+    }
+
+    try {
+      window.addEventListener("popstate", onUrlChange);
+      // Navigation API (Chromium) : couvre aussi history.pushState du monde MAIN
+      if (window.navigation) window.navigation.addEventListener("navigatesuccess", onUrlChange);
+    } catch {
+      // no-op
+    }
+
+    try {
+      // Export progress, tab counters, host health... are written all the time: only a config
+      // change restarts the patcher (full rescan).
+      const configKeys = [...CONFIG_KEYS, CONFIG_STORAGE_MODE_KEY];
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== "sync" && areaName !== "local") return;
+        if (!Object.keys(changes || {}).some((k) => configKeys.includes(k))) return;
         getConfig()
           .then((cfg) => runWithConfig(cfg, "auto:storageChanged"))
           .catch(() => {});
@@ -165,20 +361,48 @@
       chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         try {
           if (message?.type === "MP_FIX_GET_STATUS") {
-            const cfgPromise = getConfig().catch(() => ({ ...DEFAULT_CONFIG }));
+            const cfgPromise = getConfig().catch(() => SCHEMA.applyConfigDefaults({}));
             cfgPromise.then((cfg) => {
-              const allowed = isHostAllowed(window.location.hostname, cfg.whitelist);
+              const allowed = isPageAllowed(cfg.whitelist);
 
               sendResponse({
                 host: window.location.hostname,
                 enabled: !!cfg.enabled,
                 debug: !!cfg.debug,
                 allowed: !!allowed,
+                paused: tabPaused,
                 whitelistCount: (cfg.whitelist || []).length,
+                images: getPatcherStats(),
               });
             });
             return true; // async sendResponse
           }
+
+          if (message?.type === "MP_FIX_TAB_PAUSE_CHANGED") {
+            tabPaused = !!message.paused;
+            getConfig()
+              .then((cfg) => runWithConfig(cfg, tabPaused ? "auto:tabPaused" : "auto:tabResumed"))
+              .catch(() => {});
+            sendResponse({ ok: true });
+            return;
+          }
+
+          if (message?.type === "MP_FIX_IMAGE_ACTION") {
+            handleImageAction(String(message.action || ""), String(message.srcUrl || ""))
+              .then((res) => sendResponse(res))
+              .catch((e) => sendResponse({ ok: false, error: String(e?.message || e) }));
+            return true; // async sendResponse
+          }
+
+          if (message?.type === "MP_FIX_RETRY_BROKEN") {
+            const patcher = window[PATCHER_NS];
+            const res =
+              patcher && typeof patcher.retryBroken === "function"
+                ? patcher.retryBroken()
+                : { retried: 0 };
+            sendResponse({ ok: true, retried: res.retried, images: getPatcherStats() });
+            return;
+          }
         } catch {
           // no-op
         }
@@ -192,4 +416,3 @@
   // run_at: document_start
   init();
 })();
-
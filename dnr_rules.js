@@ -0,0 +1,332 @@
+/**
+ * dnr_rules.js
+ *
+ * Construction (pure) des règles declarativeNetRequest du "network mode" :
+ * - une règle "redirect" par origine de page autorisée ouverte (schéma, sous-domaine et port
+ *   exacts : DNR ne sait pas réécrire vers l'initiateur, la cible est donc fixée par règle)
+ * - sNN (s00..s10) + /media/ => même chemin sur le miroir qui a initié la requête
+ * - un host plus précis l'emporte (priorité = nombre de labels) quand un sous-domaine et son
+ *   parent sont ouverts en même temps
+ * - couvre aussi new Image(), CSS et fetch (que le patch DOM ne voit pas)
+ * - les exclusions de la whitelist ("!ads.mangapark.net") => excludedInitiatorDomains
+ *
+ * Règles d'en-têtes (indépendantes du fix mode) : "modifyHeaders" Referer / Origin sur les
+ * requêtes vers des hosts d'images configurés, quand l'initiateur est une page autorisée ouverte.
+ * Une règle = { id, hostPattern, referer, origin, enabled }
+ * - hostPattern : RegExp (string, RE2) testée sur le hostname, comme dans rewrite_rules.js
+ * - referer / origin : "mirror" (valeur = miroir initiateur) | "strip" (retiré) | "keep"
+ *
+ * Pause par onglet : une règle de session "allow" (tabIds, priorité haute) neutralise
+ * redirections et règles d'en-têtes sur les onglets en pause.
+ *
+ * Le service worker installe/retire ces règles (chrome.declarativeNetRequest.updateSessionRules)
+ * à partir des URL des onglets ouverts.
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_DNR_RULES = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // "dom" = réécriture DOM (injected_patch.js), "network" = redirections DNR, "both" = les deux
+  const FIX_MODES = ["dom", "network", "both"];
+  const DEFAULT_FIX_MODE = "dom";
+
+  // Plage d'ids réservée aux redirections (les autres règles ne sont pas touchées)
+  const REDIRECT_RULE_ID_MIN = 1000;
+  const REDIRECT_RULE_ID_MAX = 1999;
+
+  // RE2 (syntaxe DNR) : le groupe 1 capture le chemin /media/... (query incluse)
+  const MEDIA_REDIRECT_REGEX = "^https?://s(?:0[0-9]|10)\\.[^/]+(/media/.*)$";
+
+  const REDIRECT_RESOURCE_TYPES = ["image", "media", "xmlhttprequest", "other"];
+
+  function normalizeDomains(list) {
+    const out = [];
+    for (const raw of Array.isArray(list) ? list : []) {
+      const domain = String(raw || "")
+        .trim()
+        .toLowerCase();
+      if (domain && !out.includes(domain)) out.push(domain);
+    }
+    return out;
+  }
+
+  /**
+   * @param {string[]} list page origins ("https://sub.mangapark.net", "http://x.org:8080")
+   * @returns {Array<{ origin: string, host: string }>} http(s) only, one per host (first wins)
+   */
+  function normalizeOrigins(list) {
+    const out = [];
+    for (const raw of Array.isArray(list) ? list : []) {
+      let u = null;
+      try {
+        u = new URL(String(raw || ""));
+      } catch {
+        continue;
+      }
+      if (u.protocol !== "https:" && u.protocol !== "http:") continue;
+      const host = u.hostname.toLowerCase();
+      if (host && !out.some((o) => o.host === host)) out.push({ origin: u.origin, host });
+    }
+    return out;
+  }
+
+  // initiatorDomains also matches subdomains: the most specific host must win.
+  function hostPriority(host) {
+    return host.split(".").length;
+  }
+
+  function buildCondition(regexFilter, domain, excluded) {
+    const condition = {
+      regexFilter,
+      isUrlFilterCaseSensitive: false,
+      initiatorDomains: [domain],
+      resourceTypes: REDIRECT_RESOURCE_TYPES.slice(),
+    };
+    // Seulement les exclusions plus précises que le domaine (ads.mangapark.net sous mangapark.net)
+    const scoped = excluded.filter((d) => d.endsWith(`.${domain}`));
+    if (scoped.length) condition.excludedInitiatorDomains = scoped;
+    return condition;
+  }
+
+  // Plage d'ids réservée aux règles d'en-têtes
+  const HEADER_RULE_ID_MIN = 2000;
+  const HEADER_RULE_ID_MAX = 2999;
+
+  // Règle de session (tabIds n'est accepté que dans les règles de session)
+  const TAB_PAUSE_RULE_ID = 3000;
+  const TAB_PAUSE_RULE_PRIORITY = 100;
+
+  const HEADER_ACTIONS = ["mirror", "strip", "keep"];
+  const MAX_HOST_PATTERN_LENGTH = 300;
+
+  // Désactivées par défaut : l'utilisateur les active depuis le popup (accès hosts requis).
+  const DEFAULT_HEADER_RULES = [
+    {
+      id: "snn-referer-mirror",
+      hostPattern: "^s(?:0\\d|10)\\.",
+      referer: "mirror",
+      origin: "keep",
+      enabled: false,
+    },
+    {
+      id: "snn-strip",
+      hostPattern: "^s(?:0\\d|10)\\.",
+      referer: "strip",
+      origin: "strip",
+      enabled: false,
+    },
+  ];
+
+  function normalizeFixMode(mode) {
+    const m = String(mode || "").toLowerCase();
+    return FIX_MODES.includes(m) ? m : DEFAULT_FIX_MODE;
+  }
+
+  function usesDomMode(mode) {
+    return normalizeFixMode(mode) !== "network";
+  }
+
+  function usesNetworkMode(mode) {
+    return normalizeFixMode(mode) !== "dom";
+  }
+
+  function isRedirectRuleId(id) {
+    return Number.isInteger(id) && id >= REDIRECT_RULE_ID_MIN && id <= REDIRECT_RULE_ID_MAX;
+  }
+
+  /**
+   * Build redirect rules, one per page origin.
+   * @param {{ enabled: boolean, fixMode: string, origins: string[], excludedDomains?: string[] }} opts
+   * @returns {object[]} [] when disabled or not in network mode
+   */
+  function buildRedirectRules({ enabled, fixMode, origins, excludedDomains } = {}) {
+    if (!enabled || !usesNetworkMode(fixMode)) return [];
+
+    const out = [];
+    const excluded = normalizeDomains(excludedDomains);
+    for (const { origin, host } of normalizeOrigins(origins)) {
+      if (excluded.includes(host)) continue;
+      const id = REDIRECT_RULE_ID_MIN + out.length;
+      if (!isRedirectRuleId(id)) break;
+
+      out.push({
+        id,
+        priority: hostPriority(host),
+        action: {
+          type: "redirect",
+          redirect: { regexSubstitution: `${origin}\\1` },
+        },
+        condition: buildCondition(MEDIA_REDIRECT_REGEX, host, excluded),
+      });
+    }
+    return out;
+  }
+
+  function isHeaderRuleId(id) {
+    return Number.isInteger(id) && id >= HEADER_RULE_ID_MIN && id <= HEADER_RULE_ID_MAX;
+  }
+
+  function makeHeaderRuleId() {
+    return `h_${Date.now().toString(36)}_${Math.floor(Math.random() * 1e6).toString(36)}`;
+  }
+
+  function normalizeHeaderAction(action) {
+    const a = String(action || "").toLowerCase();
+    return HEADER_ACTIONS.includes(a) ? a : "keep";
+  }
+
+  function normalizeHeaderRule(raw) {
+    const r = raw && typeof raw === "object" ? raw : {};
+    return {
+      id: typeof r.id === "string" && r.id.trim() ? r.id.trim() : makeHeaderRuleId(),
+      hostPattern: String(r.hostPattern || "").trim(),
+      referer: normalizeHeaderAction(r.referer),
+      origin: normalizeHeaderAction(r.origin),
+      enabled: r.enabled === true,
+    };
+  }
+
+  function normalizeHeaderRules(list) {
+    if (!Array.isArray(list)) return DEFAULT_HEADER_RULES.map((r) => ({ ...r }));
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+      if (!raw || typeof raw !== "object") continue;
+      const rule = normalizeHeaderRule(raw);
+      if (seen.has(rule.id)) rule.id = makeHeaderRuleId();
+      seen.add(rule.id);
+      out.push(rule);
+    }
+    return out;
+  }
+
+  /**
+   * Validate a header rule (JS syntax check; RE2 support is checked by the service worker).
+   * @returns {{ ok: boolean, error: string }} error codes:
+   *  missing_host_pattern | invalid_host_pattern | no_header_action
+   */
+  function validateHeaderRule(raw) {
+    const rule = normalizeHeaderRule(raw);
+    if (!rule.hostPattern) return { ok: false, error: "missing_host_pattern" };
+    if (rule.hostPattern.length > MAX_HOST_PATTERN_LENGTH) {
+      return { ok: false, error: "invalid_host_pattern" };
+    }
+    try {
+      new RegExp(rule.hostPattern, "i");
+    } catch {
+      return { ok: false, error: "invalid_host_pattern" };
+    }
+    if (rule.referer === "keep" && rule.origin === "keep") {
+      return { ok: false, error: "no_header_action" };
+    }
+    return { ok: true, error: "" };
+  }
+
+  /**
+   * Hostname pattern => URL regexFilter ("^" / "$" of the pattern anchor the host).
+   * @param {string} hostPattern
+   */
+  function hostPatternToRegexFilter(hostPattern) {
+    let body = String(hostPattern || "");
+    const anchoredStart = body.startsWith("^");
+    if (anchoredStart) body = body.slice(1);
+    const anchoredEnd = body.endsWith("$") && !body.endsWith("\\$");
+    if (anchoredEnd) body = body.slice(0, -1);
+    return `^https?://${anchoredStart ? "" : "[^/]*"}(?:${body})${anchoredEnd ? "(?::[0-9]+)?/" : ""}`;
+  }
+
+  function buildRequestHeaders(rule, origin) {
+    const out = [];
+    if (rule.referer === "mirror") {
+      out.push({ header: "referer", operation: "set", value: `${origin}/` });
+    } else if (rule.referer === "strip") {
+      out.push({ header: "referer", operation: "remove" });
+    }
+    if (rule.origin === "mirror") {
+      out.push({ header: "origin", operation: "set", value: origin });
+    } else if (rule.origin === "strip") {
+      out.push({ header: "origin", operation: "remove" });
+    }
+    return out;
+  }
+
+  /**
+   * Build modifyHeaders rules: one per (enabled valid rule x page origin).
+   * @param {{ enabled: boolean, rules: any[], origins: string[], excludedDomains?: string[] }} opts
+   * @returns {object[]} [] when disabled
+   */
+  function buildHeaderRules({ enabled, rules, origins, excludedDomains } = {}) {
+    if (!enabled) return [];
+
+    const out = [];
+    const excluded = normalizeDomains(excludedDomains);
+    const list = normalizeOrigins(origins).filter((o) => !excluded.includes(o.host));
+    for (const rule of normalizeHeaderRules(Array.isArray(rules) ? rules : [])) {
+      if (!rule.enabled || !validateHeaderRule(rule).ok) continue;
+      const regexFilter = hostPatternToRegexFilter(rule.hostPattern);
+
+      for (const { origin, host } of list) {
+        const id = HEADER_RULE_ID_MIN + out.length;
+        if (!isHeaderRuleId(id)) return out;
+
+        out.push({
+          id,
+          priority: hostPriority(host),
+          action: { type: "modifyHeaders", requestHeaders: buildRequestHeaders(rule, origin) },
+          condition: buildCondition(regexFilter, host, excluded),
+        });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Session rule bypassing redirects / header rules on paused tabs.
+   * @param {number[]} tabIds
+   * @returns {object[]} [] when no tab is paused
+   */
+  function buildTabPauseRules(tabIds) {
+    const ids = (Array.isArray(tabIds) ? tabIds : [])
+      .map(Number)
+      .filter((id) => Number.isInteger(id) && id >= 0);
+    if (!ids.length) return [];
+    return [
+      {
+        id: TAB_PAUSE_RULE_ID,
+        priority: TAB_PAUSE_RULE_PRIORITY,
+        action: { type: "allow" },
+        condition: {
+          tabIds: Array.from(new Set(ids)),
+          resourceTypes: REDIRECT_RESOURCE_TYPES.slice(),
+        },
+      },
+    ];
+  }
+
+  return {
+    FIX_MODES,
+    DEFAULT_FIX_MODE,
+    MEDIA_REDIRECT_REGEX,
+    normalizeFixMode,
+    usesDomMode,
+    usesNetworkMode,
+    isRedirectRuleId,
+    buildRedirectRules,
+    HEADER_ACTIONS,
+    DEFAULT_HEADER_RULES,
+    isHeaderRuleId,
+    makeHeaderRuleId,
+    normalizeHeaderRules,
+    validateHeaderRule,
+    hostPatternToRegexFilter,
+    buildHeaderRules,
+    TAB_PAUSE_RULE_ID,
+    buildTabPauseRules,
+  };
+});
@@ -8,12 +8,30 @@
  * - utilisée via chrome.scripting.executeScript (bouton "Fix this page now")
  *
  * Spécifications :
- * - Patch uniquement si host source commence par s00..s10 ET pathname commence par "/media/"
- * - Réécriture stricte: `${location.protocol}//${location.host}${url.pathname}`
+ * - Réécriture pilotée par une liste ordonnée de règles (rewrite_rules.js, chargé avant ce fichier)
+ * - Page autorisée selon la whitelist (whitelist.js, chargé avant ce fichier)
+ * - Règle par défaut : host s00..s10 ET pathname "/media/" => `${location.protocol}//${location.host}${url.pathname}`
  * - Patch src / srcset + attributs lazy (data-src, data-original, data-lazy-src, data-echo, data-url)
+ * - Patch <source srcset> dans <picture>
+ * - Patch url() des styles inline, <video poster>, <link rel=preload as=image> et <meta property=og:image>
+ * - Descend dans les shadow roots ouverts (web components) et les observe aussi
  * - Ignore data:, blob:, chrome-extension:, about: et URLs invalides
- * - MutationObserver (childList/subtree + attributes), sans polling
- * - Debug: logs structurés [MP FIX] avec résumé + exemples (max 10)
+ * - MutationObserver (childList/subtree + attributes), sans polling :
+ *   file dédupliquée, traitée en idle (requestIdleCallback / budget temps), écritures propres ignorées,
+ *   éléments déjà corrects mémorisés (WeakSet) ; durée des scans/batches dans le résumé debug
+ * - srcset : parsing / sérialisation WHATWG de rewrite_rules.js (virgules dans les URLs, data:)
+ * - Fallback: si l'image réécrite échoue (event "error"), rotation vers le candidat suivant
+ *   (host courant -> autres hosts sNN -> URL d'origine), ordre selon un score de santé par host
+ *   persisté dans chrome.storage.session
+ * - Proxy extension (dernier recours) : le service worker récupère l'image /media/ avec les
+ *   permissions de l'extension, affichée via une URL blob: (LRU révoquée à la navigation)
+ * - Moniteur : <img> encore cassées (error / naturalWidth === 0) => stats (popup, badge via
+ *   onStatsChange()) + "retry broken"
+ * - Overlay debug (option) : contour vert = patchée, rouge = encore cassée, tooltip au survol
+ * - Menu contextuel (service worker => content.js) : imageAction() sur l'image cliquée
+ *   (fix / host suivant / URL corrigée / URL d'origine)
+ * - stop() / disable : restaure les valeurs d'origine des attributs réécrits (A/B, règle fautive)
+ * - Debug: logs structurés [MP FIX] avec résumé + exemples (max 10) + retries / host qui a réussi
  * - Robuste: try/catch, jamais throw
  */
 
@@ -21,8 +39,13 @@
   const NAMESPACE = "__MP_IMAGE_FIX__";
   const LOG_PREFIX = "[MP FIX]";
 
-  // Hosts sources attendus : s00..s10 (case-insensitive)
-  const TARGET_HOST_REGEX = /^s(?:0\d|10)\./i;
+  // Moteur de règles (rewrite_rules.js) : chargé avant ce fichier (manifest + "Fix this page now").
+  const RULES = typeof self !== "undefined" ? self.MP_REWRITE_RULES : null;
+  // Matcher "allowed sites" (whitelist.js) : chargé avant ce fichier, comme rewrite_rules.js.
+  const WHITELIST = typeof self !== "undefined" ? self.MP_WHITELIST : null;
+
+  // Règles compilées actives (remplacées à chaque run())
+  let activeRules = RULES ? RULES.compileRules(RULES.DEFAULT_REWRITE_RULES) : [];
 
   // Attributs "lazy" courants à patcher en plus de src/srcset
   const LAZY_ATTRS = [
@@ -33,9 +56,73 @@
     "data-url",
   ];
 
+  // <source> dans <picture> : listes srcset (dont variante lazy)
+  const SOURCE_SRCSET_ATTRS = ["srcset", "data-srcset"];
+
+  // Autres médias : covers/bannières en background inline, posters, preloads, og:image
+  const MEDIA_ATTRS = ["style", "poster", "href", "imagesrcset", "content"];
+  const CSS_URL_REGEX = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+  const TARGET_SELECTOR = [
+    "img",
+    "picture > source",
+    "video[poster]",
+    'link[rel~="preload" i][as="image" i]',
+    'meta[property="og:image" i]',
+    '[style*="url(" i]',
+  ].join(", ");
+
   // Protocoles/schémas à ignorer
   const FORBIDDEN_SCHEME_REGEX = /^(data:|blob:|about:|chrome-extension:)/i;
 
+  // Score de santé par host (session only, stocké par le service worker)
+  const HOST_HEALTH_SAVE_DELAY_MS = 1000;
+  const FALLBACK_SUMMARY_DELAY_MS = 1500;
+  // Échecs d'un host sur la page avant de le retirer de la rotation (miroir mort)
+  const FALLBACK_HOST_MAX_FAILURES = 3;
+
+  // Proxy extension : plafond par page, requêtes simultanées, URLs tentées par image, LRU blob:
+  const PROXY_MAX_PER_PAGE = 150;
+  const PROXY_CONCURRENCY = 2;
+  const PROXY_MAX_URLS = 4;
+  const PROXY_LRU_MAX_ENTRIES = 60;
+  const PROXY_LRU_MAX_BYTES = 64 * 1024 * 1024;
+
+  // Compteurs images (badge) : notifications regroupées
+  const STATS_NOTIFY_DELAY_MS = 500;
+
+  // Paramètre cache-busting ajouté par "retry broken"
+  const RETRY_PARAM = "mp_retry";
+
+  // Overlay debug : attribut de marquage (hors attributeFilter => pas de boucle MutationObserver)
+  const OVERLAY_ATTR = "data-mp-fix-overlay";
+  const OVERLAY_STYLE_ID = "mp-fix-overlay-style";
+  const OVERLAY_TIP_ID = "mp-fix-overlay-tip";
+  const OVERLAY_MAX_DETAILS = 5;
+  // Purge des éléments détachés (éléments modifiés / patchés / cassés) toutes les N écritures
+  const TOUCHED_PRUNE_EVERY = 500;
+
+  const OVERLAY_CSS = `
+[${OVERLAY_ATTR}="patched"] { outline: 2px solid #22c55e !important; outline-offset: -2px !important; }
+[${OVERLAY_ATTR}="broken"] { outline: 2px dashed #ef4444 !important; outline-offset: -2px !important; }
+`;
+
+  // File de mutations : traitement en idle, par tranches de ~SLICE_BUDGET_MS
+  const IDLE_TIMEOUT_MS = 200;
+  const SLICE_BUDGET_MS = 8;
+
+  function perfNow() {
+    try {
+      return performance.now();
+    } catch {
+      return safeNow();
+    }
+  }
+
+  function roundMs(ms) {
+    return Math.round(ms * 100) / 100;
+  }
+
   function safeNow() {
     try {
       return Date.now();
@@ -51,6 +138,8 @@
       examples: [],
       exampleCount: 0,
       suppressed: 0,
+      retries: 0,
+      recoveredHosts: {},
       lastRunTs: safeNow(),
     };
 
@@ -73,10 +162,22 @@
       }
     }
 
+    function recordRetry() {
+      state.retries += 1;
+    }
+
+    function recordRecovered(host) {
+      const h = String(host || "");
+      if (!h) return;
+      state.recoveredHosts[h] = (state.recoveredHosts[h] || 0) + 1;
+    }
+
     function flushSummary(summary) {
       if (!state.debug) return;
       log("summary", {
         ...summary,
+        retries: state.retries,
+        recoveredHosts: state.recoveredHosts,
         examples: state.examples,
         examplesShown: state.examples.length,
         examplesSuppressed: state.suppressed,
@@ -85,35 +186,18 @@
       state.examples = [];
       state.exampleCount = 0;
       state.suppressed = 0;
+      state.retries = 0;
+      state.recoveredHosts = {};
       state.lastRunTs = safeNow();
     }
 
-    return { log, recordExample, flushSummary, state };
-  }
-
-  function escapeRegExp(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return { log, recordExample, recordRetry, recordRecovered, flushSummary, state };
   }
 
-  function isHostAllowed(hostname, whitelist) {
-    const host = String(hostname || "").toLowerCase();
-    if (!host) return false;
-
-    for (const entry of whitelist || []) {
-      const e = String(entry || "").trim().toLowerCase();
-      if (!e) continue;
-
-      if (e.endsWith(".*")) {
-        const base = e.slice(0, -2);
-        const re = new RegExp(`(^|\\.)${escapeRegExp(base)}\\.[^.]+$`, "i");
-        if (re.test(host)) return true;
-        continue;
-      }
-
-      const re = new RegExp(`(^|\\.)${escapeRegExp(e)}$`, "i");
-      if (re.test(host)) return true;
-    }
-    return false;
+  // Page autorisée ? (matcher partagé whitelist.js : exclusions, sous-domaines, chemins)
+  function isPageAllowed(whitelist) {
+    if (!WHITELIST) return false;
+    return WHITELIST.isUrlAllowed(window.location, whitelist);
   }
 
   function normalizeUrlMaybe(urlString) {
@@ -128,45 +212,787 @@
     const raw = normalizeUrlMaybe(urlString);
     if (!raw) return null;
 
+    if (!RULES) return null;
+    try {
+      // Support des URLs relatives (résolues contre la page)
+      const res = RULES.rewriteUrl(raw, activeRules, window.location);
+      return res ? res.url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // --- Valeurs d'origine (revert au stop / disable) ---
+
+  /** @type {WeakMap<Element, Map<string, { orig: string|null, written: string|null }>>} */
+  const originalAttrs = new WeakMap();
+  /** @type {Set<Element>} */
+  const touchedElements = new Set();
+  let writesSincePrune = 0;
+
+  /**
+   * Every attribute write on page elements goes through here (first original value kept).
+   * @param {Element} el
+   * @param {string} attr
+   * @param {string|null} value null => removeAttribute
+   */
+  function writeAttr(el, attr, value) {
+    let attrs = originalAttrs.get(el);
+    if (!attrs) {
+      attrs = new Map();
+      originalAttrs.set(el, attrs);
+      touchedElements.add(el);
+    }
+    if (!attrs.has(attr)) attrs.set(attr, { orig: el.getAttribute(attr), written: null });
+
+    const next = value == null ? null : String(value);
+    if (next == null) el.removeAttribute(attr);
+    else el.setAttribute(attr, next);
+    attrs.get(attr).written = next;
+
+    writesSincePrune += 1;
+    if (writesSincePrune >= TOUCHED_PRUNE_EVERY) pruneDetached();
+  }
+
+  /**
+   * Forget detached elements (SPA chapter change, infinite reader dropping pages):
+   * touchedElements / patchedElements / brokenImages must be iterable (revert, overlay, stats)
+   * and would keep them alive. Runs when the patch queue is empty, and every
+   * TOUCHED_PRUNE_EVERY writes during long scans.
+   */
+  function pruneDetached() {
+    writesSincePrune = 0;
+    for (const el of touchedElements) {
+      if (!el.isConnected) touchedElements.delete(el);
+    }
+    for (const el of patchedElements) {
+      if (!el.isConnected) patchedElements.delete(el);
+    }
+    let brokenPruned = false;
+    for (const img of brokenImages) {
+      if (img.isConnected) continue;
+      brokenImages.delete(img);
+      brokenPruned = true;
+    }
+    if (brokenPruned) scheduleStatsNotify();
+  }
+
+  /**
+   * Restore original attribute values. Skips attributes the page changed since our write.
+   * @returns {number} attributes restored
+   */
+  function revertAll() {
+    let reverted = 0;
+    for (const el of touchedElements) {
+      const attrs = originalAttrs.get(el);
+      for (const [attr, { orig, written }] of attrs || []) {
+        try {
+          if (el.getAttribute(attr) !== written) continue;
+          if (orig == null) el.removeAttribute(attr);
+          else el.setAttribute(attr, orig);
+          reverted += 1;
+        } catch {
+          // no-op
+        }
+      }
+      originalAttrs.delete(el);
+      fallbackState.delete(el);
+    }
+    touchedElements.clear();
+
+    for (const el of patchedElements) patchDetails.delete(el);
+    patchedElements.clear();
+    brokenImages.clear();
+    patchedCount = 0;
+    scheduleStatsNotify();
+    return reverted;
+  }
+
+  // --- Host health (chrome.storage.session, via le service worker) ---
+
+  let hostHealth = {};
+  let hostHealthPending = [];
+  let hostHealthFlushTimer = null;
+
+  function runtimeSendMessage(message, callback) {
+    try {
+      if (!chrome?.runtime?.sendMessage) return false;
+      chrome.runtime.sendMessage(message, (response) => {
+        // Lire lastError évite le warning "Unchecked runtime.lastError".
+        const failed = !!chrome.runtime.lastError;
+        if (callback) callback(failed ? null : response);
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function loadHostHealth() {
+    runtimeSendMessage({ type: "MP_FIX_HOST_HEALTH_GET" }, (res) => {
+      if (res && res.ok && res.health && typeof res.health === "object") hostHealth = res.health;
+    });
+  }
+
+  function recordHostHealth(url, ok) {
+    if (!RULES) return;
+    const host = RULES.hostOf(url);
+    hostHealth = RULES.updateHostHealth(hostHealth, host, ok);
+    hostHealthPending.push({ host, ok: !!ok });
+    if (hostHealthFlushTimer) return;
+    hostHealthFlushTimer = setTimeout(() => {
+      hostHealthFlushTimer = null;
+      const results = hostHealthPending;
+      hostHealthPending = [];
+      runtimeSendMessage({ type: "MP_FIX_HOST_HEALTH_REPORT", results }, (res) => {
+        if (res && res.ok && res.health && typeof res.health === "object") hostHealth = res.health;
+      });
+    }, HOST_HEALTH_SAVE_DELAY_MS);
+  }
+
+  // --- Fallback rotation (images réécrites qui échouent encore) ---
+
+  /** @type {WeakMap<Element, { candidates: string[], index: number }>} */
+  const fallbackState = new WeakMap();
+  /** @type {Map<string, number>} host -> échecs sur cette page */
+  const fallbackHostFailures = new Map();
+  let fallbackLogger = createLogger(false);
+  let fallbackSummaryTimer = null;
+
+  function scheduleFallbackSummary() {
+    if (fallbackSummaryTimer) return;
+    fallbackSummaryTimer = setTimeout(() => {
+      fallbackSummaryTimer = null;
+      fallbackLogger.flushSummary({ reason: "fallback" });
+    }, FALLBACK_SUMMARY_DELAY_MS);
+  }
+
+  function onFallbackLoad(ev) {
+    try {
+      const img = ev.target;
+      const st = fallbackState.get(img);
+      if (!st) return;
+      const url = st.candidates[st.index];
+      if (img.getAttribute("src") !== url) return;
+      recordHostHealth(url, true);
+      if (st.index > 0) {
+        fallbackLogger.recordRecovered(RULES.hostOf(url));
+        scheduleFallbackSummary();
+      }
+    } catch {
+      // no-op
+    }
+  }
+
+  function onFallbackError(ev) {
+    try {
+      const img = ev.target;
+      const st = fallbackState.get(img);
+      if (!st) return;
+      const failed = st.candidates[st.index];
+      if (img.getAttribute("src") !== failed) return;
+      recordHostHealth(failed, false);
+      recordFallbackFailure(failed);
+      if (!advanceFallback(img, st, failed)) scheduleFallbackSummary();
+    } catch {
+      // no-op
+    }
+  }
+
+  function recordFallbackFailure(url) {
+    const host = RULES.hostOf(url);
+    if (host) fallbackHostFailures.set(host, (fallbackHostFailures.get(host) || 0) + 1);
+  }
+
+  function deadFallbackHosts() {
+    const out = [];
+    for (const [host, n] of fallbackHostFailures) {
+      if (n >= FALLBACK_HOST_MAX_FAILURES) out.push(host);
+    }
+    return out;
+  }
+
+  /**
+   * Next candidate of the rotation (error event or "Retry with next host" menu).
+   * @returns {boolean} false when no candidate is left (proxy requested if possible)
+   */
+  function advanceFallback(img, st, failed) {
+    st.index += 1;
+    // Hosts abandonnés pour la page depuis l'armement : sautés (l'URL d'origine, dernière, reste)
+    const dead = deadFallbackHosts();
+    while (
+      st.index < st.candidates.length - 1 &&
+      dead.includes(RULES.hostOf(st.candidates[st.index]))
+    ) {
+      st.index += 1;
+    }
+    if (st.index >= st.candidates.length) {
+      // Tous les candidats ont échoué : proxy extension si possible, sinon l'URL d'origine reste.
+      if (canProxy(st)) requestProxy(img, st, failed);
+      return false;
+    }
+    fallbackLogger.recordRetry();
+    // srcset prime sur src : sans ça le navigateur resterait sur le candidat en échec.
+    if (img.hasAttribute("srcset")) writeAttr(img, "srcset", null);
+    writeAttr(img, "src", st.candidates[st.index]);
+    recordPatch(img, "src (fallback)", failed, st.candidates[st.index]);
+    return true;
+  }
+
+  function armFallback(img, candidates) {
+    if (!fallbackState.has(img)) {
+      img.addEventListener("load", onFallbackLoad);
+      img.addEventListener("error", onFallbackError);
+    }
+    fallbackState.set(img, { candidates, index: 0 });
+  }
+
+  function isFallbackSrc(img, rawSrc) {
+    const st = fallbackState.get(img);
+    return !!st && rawSrc === st.candidates[st.index];
+  }
+
+  // --- Proxy extension (hotlink / referer, routage /media/ du miroir en panne) ---
+
+  /** @type {Map<string, { objectUrl: string, bytes: number }>} URL source -> blob: (ordre = LRU) */
+  const proxyCache = new Map();
+  let proxyCacheBytes = 0;
+  let proxyRequests = 0;
+  let proxyActive = 0;
+  /** @type {{ img: HTMLImageElement, st: object, failed: string }[]} */
+  let proxyQueue = [];
+  // Incrémenté à la révocation : les réponses en vol d'avant sont ignorées
+  let proxyGeneration = 0;
+
+  function canProxy(st) {
+    return (
+      !!RULES &&
+      !st.proxy &&
+      proxyRequests < PROXY_MAX_PER_PAGE &&
+      RULES.buildProxyCandidates(st.candidates, PROXY_MAX_URLS).length > 0
+    );
+  }
+
+  function base64ToBlob(base64, mime) {
+    const bin = atob(base64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i += 1) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type: mime });
+  }
+
+  function getCachedProxyUrl(sourceUrl) {
+    const entry = proxyCache.get(sourceUrl);
+    if (!entry) return null;
+    proxyCache.delete(sourceUrl);
+    proxyCache.set(sourceUrl, entry);
+    return entry.objectUrl;
+  }
+
+  function cacheProxyBlob(sourceUrl, blob) {
+    const objectUrl = URL.createObjectURL(blob);
+    const prev = proxyCache.get(sourceUrl);
+    if (prev) {
+      URL.revokeObjectURL(prev.objectUrl);
+      proxyCacheBytes -= prev.bytes;
+      proxyCache.delete(sourceUrl);
+    }
+    proxyCache.set(sourceUrl, { objectUrl, bytes: blob.size });
+    proxyCacheBytes += blob.size;
+
+    // Éviction LRU : une image déjà décodée reste affichée après revokeObjectURL.
+    for (const [key, entry] of proxyCache) {
+      if (proxyCache.size <= PROXY_LRU_MAX_ENTRIES && proxyCacheBytes <= PROXY_LRU_MAX_BYTES) break;
+      if (key === sourceUrl) break;
+      URL.revokeObjectURL(entry.objectUrl);
+      proxyCacheBytes -= entry.bytes;
+      proxyCache.delete(key);
+    }
+    return objectUrl;
+  }
+
+  function revokeProxyUrls() {
+    proxyGeneration += 1;
+    for (const job of proxyQueue) job.st.proxy = "failed";
+    proxyQueue = [];
+    for (const entry of proxyCache.values()) {
+      try {
+        URL.revokeObjectURL(entry.objectUrl);
+      } catch {
+        // no-op
+      }
+    }
+    proxyCache.clear();
+    proxyCacheBytes = 0;
+  }
+
+  function finishProxy(img, st, failed, objectUrl) {
+    try {
+      // Image réinitialisée (stop / retry) ou src changée par la page entre-temps
+      if (fallbackState.get(img) !== st || img.getAttribute("src") !== failed) return;
+      if (!objectUrl) {
+        st.proxy = "failed";
+        setBroken(img, true);
+        markOverlay(img);
+        return;
+      }
+      st.proxy = "done";
+      if (img.hasAttribute("srcset")) writeAttr(img, "srcset", null);
+      writeAttr(img, "src", objectUrl);
+      recordPatch(img, "src (proxy)", failed, objectUrl);
+      fallbackLogger.recordRecovered("extension-proxy");
+      fallbackLogger.recordExample("proxy", failed, objectUrl);
+      scheduleFallbackSummary();
+    } catch {
+      // no-op
+    }
+  }
+
+  function runProxyJob({ img, st, failed }, done) {
+    const generation = proxyGeneration;
+    const urls = RULES.buildProxyCandidates(st.candidates, PROXY_MAX_URLS);
+    for (const u of urls) {
+      const cached = getCachedProxyUrl(u);
+      if (cached) {
+        finishProxy(img, st, failed, cached);
+        done();
+        return;
+      }
+    }
+
+    const sent = runtimeSendMessage({ type: "MP_FIX_PROXY_IMAGE", urls }, (res) => {
+      let objectUrl = null;
+      try {
+        if (generation === proxyGeneration && res && res.ok && res.base64) {
+          objectUrl = cacheProxyBlob(res.url, base64ToBlob(res.base64, res.mime));
+        }
+      } catch {
+        objectUrl = null;
+      }
+      if (generation === proxyGeneration) finishProxy(img, st, failed, objectUrl);
+      done();
+    });
+    if (!sent) {
+      finishProxy(img, st, failed, null);
+      done();
+    }
+  }
+
+  function pumpProxyQueue() {
+    while (proxyActive < PROXY_CONCURRENCY && proxyQueue.length) {
+      const job = proxyQueue.shift();
+      proxyActive += 1;
+      runProxyJob(job, () => {
+        proxyActive -= 1;
+        pumpProxyQueue();
+      });
+    }
+  }
+
+  function requestProxy(img, st, failed) {
+    st.proxy = "pending";
+    proxyRequests += 1;
+    proxyQueue.push({ img, st, failed });
+    pumpProxyQueue();
+  }
+
+  // --- Moniteur d'images cassées (stats popup + "retry broken") ---
+
+  /** @type {Set<Element>} */
+  const brokenImages = new Set();
+  /** @type {Set<Node>} document + shadow roots écoutés (load/error ne traversent pas le shadow DOM) */
+  const monitoredRoots = new Set();
+  let patchedCount = 0;
+
+  // Abonné aux compteurs (badge de l'onglet, content.js) : au plus un appel par STATS_NOTIFY_DELAY_MS
+  let statsListener = null;
+  let statsNotifyTimer = null;
+
+  function scheduleStatsNotify() {
+    if (!statsListener || statsNotifyTimer) return;
+    statsNotifyTimer = setTimeout(() => {
+      statsNotifyTimer = null;
+      try {
+        statsListener(getImageStats());
+      } catch {
+        // no-op
+      }
+    }, STATS_NOTIFY_DELAY_MS);
+  }
+
+  function setBroken(img, broken) {
+    if (brokenImages.has(img) === !!broken) return;
+    if (broken) brokenImages.add(img);
+    else brokenImages.delete(img);
+    scheduleStatsNotify();
+  }
+
+  function hasPendingFallback(img) {
+    const st = fallbackState.get(img);
+    if (!st) return false;
+    if (st.proxy === "pending") return true;
+    if (img.getAttribute("src") !== st.candidates[st.index]) return false;
+    // Dernier candidat : le proxy extension prendra le relais
+    return st.index + 1 < st.candidates.length || canProxy(st);
+  }
+
+  function onMonitorError(ev) {
+    try {
+      const img = ev.target;
+      if (!img || img.tagName !== "IMG") return;
+      // La rotation de fallback va retenter : pas encore "cassée".
+      if (hasPendingFallback(img)) return;
+      setBroken(img, true);
+      markOverlay(img);
+    } catch {
+      // no-op
+    }
+  }
+
+  function onMonitorLoad(ev) {
     try {
-      // Support des URLs relatives
-      const url = new URL(raw, window.location.href);
+      const img = ev.target;
+      if (!img || img.tagName !== "IMG") return;
+      setBroken(img, img.naturalWidth === 0);
+      markOverlay(img);
+    } catch {
+      // no-op
+    }
+  }
+
+  function monitorRoot(root) {
+    if (!root || monitoredRoots.has(root)) return;
+    try {
+      // capture : les events load/error des <img> ne bubblent pas
+      root.addEventListener("error", onMonitorError, true);
+      root.addEventListener("load", onMonitorLoad, true);
+      monitoredRoots.add(root);
+      if (overlayEnabled) installOverlayStyle(root);
+    } catch {
+      // no-op
+    }
+  }
 
-      // Uniquement hosts s00..s10 ET pathname /media/...
-      if (!TARGET_HOST_REGEX.test(url.hostname)) return null;
-      if (!url.pathname || !url.pathname.startsWith("/media/")) return null;
+  function unmonitorAll() {
+    for (const root of monitoredRoots) {
+      try {
+        root.removeEventListener("error", onMonitorError, true);
+        root.removeEventListener("load", onMonitorLoad, true);
+      } catch {
+        // no-op
+      }
+    }
+    monitoredRoots.clear();
+  }
+
+  // Images déjà en échec avant notre passage (ex. "Fix this page now" après chargement)
+  function checkAlreadyBroken(img) {
+    try {
+      if (img.complete && img.naturalWidth === 0 && img.getAttribute("src")) {
+        if (!hasPendingFallback(img)) {
+          setBroken(img, true);
+          markOverlay(img);
+        }
+      }
+    } catch {
+      // no-op
+    }
+  }
+
+  function getImageStats() {
+    let broken = 0;
+    const brokenByHost = {};
+    for (const img of Array.from(brokenImages)) {
+      if (!img.isConnected) {
+        brokenImages.delete(img);
+        continue;
+      }
+      broken += 1;
+      const host = (RULES && RULES.hostOf(img.currentSrc || img.src)) || "?";
+      brokenByHost[host] = (brokenByHost[host] || 0) + 1;
+    }
+    return { patched: patchedCount, broken, brokenByHost };
+  }
 
-      const newUrl = `${window.location.protocol}//${window.location.host}${url.pathname}`;
-      if (newUrl === raw) return null;
-      return newUrl;
+  function cacheBustedUrl(url) {
+    try {
+      const u = new URL(url, window.location.href);
+      if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+      u.searchParams.set(RETRY_PARAM, Date.now().toString(36));
+      return u.href;
     } catch {
       return null;
     }
   }
 
-  function parseAndFixSrcset(srcsetValue, logger) {
-    const raw = String(srcsetValue || "").trim();
-    if (!raw) return { changed: false, value: raw, patchOps: 0 };
+  function retryBrokenImages(logger) {
+    let retried = 0;
+    for (const img of Array.from(brokenImages)) {
+      setBroken(img, false);
+      try {
+        if (!img.isConnected) continue;
+        const from = img.getAttribute("src") || img.currentSrc;
+        if (!cacheBustedUrl(from)) continue;
+        // Rotation terminée : le retry repart de l'URL courante, re-patchée si besoin (relance la
+        // rotation sNN ; écriture propre => ignorée par l'observer, d'où le patch explicite).
+        fallbackState.delete(img);
+        if (img.hasAttribute("srcset")) writeAttr(img, "srcset", null);
+        if (img.getAttribute("src") !== from) writeAttr(img, "src", from);
+        patchImage(img, logger);
+        // Cache-busting APRÈS la réécriture : une destination sans {search} ({pageOrigin}{path})
+        // le perdrait, et le retry retomberait sur la réponse en cache. Tous les candidats de la
+        // rotation le portent (sinon ils ne seraient plus reconnus comme tels).
+        const st = fallbackState.get(img);
+        if (st) st.candidates = st.candidates.map((u) => cacheBustedUrl(u) || u);
+        const next = st ? st.candidates[st.index] : cacheBustedUrl(img.getAttribute("src") || from);
+        if (!next) continue;
+        writeAttr(img, "src", next);
+        recordPatch(img, "src (retry)", from, next);
+        retried += 1;
+        if (logger) logger.recordExample("retry", from, next);
+      } catch {
+        // no-op
+      }
+    }
+    return retried;
+  }
 
-    const parts = raw.split(",");
-    let changed = false;
-    let patchOps = 0;
+  // --- Actions du menu contextuel (image cliquée) ---
+
+  /** @type {Element|null} dernière <img> sous un clic droit (shadow DOM inclus) */
+  let contextMenuImage = null;
+
+  function onContextMenu(ev) {
+    try {
+      const path = typeof ev.composedPath === "function" ? ev.composedPath() : [ev.target];
+      contextMenuImage = path.find((n) => n && n.tagName === "IMG") || null;
+    } catch {
+      contextMenuImage = null;
+    }
+  }
+
+  function imageMatchesSrc(img, srcUrl) {
+    return !!img && (img.currentSrc === srcUrl || img.src === srcUrl);
+  }
+
+  // srcUrl (info.srcUrl) = URL affichée au moment du clic : l'image ciblée, sinon la première qui l'affiche
+  function findImageBySrc(srcUrl) {
+    if (imageMatchesSrc(contextMenuImage, srcUrl) && contextMenuImage.isConnected) {
+      return contextMenuImage;
+    }
+    for (const root of [document, ...monitoredRoots]) {
+      try {
+        for (const img of root.querySelectorAll("img")) {
+          if (imageMatchesSrc(img, srcUrl)) return img;
+        }
+      } catch {
+        // no-op
+      }
+    }
+    return null;
+  }
+
+  // URL avant toute réécriture (valeur d'origine mémorisée par writeAttr)
+  function originalImageUrl(img) {
+    const saved = originalAttrs.get(img)?.get("src");
+    const raw = saved && saved.orig != null ? saved.orig : img.getAttribute("src") || img.src;
+    try {
+      return new URL(raw, window.location.href).href;
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * @param {"fix"|"retry_next"|"copy_fixed"|"open_original"} action
+   * @param {string} srcUrl
+   * @param {object} logger
+   * @returns {{ ok: boolean, error?: string, url?: string }} error codes:
+   *  not_found | no_rule | no_more_hosts | unknown_action
+   */
+  function runImageAction(action, srcUrl, logger) {
+    const img = findImageBySrc(String(srcUrl || ""));
+    if (!img) return { ok: false, error: "not_found" };
+    const original = originalImageUrl(img);
+
+    if (action === "open_original") {
+      return original ? { ok: true, url: original } : { ok: false, error: "not_found" };
+    }
+
+    if (action === "copy_fixed") {
+      const fixed = getFixedUrl(original);
+      return fixed ? { ok: true, url: fixed } : { ok: false, error: "no_rule" };
+    }
+
+    const st = fallbackState.get(img);
+    if (action === "retry_next" && st) {
+      const failed = st.candidates[st.index];
+      if (st.index + 1 >= st.candidates.length && !canProxy(st)) {
+        return { ok: false, error: "no_more_hosts" };
+      }
+      setBroken(img, false);
+      advanceFallback(img, st, failed);
+      scheduleFallbackSummary();
+      return { ok: true, url: img.getAttribute("src") || "" };
+    }
+
+    if (action === "fix" || action === "retry_next") {
+      // Rotation remise à zéro depuis l'URL d'origine (même chemin que le scan)
+      if (!getFixedUrl(original)) return { ok: false, error: "no_rule" };
+      fallbackState.delete(img);
+      setBroken(img, false);
+      if (img.getAttribute("src") !== original) writeAttr(img, "src", original);
+      patchImage(img, logger);
+      return { ok: true, url: img.getAttribute("src") || "" };
+    }
+    return { ok: false, error: "unknown_action" };
+  }
+
+  // --- Overlay debug (contours + tooltip) ---
+
+  /** @type {WeakMap<Element, { attr: string, from: string, to: string }[]>} */
+  const patchDetails = new WeakMap();
+  /** @type {Set<Element>} éléments réécrits (itérable pour (dé)marquer l'overlay) */
+  const patchedElements = new Set();
+  let overlayEnabled = false;
+  let overlayTip = null;
+
+  function recordPatch(el, attr, from, to) {
+    try {
+      // <source> n'est pas rendu : l'info va sur l'<img> du même <picture>
+      const target =
+        el.tagName === "SOURCE" ? el.parentElement?.querySelector("img") || el : el;
+      const list = patchDetails.get(target) || [];
+      list.push({ attr, from: String(from || ""), to: String(to || "") });
+      if (list.length > OVERLAY_MAX_DETAILS) list.shift();
+      patchDetails.set(target, list);
+      patchedElements.add(target);
+      markOverlay(target);
+    } catch {
+      // no-op
+    }
+  }
+
+  function markOverlay(el) {
+    try {
+      if (!overlayEnabled) return;
+      const mark = brokenImages.has(el) ? "broken" : patchDetails.has(el) ? "patched" : "";
+      if (!mark) el.removeAttribute(OVERLAY_ATTR);
+      else if (el.getAttribute(OVERLAY_ATTR) !== mark) el.setAttribute(OVERLAY_ATTR, mark);
+    } catch {
+      // no-op
+    }
+  }
+
+  function installOverlayStyle(root) {
+    try {
+      const host = root === document ? document.head || document.documentElement : root;
+      if (!host || host.querySelector?.(`#${OVERLAY_STYLE_ID}`)) return;
+      const style = document.createElement("style");
+      style.id = OVERLAY_STYLE_ID;
+      style.textContent = OVERLAY_CSS;
+      host.appendChild(style);
+    } catch {
+      // no-op
+    }
+  }
+
+  function removeOverlayStyle(root) {
+    try {
+      const host = root === document ? document : root;
+      host.querySelector?.(`#${OVERLAY_STYLE_ID}`)?.remove();
+    } catch {
+      // no-op
+    }
+  }
+
+  function shortUrl(u) {
+    const s = String(u || "");
+    return s.length > 140 ? `${s.slice(0, 137)}...` : s;
+  }
+
+  function describeForOverlay(el) {
+    const lines = [];
+    if (brokenImages.has(el)) lines.push(`[still broken] ${shortUrl(el.currentSrc || el.src)}`);
+    for (const d of patchDetails.get(el) || []) {
+      lines.push(`${d.attr}: ${shortUrl(d.from)}\n  -> ${shortUrl(d.to)}`);
+    }
+    return lines.join("\n");
+  }
+
+  function onOverlayMouseOver(ev) {
+    try {
+      // composedPath()[0] : vraie cible, y compris dans un shadow root
+      const el = (ev.composedPath ? ev.composedPath()[0] : ev.target) || null;
+      const text = el && el.nodeType === Node.ELEMENT_NODE ? describeForOverlay(el) : "";
+      if (!text) {
+        if (overlayTip) overlayTip.style.display = "none";
+        return;
+      }
+      if (!overlayTip || !overlayTip.isConnected) {
+        overlayTip = document.createElement("div");
+        overlayTip.id = OVERLAY_TIP_ID;
+        overlayTip.style.cssText =
+          "position:fixed;z-index:2147483647;pointer-events:none;max-width:480px;" +
+          "padding:6px 8px;border-radius:6px;background:rgba(17,24,39,.95);color:#fff;" +
+          "font:11px/1.4 ui-monospace,monospace;white-space:pre-wrap;word-break:break-all;";
+        document.documentElement.appendChild(overlayTip);
+      }
+      overlayTip.textContent = text;
+      overlayTip.style.left = `${Math.min(ev.clientX + 12, window.innerWidth - 300)}px`;
+      overlayTip.style.top = `${Math.min(ev.clientY + 12, window.innerHeight - 80)}px`;
+      overlayTip.style.display = "block";
+    } catch {
+      // no-op
+    }
+  }
+
+  /**
+   * Toggle the debug overlay (no reload needed).
+   * @param {boolean} enabled
+   */
+  function setOverlay(enabled) {
+    const next = !!enabled;
+    if (next === overlayEnabled) return;
+    overlayEnabled = next;
+
+    const roots = [document, ...Array.from(monitoredRoots).filter((r) => r !== document)];
+    try {
+      if (next) {
+        roots.forEach(installOverlayStyle);
+        document.addEventListener("mouseover", onOverlayMouseOver, true);
+      } else {
+        roots.forEach(removeOverlayStyle);
+        document.removeEventListener("mouseover", onOverlayMouseOver, true);
+        overlayTip?.remove();
+        overlayTip = null;
+      }
+    } catch {
+      // no-op
+    }
 
-    const newParts = parts.map((part) => {
-      const trimmed = part.trim();
-      if (!trimmed) return trimmed;
+    for (const el of [...patchedElements, ...brokenImages]) {
+      if (!el.isConnected) {
+        patchedElements.delete(el);
+        continue;
+      }
+      if (next) markOverlay(el);
+      else el.removeAttribute?.(OVERLAY_ATTR);
+    }
+  }
 
-      const [urlToken, ...descriptors] = trimmed.split(/\s+/);
-      const fixed = getFixedUrl(urlToken);
-      if (!fixed) return trimmed;
+  // --- srcset (parse / rewrite : rewrite_rules.js, partagé avec main_world_patch.js) ---
 
-      changed = true;
+  function parseAndFixSrcset(srcsetValue, logger) {
+    let patchOps = 0;
+    if (!RULES) return { changed: false, value: String(srcsetValue || ""), patchOps };
+    const res = RULES.rewriteSrcset(srcsetValue, (url) => {
+      const fixed = getFixedUrl(url);
+      if (!fixed) return null;
       patchOps += 1;
-      if (logger) logger.recordExample("srcset", urlToken, fixed);
-      return [fixed, ...descriptors].join(" ");
+      if (logger) logger.recordExample("srcset", url, fixed);
+      return fixed;
     });
-
-    return { changed, value: newParts.join(", "), patchOps };
+    return { changed: res.changed, value: res.value, patchOps };
   }
 
   function patchAttribute(el, attrName, logger) {
@@ -175,7 +1001,8 @@
       const raw = el.getAttribute(attrName);
       const fixed = getFixedUrl(raw);
       if (fixed) {
-        el.setAttribute(attrName, fixed);
+        writeAttr(el, attrName, fixed);
+        recordPatch(el, attrName, raw, fixed);
         patchOps += 1;
         if (logger) logger.recordExample(attrName, raw, fixed);
       }
@@ -192,13 +1019,24 @@
     // 1) src (préférer l'attribut brut)
     try {
       const rawSrc = img.getAttribute("src");
-      const fixed = getFixedUrl(rawSrc) || getFixedUrl(img.src);
-      if (fixed) {
-        // anti-boucle: ne pas réécrire si déjà sur host courant
-        img.setAttribute("src", fixed);
+      // Candidat de fallback posé par nous : ne pas le "re-corriger" vers le host courant.
+      const fixed = isFallbackSrc(img, rawSrc) ? null : getFixedUrl(rawSrc) || getFixedUrl(img.src);
+      // anti-boucle: ne pas réécrire si déjà sur host courant
+      const original = fixed ? new URL(rawSrc || img.src, window.location.href).href : "";
+      const candidates = fixed
+        ? RULES.rankCandidates(RULES.buildFallbackCandidates(original, fixed), hostHealth, {
+            max: RULES.FALLBACK_MAX_HOSTS,
+            skipHosts: deadFallbackHosts(),
+          })
+        : [];
+      // Seule l'URL d'origine reste (tous les hosts abandonnés pour la page) : rien à réécrire.
+      if (candidates.length > 1) {
+        writeAttr(img, "src", candidates[0]);
+        recordPatch(img, "src", rawSrc || img.src, candidates[0]);
+        armFallback(img, candidates);
         patchOps += 1;
         patched = true;
-        if (logger) logger.recordExample("src", rawSrc || img.src, fixed);
+        if (logger) logger.recordExample("src", rawSrc || img.src, candidates[0]);
       }
     } catch {
       // no-op
@@ -210,7 +1048,8 @@
       if (rawSrcset) {
         const res = parseAndFixSrcset(rawSrcset, logger);
         if (res.changed) {
-          img.setAttribute("srcset", res.value);
+          writeAttr(img, "srcset", res.value);
+          recordPatch(img, "srcset", rawSrcset, res.value);
           patchOps += res.patchOps;
           patched = true;
         }
@@ -231,123 +1070,423 @@
     return { patched, patchOps };
   }
 
-  function scan(root, logger, reason) {
-    let imgsSeen = 0;
-    let imagesPatched = 0;
+  function patchSource(source, logger) {
+    let patchOps = 0;
+    let patched = false;
+
+    for (const attr of SOURCE_SRCSET_ATTRS) {
+      try {
+        const raw = source.getAttribute(attr);
+        if (!raw) continue;
+        const res = parseAndFixSrcset(raw, logger);
+        if (res.changed) {
+          writeAttr(source, attr, res.value);
+          recordPatch(source, attr, raw, res.value);
+          patchOps += res.patchOps;
+          patched = true;
+        }
+      } catch {
+        // no-op
+      }
+    }
+
+    return { patched, patchOps };
+  }
+
+  function fixCssUrls(cssText, logger) {
     let patchOps = 0;
+    const value = String(cssText || "").replace(CSS_URL_REGEX, (token, quote, inner) => {
+      const fixed = getFixedUrl(inner);
+      if (!fixed) return token;
+      patchOps += 1;
+      if (logger) logger.recordExample("style", inner, fixed);
+      return `url(${quote}${fixed}${quote})`;
+    });
+    return { changed: patchOps > 0, value, patchOps };
+  }
 
+  function patchInlineStyle(el, logger) {
     try {
-      const imgs = root.querySelectorAll ? root.querySelectorAll("img") : [];
-      imgsSeen = imgs.length;
-      imgs.forEach((img) => {
-        const r = patchImage(img, logger);
-        patchOps += r.patchOps;
-        if (r.patched) imagesPatched += 1;
-      });
+      const raw = el.getAttribute("style");
+      if (!raw || !/url\(/i.test(raw)) return 0;
+      const res = fixCssUrls(raw, logger);
+      if (!res.changed) return 0;
+      writeAttr(el, "style", res.value);
+      recordPatch(el, "style", raw, res.value);
+      return res.patchOps;
+    } catch {
+      return 0;
+    }
+  }
+
+  function isImagePreload(el) {
+    const rel = String(el.getAttribute("rel") || "").toLowerCase().split(/\s+/);
+    return rel.includes("preload") && String(el.getAttribute("as") || "").toLowerCase() === "image";
+  }
+
+  function patchMedia(el, logger) {
+    let patchOps = 0;
+
+    if (el.tagName === "VIDEO") {
+      patchOps += patchAttribute(el, "poster", logger);
+    } else if (el.tagName === "LINK" && isImagePreload(el)) {
+      patchOps += patchAttribute(el, "href", logger);
+      try {
+        const raw = el.getAttribute("imagesrcset");
+        if (raw) {
+          const res = parseAndFixSrcset(raw, logger);
+          if (res.changed) {
+            writeAttr(el, "imagesrcset", res.value);
+            recordPatch(el, "imagesrcset", raw, res.value);
+            patchOps += res.patchOps;
+          }
+        }
+      } catch {
+        // no-op
+      }
+    } else if (
+      el.tagName === "META" &&
+      String(el.getAttribute("property") || "").toLowerCase() === "og:image"
+    ) {
+      patchOps += patchAttribute(el, "content", logger);
+    }
+
+    patchOps += patchInlineStyle(el, logger);
+    return { patched: patchOps > 0, patchOps };
+  }
+
+  function newCounters() {
+    return {
+      imgsSeen: 0,
+      sourcesSeen: 0,
+      mediaSeen: 0,
+      imagesPatched: 0,
+      patchOps: 0,
+      shadowRoots: 0,
+      skippedSettled: 0,
+    };
+  }
+
+  function patchElement(el, logger, counters) {
+    let r = null;
+    if (el.tagName === "IMG") {
+      counters.imgsSeen += 1;
+      r = patchImage(el, logger);
+      // un <img> peut aussi porter un background inline (placeholder)
+      const styleOps = patchInlineStyle(el, logger);
+      if (styleOps) r = { patched: true, patchOps: r.patchOps + styleOps };
+      if (!r.patched) checkAlreadyBroken(el);
+    } else if (el.tagName === "SOURCE" && el.parentElement?.tagName === "PICTURE") {
+      counters.sourcesSeen += 1;
+      r = patchSource(el, logger);
+    } else if (el.matches?.(TARGET_SELECTOR)) {
+      counters.mediaSeen += 1;
+      r = patchMedia(el, logger);
+    }
+    if (!r) return;
+    counters.patchOps += r.patchOps;
+    if (r.patched) {
+      counters.imagesPatched += 1;
+      patchedCount += 1;
+      scheduleStatsNotify();
+    }
+  }
+
+  // Élément déjà vu et correct : rien à refaire tant qu'un attribut observé ne change pas.
+  function patchElementOnce(el, logger, counters, settled) {
+    if (settled && settled.has(el)) {
+      counters.skippedSettled += 1;
+      return;
+    }
+    patchElement(el, logger, counters);
+    if (settled) settled.add(el);
+  }
+
+  /**
+   * Patch every target under `root` (root included), descending into open shadow roots.
+   * @param {Node} root document, element or ShadowRoot
+   * @param {(shadowRoot: ShadowRoot) => void} [onShadowRoot] called for each open shadow root found
+   * @param {WeakSet<Element>} [settled] already-correct elements (skipped, then filled)
+   */
+  function patchTree(root, logger, counters, onShadowRoot, settled) {
+    try {
+      const isElement = root.nodeType === Node.ELEMENT_NODE;
+      if (isElement && root.matches?.(TARGET_SELECTOR)) {
+        patchElementOnce(root, logger, counters, settled);
+      }
+      if (!root.querySelectorAll) return;
+      root
+        .querySelectorAll(TARGET_SELECTOR)
+        .forEach((el) => patchElementOnce(el, logger, counters, settled));
+
+      // Shadow roots "closed" => shadowRoot === null : inaccessibles, ignorés.
+      const visitHost = (el) => {
+        const sr = el.shadowRoot;
+        if (!sr) return;
+        counters.shadowRoots += 1;
+        if (onShadowRoot) onShadowRoot(sr);
+        patchTree(sr, logger, counters, onShadowRoot, settled);
+      };
+      if (isElement) visitHost(root);
+      root.querySelectorAll("*").forEach(visitHost);
     } catch {
       // no-op
     }
+  }
+
+  function scan(root, logger, reason, onShadowRoot, settled) {
+    const t0 = perfNow();
+    const counters = newCounters();
+    patchTree(root, logger, counters, onShadowRoot, settled);
+    const timing = { ms: roundMs(perfNow() - t0) };
 
     if (logger) {
-      logger.flushSummary({ reason, imgsSeen, imagesPatched, patchOps });
+      logger.flushSummary({ reason, ...counters, timing });
+    }
+    return { ...counters, timing };
+  }
+
+  // Mutation d'attribut causée par writeAttr() (valeur encore identique à notre écriture)
+  function isSelfWrite(el, attr) {
+    try {
+      const rec = originalAttrs.get(el)?.get(attr);
+      return !!rec && el.getAttribute(attr) === rec.written;
+    } catch {
+      return false;
+    }
+  }
+
+  function requestIdle(cb) {
+    try {
+      if (typeof requestIdleCallback === "function") {
+        return { idle: requestIdleCallback(cb, { timeout: IDLE_TIMEOUT_MS }) };
+      }
+    } catch {
+      // no-op
+    }
+    return { timer: setTimeout(() => cb(null), 0) };
+  }
+
+  function cancelIdle(handle) {
+    try {
+      if (!handle) return;
+      if (handle.idle != null) cancelIdleCallback(handle.idle);
+      if (handle.timer != null) clearTimeout(handle.timer);
+    } catch {
+      // no-op
     }
-    return { imgsSeen, imagesPatched, patchOps };
   }
 
   function createRunner() {
     const state = {
       observer: null,
+      observedRoots: null,
       running: false,
+      debug: false,
       lastConfig: null,
+      // Règles du dernier run (JSON de l'entrée) : settled n'est remis à zéro que si elles changent
+      rulesKey: null,
+      // Un seul logger par run (scan initial + batches de mutations)
+      logger: null,
+      settled: new WeakSet(),
+      pendingTrees: new Set(),
+      pendingElements: new Set(),
+      drainHandle: null,
+      batch: null,
     };
 
-    function stop() {
+    function newBatch() {
+      return { counters: newCounters(), queued: 0, skippedSelf: 0, slices: 0, ms: 0, maxSliceMs: 0 };
+    }
+
+    // Coupe observer + moniteur sans toucher au DOM (utilisé par le restart de run()).
+    function disconnect() {
       try {
         state.observer?.disconnect();
       } catch {
         // no-op
       }
+      cancelIdle(state.drainHandle);
+      state.drainHandle = null;
+      state.pendingTrees.clear();
+      state.pendingElements.clear();
       state.observer = null;
+      state.observedRoots = null;
       state.running = false;
+      unmonitorAll();
     }
 
-    function start({ debug, observe, reason }) {
-      const logger = createLogger(debug);
+    /**
+     * Stop patching and restore the original attribute values.
+     * @returns {{ reverted: number }}
+     */
+    function stop() {
+      disconnect();
+      setOverlay(false);
+      const reverted = revertAll();
+      // Valeurs d'origine restaurées : plus rien n'est "déjà correct"
+      state.settled = new WeakSet();
+      revokeProxyUrls();
+      if (reverted) createLogger(state.debug).flushSummary({ reason: "revert", reverted });
+      return { reverted };
+    }
 
-      // Scan initial
-      scan(document, logger, reason || "initial");
+    const OBSERVER_OPTIONS = {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["src", "srcset", ...LAZY_ATTRS, ...SOURCE_SRCSET_ATTRS, ...MEDIA_ATTRS],
+    };
 
-      if (!observe) return { startedObserver: false };
-      if (state.running) return { startedObserver: false };
+    function observeRoot(root) {
+      if (!state.observer || !state.observedRoots || state.observedRoots.has(root)) return;
+      try {
+        state.observer.observe(root, OBSERVER_OPTIONS);
+        state.observedRoots.add(root);
+      } catch {
+        // no-op
+      }
+    }
 
-      const root = document.documentElement;
-      if (!root) return { startedObserver: false };
+    // Shadow root ouvert : observer les mutations + écouter load/error (non "composed")
+    function watchShadowRoot(root) {
+      monitorRoot(root);
+      observeRoot(root);
+    }
+
+    function takeFirst(set) {
+      const it = set.values().next();
+      if (it.done) return null;
+      set.delete(it.value);
+      return it.value;
+    }
+
+    function scheduleDrain() {
+      if (state.drainHandle) return;
+      state.drainHandle = requestIdle(drain);
+    }
+
+    /**
+     * Process queued elements/subtrees until the idle deadline (or SLICE_BUDGET_MS) runs out.
+     * @param {IdleDeadline|null} deadline
+     */
+    function drain(deadline) {
+      state.drainHandle = null;
+      const batch = state.batch || (state.batch = newBatch());
+      const t0 = perfNow();
+      const useDeadline =
+        !!deadline && typeof deadline.timeRemaining === "function" && !deadline.didTimeout;
+      const hasTime = () =>
+        useDeadline ? deadline.timeRemaining() > 1 : perfNow() - t0 < SLICE_BUDGET_MS;
 
       try {
-        state.observer = new MutationObserver((mutations) => {
-          // batch minimal : patch seulement éléments ajoutés / attributs modifiés
-          const batchLogger = createLogger(debug);
-          let imgsSeen = 0;
-          let imagesPatched = 0;
-          let patchOps = 0;
-
-          try {
-            for (const m of mutations) {
-              if (m.type === "childList") {
-                for (const node of m.addedNodes) {
-                  if (node.nodeType !== Node.ELEMENT_NODE) continue;
-                  if (node.tagName === "IMG") {
-                    imgsSeen += 1;
-                    const r = patchImage(node, batchLogger);
-                    patchOps += r.patchOps;
-                    if (r.patched) imagesPatched += 1;
-                  } else if (node.querySelectorAll) {
-                    const imgs = node.querySelectorAll("img");
-                    imgsSeen += imgs.length;
-                    imgs.forEach((img) => {
-                      const r = patchImage(img, batchLogger);
-                      patchOps += r.patchOps;
-                      if (r.patched) imagesPatched += 1;
-                    });
-                  }
-                }
-              } else if (m.type === "attributes" && m.target?.tagName === "IMG") {
-                const a = m.attributeName;
-                if (a === "src" || a === "srcset" || LAZY_ATTRS.includes(a)) {
-                  imgsSeen += 1;
-                  const r = patchImage(m.target, batchLogger);
-                  patchOps += r.patchOps;
-                  if (r.patched) imagesPatched += 1;
-                }
-              }
-            }
-          } catch {
-            // no-op
+        // Au moins un élément par tranche (progression garantie)
+        do {
+          const el = takeFirst(state.pendingElements);
+          if (el) {
+            patchElementOnce(el, state.logger, batch.counters, state.settled);
+            continue;
           }
-
-          if (imgsSeen > 0) {
-            batchLogger.flushSummary({
-              reason: "mutation",
-              imgsSeen,
-              imagesPatched,
-              patchOps,
-            });
+          const node = takeFirst(state.pendingTrees);
+          if (!node) break;
+          if (node.isConnected !== false) {
+            patchTree(node, state.logger, batch.counters, watchShadowRoot, state.settled);
           }
-        });
+        } while (hasTime());
+      } catch {
+        // no-op
+      }
+
+      const sliceMs = perfNow() - t0;
+      batch.slices += 1;
+      batch.ms += sliceMs;
+      batch.maxSliceMs = Math.max(batch.maxSliceMs, sliceMs);
+
+      if (state.pendingElements.size || state.pendingTrees.size) {
+        scheduleDrain();
+        return;
+      }
 
-        state.observer.observe(root, {
-          childList: true,
-          subtree: true,
-          attributes: true,
-          attributeFilter: ["src", "srcset", ...LAZY_ATTRS],
+      // File vide : un résumé par rafale de mutations
+      state.batch = null;
+      pruneDetached();
+      const c = batch.counters;
+      if (c.imgsSeen + c.sourcesSeen + c.mediaSeen + c.skippedSettled + batch.skippedSelf > 0) {
+        state.logger?.flushSummary({
+          reason: "mutation",
+          ...c,
+          queued: batch.queued,
+          skippedSelf: batch.skippedSelf,
+          timing: {
+            ms: roundMs(batch.ms),
+            slices: batch.slices,
+            maxSliceMs: roundMs(batch.maxSliceMs),
+          },
         });
+      }
+    }
 
-        state.running = true;
-        return { startedObserver: true };
+    function onMutations(mutations) {
+      const batch = state.batch || (state.batch = newBatch());
+      try {
+        for (const m of mutations) {
+          if (m.type === "childList") {
+            for (const node of m.addedNodes) {
+              if (node.nodeType !== Node.ELEMENT_NODE) continue;
+              state.pendingTrees.add(node);
+              batch.queued += 1;
+            }
+            // Un élément retiré peut être modifié hors observation puis ré-inséré.
+            for (const node of m.removedNodes) {
+              if (node.nodeType !== Node.ELEMENT_NODE) continue;
+              state.settled.delete(node);
+              node.querySelectorAll?.(TARGET_SELECTOR).forEach((el) => state.settled.delete(el));
+            }
+          } else if (m.type === "attributes" && m.target) {
+            if (isSelfWrite(m.target, m.attributeName)) {
+              batch.skippedSelf += 1;
+              continue;
+            }
+            state.settled.delete(m.target);
+            state.pendingElements.add(m.target);
+            batch.queued += 1;
+          }
+        }
       } catch {
-        stop();
-        return { startedObserver: false };
+        // no-op
+      }
+      if (state.pendingElements.size || state.pendingTrees.size) scheduleDrain();
+    }
+
+    function start({ debug, observe, reason, rulesChanged }) {
+      const logger = createLogger(debug);
+      state.logger = logger;
+      // Nouvelles règles : tout re-vérifier ; sinon les éléments déjà corrects restent sautés
+      if (rulesChanged) state.settled = new WeakSet();
+      fallbackLogger = createLogger(debug);
+      state.debug = debug;
+      loadHostHealth();
+      monitorRoot(document);
+
+      let startedObserver = false;
+      const root = document.documentElement;
+
+      if (observe && !state.running && root) {
+        try {
+          state.observedRoots = new WeakSet();
+          state.observer = new MutationObserver(onMutations);
+          observeRoot(root);
+          state.running = true;
+          startedObserver = true;
+        } catch {
+          disconnect();
+        }
       }
+
+      // Scan initial (branche aussi l'observer sur chaque shadow root ouvert rencontré)
+      scan(document, logger, reason || "initial", watchShadowRoot, state.settled);
+
+      return { startedObserver };
     }
 
     /**
@@ -358,6 +1497,8 @@
      *  whitelist?: string[],
      *  force?: boolean,
      *  observe?: boolean,
+     *  rules?: object[],
+     *  overlay?: boolean,
      *  reason?: string
      * }} opts
      */
@@ -369,24 +1510,86 @@
       const force = !!options.force;
       const observe = options.observe !== false; // default true
 
-      const allowed = force ? true : isHostAllowed(window.location.hostname, whitelist);
+      // Règles de réécriture (settings) ; fallback règles par défaut si absentes
+      const rules = Array.isArray(options.rules) ? options.rules : RULES?.DEFAULT_REWRITE_RULES;
+      const rulesKey = JSON.stringify(rules || null);
+      const rulesChanged = rulesKey !== state.rulesKey;
+      if (RULES && rulesChanged) activeRules = RULES.compileRules(rules);
+      state.rulesKey = rulesKey;
+
+      const allowed = force ? true : isPageAllowed(whitelist);
       if (!enabled || !allowed) {
         stop();
         return { ran: false, enabled, allowed };
       }
 
-      // (Re)start
-      stop();
-      start({ debug, observe, reason: options.reason || (force ? "manual" : "auto") });
+      // (Re)start : pas de revert ici, les valeurs déjà corrigées restent en place. Observer,
+      // file en attente et settled sont gardés (debug / overlay / whitelist : rescan à vide).
+      if (state.running && !observe) disconnect();
+      start({
+        debug,
+        observe,
+        reason: options.reason || (force ? "manual" : "auto"),
+        rulesChanged,
+      });
+      setOverlay(!!options.overlay);
       return { ran: true, enabled, allowed };
     }
 
-    return { run, stop };
+    /**
+     * Images counters for the popup status.
+     * @returns {{ patched: number, broken: number, brokenByHost: Record<string, number> }}
+     */
+    function getStats() {
+      return getImageStats();
+    }
+
+    /**
+     * Be told when the image counters change (batched), instead of polling getStats().
+     * @param {((stats: ReturnType<typeof getStats>) => void)|null} listener
+     */
+    function onStatsChange(listener) {
+      statsListener = typeof listener === "function" ? listener : null;
+      if (statsListener) scheduleStatsNotify();
+    }
+
+    /**
+     * Re-request images still broken, with a cache-busting query param.
+     * @returns {{ retried: number }}
+     */
+    function retryBroken() {
+      const logger = createLogger(state.debug);
+      const retried = retryBrokenImages(logger);
+      logger.flushSummary({ reason: "retry", retried });
+      return { retried };
+    }
+
+    /**
+     * Context menu action on one image (works even when auto-fix is off, like "Fix this page now").
+     * @param {string} action see runImageAction()
+     * @param {string} srcUrl
+     */
+    function imageAction(action, srcUrl) {
+      const logger = createLogger(state.debug);
+      try {
+        const res = runImageAction(action, srcUrl, logger);
+        logger.log("imageAction", { action, srcUrl, ...res });
+        return res;
+      } catch (e) {
+        return { ok: false, error: String(e?.message || e) };
+      }
+    }
+
+    return { run, stop, getStats, onStatsChange, retryBroken, imageAction };
   }
 
   // Export global
-  if (!window[NAMESPACE]) {
+  if (typeof window !== "undefined" && !window[NAMESPACE]) {
     window[NAMESPACE] = createRunner();
+    // Navigation : libère les URLs blob: du proxy
+    window.addEventListener("pagehide", revokeProxyUrls);
+    // Cible du clic droit (menu contextuel "Fix this image"...)
+    window.addEventListener("contextmenu", onContextMenu, true);
   }
 })();
 
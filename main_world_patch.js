@@ -0,0 +1,123 @@
+/**
+ * main_world_patch.js (publishable)
+ *
+ * Interception optionnelle dans le monde MAIN de la page (option "Intercept before load").
+ * Enregistré par le service worker (chrome.scripting.registerContentScripts, world: "MAIN"),
+ * précédé de rewrite_rules.js dans le même monde.
+ *
+ * - Réécrit les URLs d'images AU MOMENT de l'affectation, avant la requête réseau :
+ *   setters HTMLImageElement.prototype.src / srcset, HTMLSourceElement.prototype.srcset,
+ *   Element.prototype.setAttribute ("src" / "srcset" sur <img> / <source>)
+ * - new Image() : même prototype HTMLImageElement => couvert par les setters, y compris
+ *   pour les images jamais attachées au DOM
+ * - Config (enabled + règles) envoyée par content.js (monde isolé) via CustomEvent (detail JSON) ;
+ *   au démarrage le script la redemande. En attendant : inactif (l'enregistrement ignore les
+ *   exclusions, les chemins des entrées et la pause par onglet ; content.js les applique).
+ * - Les setters d'origine sont toujours appelés ; zéro exception non catchée.
+ */
+
+(function () {
+  const FLAG = "__MP_IMAGE_FIX_MAIN__";
+  // Événements partagés avec content.js
+  const CONFIG_EVENT = "mp-fix:main-config";
+  const READY_EVENT = "mp-fix:main-ready";
+
+  if (window[FLAG]) return;
+  window[FLAG] = true;
+
+  const RULES = window.MP_REWRITE_RULES;
+  if (!RULES) return;
+
+  // Off until content.js confirms the page is allowed (see header).
+  let enabled = false;
+  let compiled = RULES.compileRules(RULES.DEFAULT_REWRITE_RULES);
+
+  function fixUrl(value) {
+    if (!enabled) return null;
+    try {
+      const res = RULES.rewriteUrl(String(value || ""), compiled, window.location);
+      return res ? res.url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // srcset : même découpage WHATWG que le monde isolé (rewrite_rules.js)
+  function fixSrcset(value) {
+    if (!enabled || !String(value || "").trim()) return null;
+    const res = RULES.rewriteSrcset(value, fixUrl);
+    return res.changed ? res.value : null;
+  }
+
+  function fixValue(attr, value) {
+    try {
+      const fixed = attr === "srcset" ? fixSrcset(value) : fixUrl(value);
+      return fixed || value;
+    } catch {
+      return value;
+    }
+  }
+
+  function wrapSetter(proto, prop) {
+    try {
+      const desc = Object.getOwnPropertyDescriptor(proto, prop);
+      if (!desc || typeof desc.set !== "function" || !desc.configurable) return;
+      const originalSet = desc.set;
+      Object.defineProperty(proto, prop, {
+        ...desc,
+        set(value) {
+          originalSet.call(this, fixValue(prop, value));
+        },
+      });
+    } catch {
+      // no-op
+    }
+  }
+
+  function wrapSetAttribute() {
+    try {
+      const originalSetAttribute = Element.prototype.setAttribute;
+      Element.prototype.setAttribute = function setAttribute(name, value) {
+        let next = value;
+        try {
+          const tag = this.tagName;
+          if (tag === "IMG" || tag === "SOURCE") {
+            const attr = String(name).toLowerCase();
+            if (attr === "srcset" || (attr === "src" && tag === "IMG"))
+              next = fixValue(attr, value);
+          }
+        } catch {
+          // no-op
+        }
+        return originalSetAttribute.call(this, name, next);
+      };
+    } catch {
+      // no-op
+    }
+  }
+
+  function applyConfig(detail) {
+    try {
+      const cfg = JSON.parse(String(detail || "null"));
+      if (!cfg || typeof cfg !== "object") return;
+      enabled = cfg.enabled !== false;
+      compiled = RULES.compileRules(
+        Array.isArray(cfg.rules) ? cfg.rules : RULES.DEFAULT_REWRITE_RULES
+      );
+    } catch {
+      // no-op
+    }
+  }
+
+  wrapSetter(HTMLImageElement.prototype, "src");
+  wrapSetter(HTMLImageElement.prototype, "srcset");
+  wrapSetter(HTMLSourceElement.prototype, "srcset");
+  wrapSetAttribute();
+
+  try {
+    document.addEventListener(CONFIG_EVENT, (ev) => applyConfig(ev.detail));
+    document.dispatchEvent(new CustomEvent(READY_EVENT));
+  } catch {
+    // no-op
+  }
+})();
@@ -22,8 +22,7 @@
   const MD_MATCH_STATE_KEY = "md_match_state";
   const MD_MATCH_RESULTS_KEY = "md_match_results";
   const MD_MATCH_CANCEL_KEY = "md_match_cancel";
-  // MangaDex advanced auth (opt-in)
-  const MD_AUTH_SETTINGS_KEY = "md_auth_settings"; // local
+  // MangaDex advanced auth (opt-in; credentials are edited in options.html#mangadex)
   const MD_FOLLOW_CANCEL_KEY = "md_follow_cancel";
   const MD_FOLLOW_SETTINGS_KEY = "md_follow_settings"; // local: { threshold, noOpenAfterFollow }
   const MD_FOLLOW_BATCH_STATE_KEY = "md_follow_batch_state"; // local (written by service worker)
@@ -45,10 +44,11 @@
     theme: "dark",
   };
 
-  const LOCALES_BASE_PATH = "_locales";
-
   // Utils (pure helpers). Loaded via <script src="migrate_utils.js"> before this file.
   const U = window.MP_MIGRATE_UTILS;
+  // Storage schema (settings_schema.js) and IndexedDB store (bulk_store.js), loaded the same way.
+  const SCHEMA = window.MP_SETTINGS_SCHEMA;
+  const BULK = window.MP_BULK_STORE;
 
   function $(id) {
     return document.getElementById(id);
@@ -139,7 +139,7 @@
     return "sync";
   }
 
-  async function getFromStorage(keys) {
+  async function getSharedFromStorage(keys) {
     const mode = await getStorageMode();
     if (mode === "local") {
       const localRes = await storageGet(chrome.storage.local, keys);
@@ -155,7 +155,7 @@
     return { area: "none", data: {} };
   }
 
-  async function setToStorage(items) {
+  async function setSharedToStorage(items) {
     const mode = await getStorageMode();
     if (mode === "local") {
       const rLocal = await storageSet(chrome.storage.local, items);
@@ -173,85 +173,49 @@
     return rLocal.ok;
   }
 
-  // i18n
-  let i18nDict = null;
-
-  function applyTheme(theme) {
-    try {
-      const t = String(theme || "dark").toLowerCase();
-      // Figma Make uses `.dark` class on the root wrapper.
-      document.documentElement.classList.toggle("dark", t === "dark");
-      const root = document.getElementById("root");
-      if (root) root.classList.toggle("dark", t === "dark");
-    } catch {
-      // no-op
+  // Device-only keys (settings_schema.js) bypass the storage mode: export / MangaDex state in
+  // chrome.storage.local, bulk datasets (follow exports, match results) in IndexedDB.
+  async function getFromStorage(keys) {
+    const { bulk, local, shared } = SCHEMA
+      ? SCHEMA.splitKeys(keys)
+      : { bulk: [], local: [], shared: keys };
+    const res = shared.length ? await getSharedFromStorage(shared) : { area: "local", data: {} };
+    const data = { ...res.data };
+    if (local.length) {
+      const localRes = await storageGet(chrome.storage.local, local);
+      if (!localRes.__error) Object.assign(data, localRes);
     }
+    if (bulk.length && BULK) {
+      const bulkRes = await BULK.get(bulk);
+      if (bulkRes.ok) Object.assign(data, bulkRes.data);
+    }
+    return { area: res.area, data };
   }
 
-  async function loadLocaleDict(lang) {
-    const locale = String(lang || "").toLowerCase();
-    if (!locale || locale === "auto") return null;
-    const candidates = [locale, "en"];
-    for (const cand of candidates) {
-      try {
-        const url = chrome.runtime.getURL(`${LOCALES_BASE_PATH}/${cand}/messages.json`);
-        const res = await fetch(url, { cache: "no-store" });
-        if (!res.ok) continue;
-        const json = await res.json();
-        const dict = {};
-        for (const [k, v] of Object.entries(json || {})) {
-          if (v && typeof v.message === "string") dict[k] = v.message;
-        }
-        return dict;
-      } catch {
-        // try next
-      }
+  async function setToStorage(items) {
+    const { bulk, local, shared } = SCHEMA
+      ? SCHEMA.splitItems(items)
+      : { bulk: {}, local: {}, shared: items };
+    if (Object.keys(bulk).length && !(BULK && (await BULK.set(bulk)).ok)) return false;
+    if (Object.keys(local).length && !(await storageSet(chrome.storage.local, local)).ok) {
+      return false;
     }
-    return null;
+    return Object.keys(shared).length ? setSharedToStorage(shared) : true;
   }
 
-  function t(key, substitutions) {
-    const k = String(key || "");
-    const subs = Array.isArray(substitutions) ? substitutions : [];
-
-    if (i18nDict && typeof i18nDict[k] === "string") {
-      let s = i18nDict[k];
-      for (let i = 0; i < subs.length && i < 9; i += 1) {
-        const idx = i + 1;
-        s = s.replaceAll(`$${idx}`, String(subs[i]));
-        s = s.replaceAll(`$${idx}$`, String(subs[i]));
-      }
-      return s;
-    }
+  // i18n + theme (ui_i18n.js, shared with the popup and options.html)
+  const I18N = window.MP_UI_I18N.createI18n();
 
-    try {
-      const msg = chrome.i18n.getMessage(k, subs);
-      return msg || "";
-    } catch {
-      return "";
-    }
+  function applyTheme(theme) {
+    window.MP_UI_I18N.applyTheme(theme);
   }
 
-  function applyI18nToDom() {
-    document.querySelectorAll("[data-i18n]").forEach((el) => {
-      const key = el.getAttribute("data-i18n");
-      const value = t(key);
-      if (value) el.textContent = value;
-    });
-
-    // Titles/tooltips
-    document.querySelectorAll("[data-i18n-title]").forEach((el) => {
-      const key = el.getAttribute("data-i18n-title");
-      const value = t(key);
-      if (value) el.setAttribute("title", value);
-    });
+  function t(key, substitutions) {
+    return I18N.t(key, substitutions);
+  }
 
-    // aria-label
-    document.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
-      const key = el.getAttribute("data-i18n-aria-label");
-      const value = t(key);
-      if (value) el.setAttribute("aria-label", value);
-    });
+  function applyI18nToDom() {
+    I18N.applyToDom(document);
   }
 
   // Data state
@@ -463,37 +427,12 @@
     });
   }
 
-  async function mdSaveAuthSettingsLocal({ clientId, clientSecret, username }) {
-    await runtimeSendMessage({
-      type: "MD_AUTH_SAVE_SETTINGS",
-      clientId: String(clientId || ""),
-      clientSecret: String(clientSecret || ""),
-      username: String(username || ""),
-    });
-  }
-
   async function mdAuthStatus() {
     const resp = await runtimeSendMessage({ type: "MD_AUTH_STATUS" });
     if (!resp || resp.ok !== true) return { connected: false, error: resp?.error || "unknown" };
     return { connected: !!resp.connected, expiresAtIso: resp.expiresAtIso || "" };
   }
 
-  async function mdAuthLogin({ clientId, clientSecret, username, password }) {
-    const resp = await runtimeSendMessage({
-      type: "MD_AUTH_LOGIN_PASSWORD",
-      clientId: String(clientId || ""),
-      clientSecret: String(clientSecret || ""),
-      username: String(username || ""),
-      password: String(password || ""),
-    });
-    if (!resp || resp.ok !== true) throw new Error(resp?.error || "login_failed");
-    return resp;
-  }
-
-  async function mdAuthLogout() {
-    await runtimeSendMessage({ type: "MD_AUTH_LOGOUT" });
-  }
-
   async function mdFollow(mangaId) {
     const resp = await runtimeSendMessage({ type: "MD_FOLLOW", mangaId: String(mangaId || "") });
     if (!resp || resp.ok !== true) throw new Error(resp?.error || "follow_failed");
@@ -582,32 +521,6 @@
     return !!chk?.checked;
   }
 
-  function mdReadFollowSettingsFromUi() {
-    const sel = document.getElementById("mdFollowThreshold");
-    const raw = sel ? String(sel.value || "") : "";
-    const threshold = Number(raw);
-    const noOpen = !!document.getElementById("mdNoOpenAfterFollow")?.checked;
-    const safeThreshold =
-      Number.isFinite(threshold) && threshold > 0 && threshold < 1 ? threshold : MD_MATCH_MIN_SCORE;
-    return { threshold: safeThreshold, noOpenAfterFollow: noOpen };
-  }
-
-  async function mdPersistFollowSettingsLocal(settings) {
-    try {
-      const safe = {
-        threshold:
-          typeof settings?.threshold === "number" && Number.isFinite(settings.threshold)
-            ? settings.threshold
-            : MD_MATCH_MIN_SCORE,
-        noOpenAfterFollow: !!settings?.noOpenAfterFollow,
-      };
-      await storageSet(chrome.storage.local, { [MD_FOLLOW_SETTINGS_KEY]: safe });
-      return safe;
-    } catch {
-      return { threshold: MD_MATCH_MIN_SCORE, noOpenAfterFollow: false };
-    }
-  }
-
   async function mdLoadFollowSettingsLocal() {
     try {
       const res = await storageGet(chrome.storage.local, [MD_FOLLOW_SETTINGS_KEY]);
@@ -629,14 +542,6 @@
     return { threshold: MD_MATCH_MIN_SCORE, noOpenAfterFollow: false };
   }
 
-  function mdReadAuthForm() {
-    const clientId = String(document.getElementById("mdClientId")?.value || "");
-    const clientSecret = String(document.getElementById("mdClientSecret")?.value || "");
-    const username = String(document.getElementById("mdUsername")?.value || "");
-    const password = String(document.getElementById("mdPassword")?.value || "");
-    return { clientId, clientSecret, username, password };
-  }
-
   async function mdRefreshAuthUi() {
     if (migrateState.targetSite !== "mangadex") {
       setMdFollowUiVisible(false);
@@ -676,8 +581,7 @@
     setMdFollowProgressText("-");
 
     try {
-      const settings = mdReadFollowSettingsFromUi();
-      await mdPersistFollowSettingsLocal(settings);
+      const settings = await mdLoadFollowSettingsLocal();
       // Find next match starting from mdMatchState.openIndex (so user can interleave).
       if (!mdMatchState) {
         const { state, results } = await getMdMatchStateFromStorage();
@@ -735,8 +639,7 @@
     setMdFollowProgressText("-");
 
     try {
-      const settings = mdReadFollowSettingsFromUi();
-      await mdPersistFollowSettingsLocal(settings);
+      const settings = await mdLoadFollowSettingsLocal();
       await mdSetFollowCancelFlag(false);
       let total = 0;
       let done = 0;
@@ -812,9 +715,6 @@
     const followNextBtn = document.getElementById("mdFollowNextBtn");
     const followAllBtn = document.getElementById("mdFollowAllBtn");
     const followStopBtn = document.getElementById("mdFollowStopBtn");
-    const loginBtn = document.getElementById("mdLoginBtn");
-    const logoutBtn = document.getElementById("mdLogoutBtn");
-    const testBtn = document.getElementById("mdTestBtn");
 
     const st = mdMatchState || { status: "idle", index: 0, total: items.length, matched: 0, openIndex: 0 };
     const hasAny = Array.isArray(mdMatchResults) && mdMatchResults.length > 0;
@@ -837,11 +737,6 @@
     if (followNextBtn) followNextBtn.disabled = followDisabled;
     if (followAllBtn) followAllBtn.disabled = followDisabled;
     if (followStopBtn) followStopBtn.disabled = !(mdFollowRunning || mdFollowBatchRunning);
-
-    // Auth buttons require risk ack
-    if (loginBtn) loginBtn.disabled = !advancedEnabled;
-    if (logoutBtn) logoutBtn.disabled = !advancedEnabled;
-    if (testBtn) testBtn.disabled = !advancedEnabled;
   }
 
   async function getMdMatchStateFromStorage() {
@@ -1344,14 +1239,15 @@
     setError("");
 
     const keys = [EXPORT_DATA_KEY, EXPORT_PARTIAL_KEY, MIGRATE_STATE_KEY, "uiLanguage", "theme"];
-    const { data, area } = await getFromStorage(keys);
+    const { data } = await getFromStorage(keys);
 
     exportPayload = data[EXPORT_DATA_KEY] || data[EXPORT_PARTIAL_KEY] || null;
-    // Robust fallback: if preferred storage is readable but empty, try the other area.
-    if (!exportPayload) {
+    // Robust fallback: export not in IndexedDB yet (upgrade pending / IndexedDB unavailable),
+    // try the legacy storage areas.
+    for (const legacyArea of [chrome.storage.local, chrome.storage.sync]) {
+      if (exportPayload) break;
       try {
-        const otherArea = area === "local" ? chrome.storage.sync : chrome.storage.local;
-        const otherRes = await storageGet(otherArea, [EXPORT_DATA_KEY, EXPORT_PARTIAL_KEY]);
+        const otherRes = await storageGet(legacyArea, [EXPORT_DATA_KEY, EXPORT_PARTIAL_KEY]);
         if (otherRes && !otherRes.__error) {
           exportPayload = otherRes[EXPORT_DATA_KEY] || otherRes[EXPORT_PARTIAL_KEY] || null;
         }
@@ -1363,7 +1259,7 @@
     const uiLanguage = typeof data.uiLanguage === "string" ? data.uiLanguage : DEFAULT_CONFIG.uiLanguage;
     const theme = typeof data.theme === "string" ? data.theme : DEFAULT_CONFIG.theme;
     applyTheme(theme);
-    i18nDict = await loadLocaleDict(uiLanguage);
+    await I18N.setLanguage(uiLanguage);
     applyI18nToDom();
 
     items = Array.isArray(exportPayload?.items) ? exportPayload.items.slice() : [];
@@ -1400,43 +1296,6 @@
       // no-op
     }
 
-    // Pre-fill MangaDex auth settings (clientId/secret/username) from local storage (best-effort).
-    try {
-      const local = await storageGet(chrome.storage.local, [MD_AUTH_SETTINGS_KEY]);
-      if (local && !local.__error) {
-        const st = local[MD_AUTH_SETTINGS_KEY] && typeof local[MD_AUTH_SETTINGS_KEY] === "object" ? local[MD_AUTH_SETTINGS_KEY] : null;
-        if (st) {
-          const cid = typeof st.clientId === "string" ? st.clientId : "";
-          const cs = typeof st.clientSecret === "string" ? st.clientSecret : "";
-          const un = typeof st.username === "string" ? st.username : "";
-          const elCid = document.getElementById("mdClientId");
-          const elCs = document.getElementById("mdClientSecret");
-          const elUn = document.getElementById("mdUsername");
-          if (elCid && !elCid.value) elCid.value = cid;
-          if (elCs && !elCs.value) elCs.value = cs;
-          if (elUn && !elUn.value) elUn.value = un;
-        }
-      }
-    } catch {
-      // no-op
-    }
-
-    // Pre-fill follow settings (threshold + noOpenAfterFollow)
-    try {
-      const st = await mdLoadFollowSettingsLocal();
-      const sel = document.getElementById("mdFollowThreshold");
-      const chkNoOpen = document.getElementById("mdNoOpenAfterFollow");
-      if (sel && !sel.value) sel.value = String(st.threshold);
-      if (sel && sel.value !== String(st.threshold)) {
-        // Ensure value is one of the options; fallback to recommended.
-        const allowed = new Set(["0.65", "0.72", "0.8", "0.80"]);
-        if (!allowed.has(sel.value)) sel.value = "0.72";
-      }
-      if (chkNoOpen) chkNoOpen.checked = !!st.noOpenAfterFollow;
-    } catch {
-      // no-op
-    }
-
     // initialize controls
     const sel = $("targetSite");
     if (sel) sel.value = migrateState.targetSite;
@@ -1600,62 +1459,17 @@
       await mdRefreshAuthUi();
     });
 
-    document.getElementById("mdFollowThreshold")?.addEventListener("change", async () => {
-      const st = mdReadFollowSettingsFromUi();
-      await mdPersistFollowSettingsLocal(st);
-      setMdButtonsState();
-    });
-    document.getElementById("mdNoOpenAfterFollow")?.addEventListener("change", async () => {
-      const st = mdReadFollowSettingsFromUi();
-      await mdPersistFollowSettingsLocal(st);
-      setMdButtonsState();
-    });
-
-    document.getElementById("mdLoginBtn")?.addEventListener("click", async () => {
-      setError("");
-      if (!mdCanUseAdvanced()) return;
-      const f = mdReadAuthForm();
+    document.getElementById("mdOpenSettingsBtn")?.addEventListener("click", () => {
+      // Credentials + follow settings live on the options page (MangaDex account section)
       try {
-        await mdSaveAuthSettingsLocal({ clientId: f.clientId, clientSecret: f.clientSecret, username: f.username });
-        showToast(
-          "success",
-          t("migToastSavedTitle") || "Saved",
-          t("migToastSavedDesc") || "API settings saved locally."
-        );
-        await mdAuthLogin(f);
-        showToast(
-          "success",
-          t("migToastConnectedTitle") || "Connected",
-          t("migToastConnectedDesc") || "MangaDex API connection is ready."
-        );
-        await mdRefreshAuthUi();
-      } catch (e) {
-        const msg = e && e.message ? String(e.message) : String(e);
-        setMdAuthStatusText((t("migMdFollowErrorFmt", [msg]) || msg).slice(0, 180));
-        setMdAuthStatusBadge(t("migMdAuthStatusDisconnected") || "Status: disconnected", "warn");
-        setMdSectionBadge("mdFollowStatusBadge", "Error", "err");
-        showToast(
-          "error",
-          t("migToastConnectFailTitle") || "Connection failed",
-          msg
-        );
+        window.open(chrome.runtime.getURL("options.html#mangadex"), "_blank");
+      } catch {
+        // no-op
       }
     });
-
-    document.getElementById("mdLogoutBtn")?.addEventListener("click", async () => {
-      setError("");
-      if (!mdCanUseAdvanced()) return;
-      await mdAuthLogout();
-      await mdRefreshAuthUi();
-    });
-
-    document.getElementById("mdTestBtn")?.addEventListener("click", async () => {
-      setError("");
-      if (!mdCanUseAdvanced()) return;
-      const st = await mdAuthStatus();
-      setMdAuthStatusText(
-        st.connected ? (t("migMdAuthStatusConnected") || "Status: connected") : (t("migMdAuthStatusDisconnected") || "Status: disconnected")
-      );
+    // Back from the options tab: connection status may have changed there
+    window.addEventListener("focus", () => {
+      mdRefreshAuthUi().catch(() => {});
     });
 
     document.getElementById("mdFollowNextBtn")?.addEventListener("click", async () => {
@@ -1685,12 +1499,17 @@
     try {
       chrome.storage.onChanged.addListener((changes, area) => {
         if (area !== "sync" && area !== "local") return;
-        if (changes && changes[EXPORT_DATA_KEY]) {
-          exportPayload = changes[EXPORT_DATA_KEY].newValue || null;
-          items = Array.isArray(exportPayload?.items) ? exportPayload.items.slice() : [];
-          migrateState.index = clampIndex(migrateState.index);
-          render();
-        }
+        const bulkKeys = BULK ? BULK.changedKeys(changes) : [];
+        if (!changes?.[EXPORT_DATA_KEY] && !bulkKeys.includes(EXPORT_DATA_KEY)) return;
+        // IndexedDB writes only signal the key: read the new value back.
+        getFromStorage([EXPORT_DATA_KEY])
+          .then(({ data }) => {
+            exportPayload = data[EXPORT_DATA_KEY] || null;
+            items = Array.isArray(exportPayload?.items) ? exportPayload.items.slice() : [];
+            migrateState.index = clampIndex(migrateState.index);
+            render();
+          })
+          .catch(() => {});
       });
     } catch {
       // no-op
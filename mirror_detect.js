@@ -0,0 +1,109 @@
+/* global chrome */
+
+/**
+ * mirror_detect.js (publishable)
+ *
+ * Détection légère des miroirs MangaPark non listés (aucune réécriture, lecture seule) :
+ * - compte les <img> qui pointent vers sNN (s00..s10) + /media/ et celles en échec
+ * - seuil atteint => message MP_FIX_MIRROR_SUSPECT au service worker (badge "?" sur l'onglet,
+ *   bannière "ajouter aux sites autorisés ?" dans le popup)
+ * - enregistré par le service worker sur tous les sites hors whitelist, uniquement si l'option
+ *   mirrorDetect est activée et l'accès optionnel à tous les hosts accordé ; sinon injecté par le
+ *   popup (activeTab, pages http(s)), qui lit scan() puis appelle dispose()
+ * - window.__MP_MIRROR_DETECT__.scan() : stats immédiates ; dispose() : retire listener, timer
+ *   et global (rien ne reste dans la page après le passage du popup)
+ */
+
+(function () {
+  const NAMESPACE = "__MP_MIRROR_DETECT__";
+  if (window[NAMESPACE]) return;
+
+  // Même motif que les redirections réseau (dnr_rules.js MEDIA_REDIRECT_REGEX)
+  const MEDIA_URL_REGEX = /^https?:\/\/s(?:0[0-9]|10)\.[^/]+\/media\//i;
+  // Suspect : au moins MIN_FAILED images /media/ en échec, et au moins la moitié d'entre elles
+  const MIN_FAILED = 3;
+  const MIN_FAILED_RATIO = 0.5;
+  const CHECK_DELAY_MS = 1500;
+
+  let reported = false;
+  let checkTimer = null;
+
+  function isMediaImage(img) {
+    return MEDIA_URL_REGEX.test(String(img.currentSrc || img.getAttribute("src") || ""));
+  }
+
+  /**
+   * @returns {{ host: string, mediaImages: number, failed: number, suspect: boolean }}
+   */
+  function scan() {
+    let mediaImages = 0;
+    let failed = 0;
+    for (const img of Array.from(document.images || [])) {
+      try {
+        if (!isMediaImage(img)) continue;
+        mediaImages += 1;
+        if (img.complete && img.naturalWidth === 0) failed += 1;
+      } catch {
+        // no-op
+      }
+    }
+    const suspect = failed >= MIN_FAILED && failed >= mediaImages * MIN_FAILED_RATIO;
+    return { host: String(window.location.hostname || ""), mediaImages, failed, suspect };
+  }
+
+  function check() {
+    checkTimer = null;
+    if (reported) return;
+    const stats = scan();
+    if (!stats.suspect) return;
+    reported = true;
+    try {
+      chrome.runtime.sendMessage({ type: "MP_FIX_MIRROR_SUSPECT", ...stats }, () => {
+        // Lire lastError évite le warning "Unchecked runtime.lastError".
+        void chrome.runtime.lastError;
+      });
+    } catch {
+      // no-op
+    }
+  }
+
+  function scheduleCheck() {
+    if (reported || checkTimer) return;
+    checkTimer = setTimeout(check, CHECK_DELAY_MS);
+  }
+
+  function onError(ev) {
+    try {
+      const img = ev.target;
+      if (img && img.tagName === "IMG" && isMediaImage(img)) scheduleCheck();
+    } catch {
+      // no-op
+    }
+  }
+
+  function dispose() {
+    try {
+      document.removeEventListener("error", onError, true);
+    } catch {
+      // no-op
+    }
+    if (checkTimer) clearTimeout(checkTimer);
+    checkTimer = null;
+    reported = true;
+    try {
+      delete window[NAMESPACE];
+    } catch {
+      // no-op
+    }
+  }
+
+  window[NAMESPACE] = { scan, dispose };
+
+  try {
+    // capture : les events error des <img> ne bubblent pas
+    document.addEventListener("error", onError, true);
+    scheduleCheck();
+  } catch {
+    // no-op
+  }
+})();
@@ -10,8 +10,9 @@
  * - Détecte userId de manière robuste (DOM -> scripts -> NOT_LOGGED_IN)
  * - Support 1..500+ pages, throttle 250ms, retry 3 (429/5xx) + backoff exponentiel
  * - Dedupe par comicNode.id (fallback urlPath)
- * - Écrit l'état d'export en temps réel dans chrome.storage :
- *   mp_export_state, mp_export_follows, mp_export_partial, mp_export_cancel
+ * - Écrit l'état d'export en temps réel : mp_export_state / mp_export_cancel dans
+ *   chrome.storage.local, mp_export_follows / mp_export_partial dans IndexedDB (bulk_store.js,
+ *   via le service worker)
  *
  * Robustesse (sans changer la logique métier) :
  * - Sur erreur réseau transitoire (Cloudflare / rate-limit / 5xx / fetch rejeté / réponse invalide) :
@@ -35,6 +36,7 @@
   // If sync storage is readable but not writable (quota / policy / transient), popup.js stores a marker locally.
   // Runner must respect it so it doesn't get stuck reading stale sync state.
   const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
+  const SETTINGS_SCHEMA = typeof self !== "undefined" ? self.MP_SETTINGS_SCHEMA || null : null;
 
   const THROTTLE_MS = 250;
   const PAGE_SIZE = 36;
@@ -179,7 +181,7 @@ query get_user_libraryList($select: User_LibraryList_Select) {
     return "sync";
   }
 
-  async function getFromStorage(keys) {
+  async function getSharedFromStorage(keys) {
     const mode = await getStorageMode();
     if (mode === "local") {
       const localRes = await storageGet(chrome.storage.local, keys);
@@ -195,7 +197,7 @@ query get_user_libraryList($select: User_LibraryList_Select) {
     return { area: "none", data: {} };
   }
 
-  async function setToStorage(items) {
+  async function setSharedToStorage(items) {
     const mode = await getStorageMode();
     if (mode === "local") {
       const rLocal = await storageSet(chrome.storage.local, items);
@@ -209,6 +211,54 @@ query get_user_libraryList($select: User_LibraryList_Select) {
     return rLocal.ok;
   }
 
+  function runtimeSendMessage(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ ok: false, error: err });
+          resolve(response || { ok: false, error: "no_response" });
+        });
+      } catch (e) {
+        resolve({ ok: false, error: String(e) });
+      }
+    });
+  }
+
+  // Export keys are device-only (settings_schema.js, injected just before this file): state in
+  // chrome.storage.local, follows / partial snapshot in the extension's IndexedDB, reached
+  // through the service worker (this page's own IndexedDB is the site's, not ours).
+  async function getFromStorage(keys) {
+    const { bulk, local, shared } = SETTINGS_SCHEMA
+      ? SETTINGS_SCHEMA.splitKeys(keys)
+      : { bulk: [], local: [], shared: keys };
+    const res = shared.length ? await getSharedFromStorage(shared) : { area: "local", data: {} };
+    const data = { ...res.data };
+    if (local.length) {
+      const localRes = await storageGet(chrome.storage.local, local);
+      if (!localRes.__error) Object.assign(data, localRes);
+    }
+    if (bulk.length) {
+      const bulkRes = await runtimeSendMessage({ type: "MP_FIX_BULK_GET", keys: bulk });
+      if (bulkRes.ok && bulkRes.data) Object.assign(data, bulkRes.data);
+    }
+    return { area: res.area, data };
+  }
+
+  async function setToStorage(items) {
+    const { bulk, local, shared } = SETTINGS_SCHEMA
+      ? SETTINGS_SCHEMA.splitItems(items)
+      : { bulk: {}, local: {}, shared: items };
+    if (Object.keys(bulk).length) {
+      const bulkRes = await runtimeSendMessage({ type: "MP_FIX_BULK_SET", items: bulk });
+      if (!bulkRes.ok) return false;
+    }
+    if (Object.keys(local).length && !(await storageSet(chrome.storage.local, local)).ok) {
+      return false;
+    }
+    return Object.keys(shared).length ? setSharedToStorage(shared) : true;
+  }
+
   async function updateState(patch) {
     const { data } = await getFromStorage([STATE_KEY]);
     const prev = data[STATE_KEY] && typeof data[STATE_KEY] === "object" ? data[STATE_KEY] : {};
@@ -0,0 +1,1602 @@
+/* global chrome */
+
+/**
+ * options.js
+ *
+ * Page de réglages (options_page) : tous les réglages, la popup ne garde que les actions rapides.
+ * - Général : activation, langue UI, thème
+ * - Correction d'images : mode (DOM / réseau), interception main world, sites autorisés,
+ *   règles de réécriture (+ test d'URL), règles Referer / Origin — mêmes modules que la popup
+ *   (whitelist.js, rewrite_rules.js, dnr_rules.js)
+ * - Export : état, téléchargement CSV / JSON, suppression des données sauvegardées
+ * - Migration : site cible, ouverture de l'assistant (migrate.html)
+ * - Compte MangaDex : identifiants API, connexion (service worker), réglages d'auto-follow ;
+ *   le bouton "Réglages du compte" de migrate.html ouvre options.html#mangadex
+ * - Stockage & diagnostics : mode de stockage, version du schéma, dernier rapport de mise à jour,
+ *   debug ; sauvegarde / restauration complète (backup_utils.js)
+ * - Données stockées : chaque clé connue par zone (sync, local, IndexedDB, session) avec taille,
+ *   dernière mise à jour et description (storage_catalog.js) ; suppression par catégorie et
+ *   "tout effacer" (données de session : via le service worker, MP_FIX_SESSION_CLEAR)
+ *
+ * Permissions : mêmes demandes d'accès hôte optionnelles que la popup (mode réseau, règles
+ * d'en-têtes, domaine ajouté hors manifest), toujours depuis le geste utilisateur.
+ */
+
+(function () {
+  const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
+  const EXPORT_STATE_KEY = "mp_export_state";
+  const EXPORT_DATA_KEY = "mp_export_follows";
+  const EXPORT_PARTIAL_KEY = "mp_export_partial";
+  const EXPORT_CANCEL_KEY = "mp_export_cancel";
+  const MIGRATE_STATE_KEY = "mp_migrate_state";
+  const MD_AUTH_SETTINGS_KEY = "md_auth_settings"; // local
+  const MD_FOLLOW_SETTINGS_KEY = "md_follow_settings"; // local: { threshold, noOpenAfterFollow }
+  const MD_MATCH_MIN_SCORE = 0.72;
+
+  const DEFAULT_MIGRATE_STATE = {
+    index: 0,
+    targetSite: "mangadex",
+    openNewTab: true,
+  };
+  const MIGRATION_SITES = ["mangadex", "anilist", "mal", "mangaupdates"];
+
+  // Network mode / header rules touch any sNN CDN host => (optional) access to those hosts.
+  const NETWORK_MODE_ORIGINS = ["*://*/*"];
+  // Page context for "test this URL" (no current tab on this page)
+  const RULE_TEST_HOST = "mangapark.net";
+  const BACKUP_FILE_PREFIX = "mangapark-toolkit-backup";
+  const RENDER_DEBOUNCE_MS = 250;
+  // Sizes / dates only: export and auto-follow progress writes often.
+  const DATA_RENDER_DEBOUNCE_MS = 1000;
+
+  const SUPPORT_PROJECT_URL = "https://github.com/sponsors/Jackstonebreaker";
+  const PROJECT_WEBSITE_URL = "https://github.com/Jackstonebreaker/mangapark-image-fix";
+
+  // Loaded via <script> before this file (ui_i18n.js, settings_schema.js, bulk_store.js,
+  // whitelist.js, rewrite_rules.js, dnr_rules.js, migrate_utils.js, backup_utils.js,
+  // storage_catalog.js).
+  const SCHEMA = window.MP_SETTINGS_SCHEMA;
+  const BULK = window.MP_BULK_STORE;
+  const BACKUP = window.MP_BACKUP_UTILS;
+  const WHITELIST = window.MP_WHITELIST;
+  const REWRITE = window.MP_REWRITE_RULES;
+  const DNR = window.MP_DNR_RULES;
+  const U = window.MP_MIGRATE_UTILS;
+  const CATALOG = window.MP_STORAGE_CATALOG;
+
+  // Keys shown on this page: re-render when they change elsewhere.
+  const WATCHED_KEYS = new Set([
+    ...Object.keys(SCHEMA.CONFIG_FIELDS),
+    CONFIG_STORAGE_MODE_KEY,
+    EXPORT_STATE_KEY,
+    EXPORT_DATA_KEY,
+    EXPORT_PARTIAL_KEY,
+    MIGRATE_STATE_KEY,
+    MD_AUTH_SETTINGS_KEY,
+    MD_FOLLOW_SETTINGS_KEY,
+    SCHEMA.UPGRADE_REPORT_KEY,
+  ]);
+
+  function $(id) {
+    return document.getElementById(id);
+  }
+
+  function showToast(kind, title, message, timeoutMs = 3500) {
+    const toast = $("toast");
+    const dot = $("toastDot");
+    const tTitle = $("toastTitle");
+    const tMsg = $("toastMessage");
+    if (!toast || !dot || !tTitle || !tMsg) return;
+
+    const k = String(kind || "info");
+    const colors =
+      k === "success"
+        ? { dot: "bg-green-600", border: "border-green-200 dark:border-green-900/30" }
+        : k === "error"
+          ? { dot: "bg-red-600", border: "border-red-200 dark:border-red-900/30" }
+          : { dot: "bg-blue-600", border: "border-blue-200 dark:border-blue-900/30" };
+
+    dot.className = `mt-1.5 w-2.5 h-2.5 rounded-full ${colors.dot}`;
+    const inner = $("toastInner");
+    if (inner) {
+      inner.className = `max-w-sm rounded-lg border shadow-lg px-4 py-3 bg-white dark:bg-cardDark text-foreground ${colors.border}`;
+    }
+
+    tTitle.textContent = String(title || "");
+    tMsg.textContent = String(message || "");
+    toast.style.display = "block";
+
+    const close = () => {
+      try {
+        toast.style.display = "none";
+      } catch {
+        // no-op
+      }
+    };
+    $("toastCloseBtn")?.addEventListener("click", close, { once: true });
+    if (timeoutMs && timeoutMs > 0) setTimeout(close, timeoutMs);
+  }
+
+  function getChromeLastErrorMessage() {
+    try {
+      return chrome?.runtime?.lastError?.message || "";
+    } catch {
+      return "";
+    }
+  }
+
+  function storageGet(area, keys) {
+    return new Promise((resolve) => {
+      try {
+        area.get(keys, (items) => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ __error: err });
+          resolve(items || {});
+        });
+      } catch (e) {
+        resolve({ __error: String(e) });
+      }
+    });
+  }
+
+  function storageSet(area, items) {
+    return new Promise((resolve) => {
+      try {
+        area.set(items, () => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ ok: false, error: err });
+          resolve({ ok: true });
+        });
+      } catch (e) {
+        resolve({ ok: false, error: String(e) });
+      }
+    });
+  }
+
+  function storageRemove(area, keys) {
+    return new Promise((resolve) => {
+      try {
+        area.remove(keys, () => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ ok: false, error: err });
+          resolve({ ok: true });
+        });
+      } catch (e) {
+        resolve({ ok: false, error: String(e) });
+      }
+    });
+  }
+
+  function storageClear(area) {
+    return new Promise((resolve) => {
+      try {
+        area.clear(() => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ ok: false, error: err });
+          resolve({ ok: true });
+        });
+      } catch (e) {
+        resolve({ ok: false, error: String(e) });
+      }
+    });
+  }
+
+  /** @returns {Promise<number|null>} null when the area can't tell (=> JSON estimate) */
+  function storageBytesInUse(area, keys) {
+    return new Promise((resolve) => {
+      try {
+        if (typeof area.getBytesInUse !== "function") return resolve(null);
+        area.getBytesInUse(keys, (bytes) => {
+          const err = getChromeLastErrorMessage();
+          if (err || typeof bytes !== "number") return resolve(null);
+          resolve(bytes);
+        });
+      } catch {
+        resolve(null);
+      }
+    });
+  }
+
+  async function getStorageMode() {
+    try {
+      const res = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
+      if (res && !res.__error && typeof res[CONFIG_STORAGE_MODE_KEY] === "string") {
+        const m = String(res[CONFIG_STORAGE_MODE_KEY] || "");
+        return m === "local" ? "local" : "sync";
+      }
+    } catch {
+      // no-op
+    }
+    return "sync";
+  }
+
+  async function getSharedFromStorage(keys) {
+    const mode = await getStorageMode();
+    const order =
+      mode === "local"
+        ? [chrome.storage.local, chrome.storage.sync]
+        : [chrome.storage.sync, chrome.storage.local];
+    for (const area of order) {
+      const res = await storageGet(area, keys);
+      if (!res.__error) return res;
+    }
+    return {};
+  }
+
+  async function setSharedToStorage(items) {
+    const mode = await getStorageMode();
+    if (mode === "local") {
+      const rLocal = await storageSet(chrome.storage.local, items);
+      if (rLocal.ok) {
+        // Best-effort: keep sync updated when possible.
+        await storageSet(chrome.storage.sync, items);
+        return true;
+      }
+      const rSync = await storageSet(chrome.storage.sync, items);
+      return rSync.ok;
+    }
+    const rSync = await storageSet(chrome.storage.sync, items);
+    if (rSync.ok) return true;
+    const rLocal = await storageSet(chrome.storage.local, items);
+    return rLocal.ok;
+  }
+
+  // Same routing as migrate.js: device-only keys in chrome.storage.local, bulk datasets in
+  // IndexedDB, config keys through the storage mode.
+  async function getFromStorage(keys) {
+    const { bulk, local, shared } = SCHEMA.splitKeys(keys);
+    const data = shared.length ? await getSharedFromStorage(shared) : {};
+    if (local.length) {
+      const localRes = await storageGet(chrome.storage.local, local);
+      if (!localRes.__error) Object.assign(data, localRes);
+    }
+    if (bulk.length) {
+      const bulkRes = await BULK.get(bulk);
+      if (bulkRes.ok) Object.assign(data, bulkRes.data);
+    }
+    return data;
+  }
+
+  async function setToStorage(items) {
+    const { bulk, local, shared } = SCHEMA.splitItems(items);
+    if (Object.keys(bulk).length && !(await BULK.set(bulk)).ok) return false;
+    if (Object.keys(local).length && !(await storageSet(chrome.storage.local, local)).ok) {
+      return false;
+    }
+    return Object.keys(shared).length ? setSharedToStorage(shared) : true;
+  }
+
+  // Removed keys must not come back with a stale copy: config keys leave both areas.
+  async function removeFromStorage(keys) {
+    const { bulk, local, shared } = SCHEMA.splitKeys(keys);
+    if (bulk.length && !(await BULK.remove(bulk)).ok) return false;
+    if (local.length && !(await storageRemove(chrome.storage.local, local)).ok) return false;
+    if (!shared.length) return true;
+    const rLocal = await storageRemove(chrome.storage.local, shared);
+    const rSync = await storageRemove(chrome.storage.sync, shared);
+    return rLocal.ok || rSync.ok;
+  }
+
+  // i18n + theme (ui_i18n.js, shared with the popup and migrate.html)
+  const I18N = window.MP_UI_I18N.createI18n();
+
+  function applyTheme(theme) {
+    window.MP_UI_I18N.applyTheme(theme);
+  }
+
+  function t(key, substitutions) {
+    return I18N.t(key, substitutions);
+  }
+
+  function applyI18nToDom() {
+    I18N.applyToDom(document);
+  }
+
+  function setErrorText(id, msg) {
+    const el = $(id);
+    if (!el) return;
+    el.style.display = msg ? "block" : "none";
+    el.textContent = msg || "";
+  }
+
+  function permissionsRequest(permissions) {
+    return new Promise((resolve) => {
+      try {
+        chrome.permissions.request(permissions, (granted) => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve(false);
+          resolve(!!granted);
+        });
+      } catch {
+        resolve(false);
+      }
+    });
+  }
+
+  function runtimeSendMessage(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (resp) => {
+          const err = getChromeLastErrorMessage();
+          if (err) return resolve({ ok: false, error: err });
+          resolve(resp || null);
+        });
+      } catch (e) {
+        resolve({ ok: false, error: String(e) });
+      }
+    });
+  }
+
+  function openTab(url) {
+    try {
+      window.open(url, "_blank", "noopener,noreferrer");
+    } catch {
+      // no-op
+    }
+  }
+
+  // Config: same keys and normalization as popup.js (settings_schema.js + rule modules)
+  async function getConfig() {
+    const keys = Object.keys(SCHEMA.CONFIG_FIELDS);
+    const data = await getFromStorage(keys);
+    const cfg = {};
+    for (const key of keys) {
+      const res = SCHEMA.validateConfigValue(key, data[key]);
+      cfg[key] = res.ok && res.value !== undefined ? res.value : SCHEMA.CONFIG_DEFAULTS[key];
+    }
+    cfg.rewriteRules = REWRITE.normalizeRules(cfg.rewriteRules);
+    cfg.fixMode = DNR.normalizeFixMode(cfg.fixMode);
+    cfg.headerRules = DNR.normalizeHeaderRules(cfg.headerRules);
+    return cfg;
+  }
+
+  async function setConfig(patch) {
+    await setToStorage(patch);
+    await render();
+  }
+
+  function populateUiLangSelect(cfg) {
+    const sel = $("uiLang");
+    if (!sel) return;
+    sel.innerHTML = "";
+    for (const lang of window.MP_UI_I18N.UI_LANGUAGES) {
+      const o = document.createElement("option");
+      o.value = lang;
+      o.textContent = t(`uiLang_${lang}`) || lang;
+      sel.appendChild(o);
+    }
+    sel.value = cfg.uiLanguage;
+  }
+
+  // Allowed sites (validation / matching: whitelist.js)
+  function whitelistEntryError(raw) {
+    const { ok, error } = WHITELIST.validateWhitelistEntry(raw);
+    if (ok) return "";
+    return t(`whitelistError_${error}`) || t("errorInvalidEntry") || "Invalid entry.";
+  }
+
+  // Domains outside the manifest content_scripts: auto-fix needs host access
+  // (the service worker registers content.js there once granted).
+  function userDomainOrigins(entry) {
+    let staticMatches = [];
+    try {
+      const scripts = chrome.runtime.getManifest().content_scripts || [];
+      staticMatches = scripts.flatMap((cs) => cs.matches || []);
+    } catch {
+      // no-op
+    }
+    return WHITELIST.extraMatchPatterns([entry], staticMatches);
+  }
+
+  /**
+   * Call from the user gesture: the host permission prompt must come before any await.
+   * @returns {Promise<"invalid"|"added"|"added_no_access">}
+   */
+  async function addWhitelistEntry(raw) {
+    const value = String(raw || "")
+      .trim()
+      .toLowerCase();
+    const error = whitelistEntryError(value);
+    if (error) {
+      setErrorText("error", error);
+      return "invalid";
+    }
+    const origins = userDomainOrigins(value);
+    const granted = origins.length ? await permissionsRequest({ origins }) : true;
+
+    const cfg = await getConfig();
+    await setConfig({ whitelist: Array.from(new Set([...cfg.whitelist, value])) });
+    return granted ? "added" : "added_no_access";
+  }
+
+  function renderWhitelist(cfg) {
+    const list = $("list");
+    const count = $("count");
+    if (!list || !count) return;
+    list.innerHTML = "";
+
+    const entries = cfg.whitelist || [];
+    for (const entry of entries) {
+      const li = document.createElement("li");
+      li.className = "item";
+
+      const code = document.createElement("code");
+      code.textContent = entry;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "danger";
+      btn.textContent = t("deleteBtn") || "Remove";
+      btn.addEventListener("click", async () => {
+        await setConfig({ whitelist: entries.filter((e) => e !== entry) });
+      });
+
+      li.appendChild(code);
+      li.appendChild(btn);
+      list.appendChild(li);
+    }
+
+    count.textContent =
+      entries.length === 1
+        ? t("whitelistCount_one") || "1 entry"
+        : t("whitelistCount_many", [String(entries.length)]) || `${entries.length} entries`;
+  }
+
+  // Fix mode: network redirects need (optional) access to the image hosts.
+  async function changeFixMode(value) {
+    setErrorText("fixModeError", "");
+    const fixMode = DNR.normalizeFixMode(value);
+    // Must be requested from the user gesture (change event), before any await.
+    if (DNR.usesNetworkMode(fixMode)) {
+      const granted = await permissionsRequest({ origins: NETWORK_MODE_ORIGINS });
+      if (!granted) {
+        await render();
+        setErrorText("fixModeError", t("fixModePermissionDenied"));
+        return;
+      }
+    }
+    await setConfig({ fixMode });
+  }
+
+  // Background mirror detection: its own opt-in, on top of access to every site.
+  async function changeMirrorDetect(mirrorDetect) {
+    setErrorText("mirrorDetectError", "");
+    // Must be requested from the user gesture (change event), before any await.
+    if (mirrorDetect && !(await permissionsRequest({ origins: NETWORK_MODE_ORIGINS }))) {
+      await render();
+      setErrorText("mirrorDetectError", t("mirrorDetectPermissionDenied"));
+      return;
+    }
+    await setConfig({ mirrorDetect });
+  }
+
+  // Rewrite rules (engine: rewrite_rules.js)
+  function ruleErrorMessage(code) {
+    return t(`rulesError_${code}`) || t("rulesError_invalid") || "Invalid rule.";
+  }
+
+  async function saveRewriteRules(rules) {
+    await setConfig({ rewriteRules: REWRITE.normalizeRules(rules) });
+  }
+
+  function ruleButton(label, ariaLabel, disabled, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "Btn ghost IconBtn";
+    btn.textContent = label;
+    btn.disabled = disabled;
+    btn.setAttribute("aria-label", ariaLabel);
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function renderRewriteRules(cfg) {
+    const list = $("rulesList");
+    if (!list) return;
+    list.innerHTML = "";
+
+    const rules = cfg.rewriteRules || [];
+    const move = (from, to) => {
+      const next = rules.slice();
+      [next[from], next[to]] = [next[to], next[from]];
+      return saveRewriteRules(next);
+    };
+    rules.forEach((rule, idx) => {
+      const li = document.createElement("li");
+      li.className = "item";
+
+      const toggle = document.createElement("input");
+      toggle.type = "checkbox";
+      toggle.className = "Chk";
+      toggle.checked = !!rule.enabled;
+      toggle.setAttribute("aria-label", t("rulesEnabledAria") || "Enabled");
+      toggle.addEventListener("change", async () => {
+        const enabled = toggle.checked;
+        await saveRewriteRules(rules.map((r) => (r.id === rule.id ? { ...r, enabled } : r)));
+      });
+
+      const code = document.createElement("code");
+      code.className = "flex-1";
+      const path = rule.pathPattern ? ` ${rule.pathPattern}` : "";
+      code.textContent = `${rule.hostPattern}${path} → ${rule.destination}`;
+      code.title = code.textContent;
+      if (!REWRITE.validateRule(rule).ok) code.style.color = "var(--danger)";
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "danger";
+      del.textContent = t("deleteBtn") || "Remove";
+      del.addEventListener("click", async () => {
+        await saveRewriteRules(rules.filter((r) => r.id !== rule.id));
+      });
+
+      li.appendChild(toggle);
+      li.appendChild(code);
+      li.appendChild(
+        ruleButton("↑", t("rulesMoveUp") || "Move up", idx === 0, () => move(idx, idx - 1))
+      );
+      li.appendChild(
+        ruleButton("↓", t("rulesMoveDown") || "Move down", idx === rules.length - 1, () =>
+          move(idx, idx + 1)
+        )
+      );
+      li.appendChild(del);
+      list.appendChild(li);
+    });
+  }
+
+  async function addRewriteRuleFromForm() {
+    setErrorText("rulesError", "");
+    const rule = {
+      id: REWRITE.makeRuleId(),
+      hostPattern: String($("ruleHostInput")?.value || "").trim(),
+      pathPattern: String($("rulePathInput")?.value || "").trim(),
+      destination: String($("ruleDestInput")?.value || "").trim(),
+      enabled: true,
+    };
+    const v = REWRITE.validateRule(rule);
+    if (!v.ok) {
+      setErrorText("rulesError", ruleErrorMessage(v.error));
+      return;
+    }
+    const cfg = await getConfig();
+    await saveRewriteRules([...cfg.rewriteRules, rule]);
+    for (const id of ["ruleHostInput", "rulePathInput", "ruleDestInput"]) {
+      const el = $(id);
+      if (el) el.value = "";
+    }
+  }
+
+  async function testRewriteUrl() {
+    const out = $("ruleTestResult");
+    if (!out) return;
+    const raw = String($("ruleTestInput")?.value || "").trim();
+    if (!raw) {
+      out.textContent = "";
+      return;
+    }
+
+    // No current tab here: test against the default mirror.
+    const page = { href: `https://${RULE_TEST_HOST}/`, protocol: "https:", host: RULE_TEST_HOST };
+    const cfg = await getConfig();
+    const res = REWRITE.rewriteUrl(raw, REWRITE.compileRules(cfg.rewriteRules), page);
+    if (res) {
+      out.textContent =
+        t("rulesTestMatched", [res.url, res.ruleId]) || `${res.url} (${res.ruleId})`;
+      out.style.color = "var(--foreground)";
+    } else {
+      out.textContent = t("rulesTestNoMatch") || "No rule matches this URL.";
+      out.style.color = "var(--muted-foreground)";
+    }
+  }
+
+  // Referer / Origin rules (dnr_rules.js)
+  function headerRuleErrorMessage(code) {
+    return t(`headerRulesError_${code}`) || t("rulesError_invalid") || "Invalid rule.";
+  }
+
+  // Header rules touch requests to arbitrary CDN hosts => same host access as network mode.
+  // Call from the user gesture, before any await.
+  async function requestHeaderRulesPermission() {
+    const granted = await permissionsRequest({ origins: NETWORK_MODE_ORIGINS });
+    if (!granted) setErrorText("headerRulesError", t("headerRulesPermissionDenied"));
+    return granted;
+  }
+
+  async function saveHeaderRules(rules) {
+    await setConfig({ headerRules: DNR.normalizeHeaderRules(rules) });
+  }
+
+  function describeHeaderRule(rule) {
+    const parts = [];
+    if (rule.referer !== "keep") {
+      parts.push(t(`headerRulesReferer_${rule.referer}`) || `Referer: ${rule.referer}`);
+    }
+    if (rule.origin !== "keep") {
+      parts.push(t(`headerRulesOrigin_${rule.origin}`) || `Origin: ${rule.origin}`);
+    }
+    return `${rule.hostPattern} → ${parts.join(", ")}`;
+  }
+
+  function renderHeaderRules(cfg) {
+    const list = $("headerRulesList");
+    if (!list) return;
+    list.innerHTML = "";
+
+    const rules = cfg.headerRules || [];
+    for (const rule of rules) {
+      const li = document.createElement("li");
+      li.className = "item";
+
+      const toggle = document.createElement("input");
+      toggle.type = "checkbox";
+      toggle.className = "Chk";
+      toggle.checked = !!rule.enabled;
+      toggle.setAttribute("aria-label", t("rulesEnabledAria") || "Enabled");
+      toggle.addEventListener("change", async () => {
+        setErrorText("headerRulesError", "");
+        const enabled = toggle.checked;
+        if (enabled && !(await requestHeaderRulesPermission())) {
+          toggle.checked = false;
+          return;
+        }
+        await saveHeaderRules(rules.map((r) => (r.id === rule.id ? { ...r, enabled } : r)));
+      });
+
+      const code = document.createElement("code");
+      code.className = "flex-1";
+      code.textContent = describeHeaderRule(rule);
+      code.title = code.textContent;
+      if (!DNR.validateHeaderRule(rule).ok) code.style.color = "var(--danger)";
+
+      const del = document.createElement("button");
+      del.type = "button";
+      del.className = "danger";
+      del.textContent = t("deleteBtn") || "Remove";
+      del.addEventListener("click", async () => {
+        await saveHeaderRules(rules.filter((r) => r.id !== rule.id));
+      });
+
+      li.appendChild(toggle);
+      li.appendChild(code);
+      li.appendChild(del);
+      list.appendChild(li);
+    }
+  }
+
+  async function addHeaderRuleFromForm() {
+    setErrorText("headerRulesError", "");
+    const rule = {
+      id: DNR.makeHeaderRuleId(),
+      hostPattern: String($("headerRuleHostInput")?.value || "").trim(),
+      referer: String($("headerRuleRefererSelect")?.value || "keep"),
+      origin: String($("headerRuleOriginSelect")?.value || "keep"),
+      enabled: true,
+    };
+    const v = DNR.validateHeaderRule(rule);
+    if (!v.ok) {
+      setErrorText("headerRulesError", headerRuleErrorMessage(v.error));
+      return;
+    }
+    // New rules start enabled: without host access they are kept, but off.
+    if (!(await requestHeaderRulesPermission())) rule.enabled = false;
+    const cfg = await getConfig();
+    await saveHeaderRules([...cfg.headerRules, rule]);
+    const input = $("headerRuleHostInput");
+    if (input) input.value = "";
+  }
+  function downloadBlob(filename, mime, content) {
+    try {
+      const blob = new Blob([content], { type: mime });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.style.display = "none";
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      // Some Chromium builds may ignore the download if we revoke too early.
+      setTimeout(() => {
+        try {
+          URL.revokeObjectURL(url);
+        } catch {
+          // no-op
+        }
+      }, 1000);
+      setTimeout(() => {
+        try {
+          a.remove();
+        } catch {
+          // no-op
+        }
+      }, 0);
+    } catch {
+      // no-op
+    }
+  }
+
+  // Library export (written by the popup / export runner)
+  async function getExportPayload() {
+    const data = await getFromStorage([EXPORT_DATA_KEY, EXPORT_PARTIAL_KEY]);
+    return data[EXPORT_DATA_KEY] || data[EXPORT_PARTIAL_KEY] || null;
+  }
+
+  async function renderExport() {
+    const data = await getFromStorage([EXPORT_STATE_KEY, EXPORT_DATA_KEY, EXPORT_PARTIAL_KEY]);
+    const st = data[EXPORT_STATE_KEY];
+    const status = typeof st?.status === "string" ? st.status : "idle";
+    const payload = data[EXPORT_DATA_KEY] || data[EXPORT_PARTIAL_KEY];
+    const n = Array.isArray(payload?.items) ? payload.items.length : 0;
+
+    const statusEl = $("exportStatusText");
+    if (statusEl) statusEl.textContent = t(`exportStatus_${status}`) || status;
+    const countEl = $("exportCountText");
+    if (countEl) {
+      countEl.textContent = n
+        ? t("optExportCountFmt", [String(n)]) || `${n} manga saved`
+        : t("migrationStoredItemsEmpty") || "Save your library first";
+    }
+    for (const id of ["exportDownloadCsvBtn", "exportDownloadJsonBtn"]) {
+      const btn = $(id);
+      if (btn) btn.disabled = !n;
+    }
+    // Clearing under a running export would race with the runner's writes.
+    const clearBtn = $("exportClearBtn");
+    if (clearBtn) clearBtn.disabled = status === "running" || (!n && status === "idle");
+  }
+
+  async function downloadExport(kind) {
+    const payload = await getExportPayload();
+    const items = Array.isArray(payload?.items) ? payload.items : [];
+    if (!items.length) return;
+    const captured = payload?.meta?.captured_at || new Date().toISOString();
+    const base = `mangapark_follows_${captured.replace(/[:.]/g, "-")}`;
+    if (kind === "csv") downloadBlob(`${base}.csv`, "text/csv;charset=utf-8", U.makeCsv(items));
+    else downloadBlob(`${base}.json`, "application/json;charset=utf-8", U.makeJson(payload));
+  }
+
+  async function clearExport() {
+    if (!window.confirm(t("optExportClearConfirm") || "Delete the saved library?")) return;
+    await setToStorage({
+      [EXPORT_STATE_KEY]: {
+        status: "idle",
+        page: 0,
+        pages: null,
+        collected: 0,
+        total: null,
+        error: null,
+        updated_at: new Date().toISOString(),
+      },
+      [EXPORT_DATA_KEY]: null,
+      [EXPORT_PARTIAL_KEY]: null,
+      [EXPORT_CANCEL_KEY]: false,
+    });
+    await render();
+    showToast("success", t("optExportClearedTitle") || "Saved data deleted", "");
+  }
+
+  // Migration (shared state with migrate.html)
+  async function getMigrateState() {
+    const data = await getFromStorage([MIGRATE_STATE_KEY]);
+    const st =
+      data[MIGRATE_STATE_KEY] && typeof data[MIGRATE_STATE_KEY] === "object"
+        ? data[MIGRATE_STATE_KEY]
+        : {};
+    return {
+      index: typeof st.index === "number" ? st.index : DEFAULT_MIGRATE_STATE.index,
+      targetSite:
+        typeof st.targetSite === "string" ? st.targetSite : DEFAULT_MIGRATE_STATE.targetSite,
+      openNewTab:
+        typeof st.openNewTab === "boolean" ? st.openNewTab : DEFAULT_MIGRATE_STATE.openNewTab,
+    };
+  }
+
+  async function setMigrateState(patch) {
+    const prev = await getMigrateState();
+    await setToStorage({ [MIGRATE_STATE_KEY]: { ...prev, ...patch } });
+  }
+
+  async function renderMigration() {
+    const st = await getMigrateState();
+    const sel = $("migrationTargetSite");
+    if (sel) {
+      sel.innerHTML = "";
+      for (const site of MIGRATION_SITES) {
+        const o = document.createElement("option");
+        o.value = site;
+        o.textContent = t(`migSite_${site}`) || site;
+        sel.appendChild(o);
+      }
+      sel.value = st.targetSite;
+    }
+    const chk = $("migrationOpenNewTab");
+    if (chk) chk.checked = !!st.openNewTab;
+  }
+
+  // MangaDex account (auth handled by the service worker; password never stored)
+  function mdCanUseAdvanced() {
+    return !!$("mdAcknowledgeRisk")?.checked;
+  }
+
+  async function mdAuthStatus() {
+    const resp = await runtimeSendMessage({ type: "MD_AUTH_STATUS" });
+    if (!resp || resp.ok !== true) return { connected: false, error: resp?.error || "unknown" };
+    return { connected: !!resp.connected, expiresAtIso: resp.expiresAtIso || "" };
+  }
+
+  function setMdStatusText(text) {
+    const el = $("mdAuthStatus");
+    if (el) el.textContent = text;
+  }
+
+  async function mdRefreshStatus() {
+    if (!mdCanUseAdvanced()) {
+      setMdStatusText(t("migMdAuthStatusNeedRisk") || "Check the box to enable");
+    } else {
+      const st = await mdAuthStatus();
+      setMdStatusText(
+        st.connected
+          ? t("migMdAuthStatusConnected") || "Status: connected"
+          : t("migMdAuthStatusDisconnected") || "Status: disconnected"
+      );
+    }
+    for (const id of ["mdLoginBtn", "mdLogoutBtn", "mdTestBtn"]) {
+      const btn = $(id);
+      if (btn) btn.disabled = !mdCanUseAdvanced();
+    }
+  }
+
+  function mdNormalizeFollowSettings(st) {
+    const threshold = Number(st?.threshold);
+    return {
+      threshold: threshold > 0 && threshold < 1 ? threshold : MD_MATCH_MIN_SCORE,
+      noOpenAfterFollow: !!st?.noOpenAfterFollow,
+    };
+  }
+
+  async function renderMdAccount() {
+    const data = await getFromStorage([MD_AUTH_SETTINGS_KEY, MD_FOLLOW_SETTINGS_KEY]);
+    const auth =
+      data[MD_AUTH_SETTINGS_KEY] && typeof data[MD_AUTH_SETTINGS_KEY] === "object"
+        ? data[MD_AUTH_SETTINGS_KEY]
+        : {};
+    // Prefill only: never overwrite what the user is typing.
+    for (const [id, field] of [
+      ["mdClientId", "clientId"],
+      ["mdClientSecret", "clientSecret"],
+      ["mdUsername", "username"],
+    ]) {
+      const el = $(id);
+      if (el && !el.value && typeof auth[field] === "string") el.value = auth[field];
+    }
+
+    const follow = mdNormalizeFollowSettings(data[MD_FOLLOW_SETTINGS_KEY]);
+    const sel = $("mdFollowThreshold");
+    if (sel) {
+      sel.value = String(follow.threshold);
+      // Custom value (older versions / restored backup): fall back to the recommended one.
+      if (!sel.value) sel.value = String(MD_MATCH_MIN_SCORE);
+    }
+    const noOpen = $("mdNoOpenAfterFollow");
+    if (noOpen) noOpen.checked = follow.noOpenAfterFollow;
+
+    await mdRefreshStatus();
+  }
+
+  async function mdSaveFollowSettings() {
+    const settings = mdNormalizeFollowSettings({
+      threshold: $("mdFollowThreshold")?.value,
+      noOpenAfterFollow: $("mdNoOpenAfterFollow")?.checked,
+    });
+    await setToStorage({ [MD_FOLLOW_SETTINGS_KEY]: settings });
+  }
+
+  function mdReadAuthForm() {
+    return {
+      clientId: String($("mdClientId")?.value || ""),
+      clientSecret: String($("mdClientSecret")?.value || ""),
+      username: String($("mdUsername")?.value || ""),
+      password: String($("mdPassword")?.value || ""),
+    };
+  }
+
+  async function mdConnect() {
+    if (!mdCanUseAdvanced()) return;
+    const f = mdReadAuthForm();
+    await runtimeSendMessage({
+      type: "MD_AUTH_SAVE_SETTINGS",
+      clientId: f.clientId,
+      clientSecret: f.clientSecret,
+      username: f.username,
+    });
+    showToast(
+      "success",
+      t("migToastSavedTitle") || "Saved",
+      t("migToastSavedDesc") || "API settings saved locally."
+    );
+    const resp = await runtimeSendMessage({ type: "MD_AUTH_LOGIN_PASSWORD", ...f });
+    const pwd = $("mdPassword");
+    if (pwd) pwd.value = "";
+    if (!resp || resp.ok !== true) {
+      const msg = String(resp?.error || "login_failed");
+      setMdStatusText((t("migMdFollowErrorFmt", [msg]) || msg).slice(0, 180));
+      showToast("error", t("migToastConnectFailTitle") || "Connection failed", msg);
+      return;
+    }
+    showToast(
+      "success",
+      t("migToastConnectedTitle") || "Connected",
+      t("migToastConnectedDesc") || "MangaDex API connection is ready."
+    );
+    await mdRefreshStatus();
+  }
+
+  // Storage & diagnostics
+  async function renderStorage() {
+    const mode = await getStorageMode();
+    const modeEl = $("storageModeText");
+    if (modeEl) modeEl.textContent = t(`optStorageMode_${mode}`) || mode;
+
+    const local = await storageGet(chrome.storage.local, [
+      SCHEMA.SCHEMA_VERSION_KEY,
+      SCHEMA.UPGRADE_REPORT_KEY,
+    ]);
+    const version = Number(local[SCHEMA.SCHEMA_VERSION_KEY]) || SCHEMA.SCHEMA_VERSION;
+    const versionEl = $("schemaVersionText");
+    if (versionEl) {
+      versionEl.textContent =
+        t("optSchemaVersionFmt", [String(version)]) || `Settings format: v${version}`;
+    }
+
+    const report = local[SCHEMA.UPGRADE_REPORT_KEY];
+    const reportEl = $("upgradeReportText");
+    if (!reportEl) return;
+    if (report && typeof report === "object" && Array.isArray(report.changes)) {
+      const at = report.at ? new Date(report.at).toLocaleString() : "?";
+      const n = String(report.changes.length);
+      reportEl.textContent =
+        t("optUpgradeReportFmt", [String(report.from), String(report.to), at, n]) ||
+        `Last upgrade: v${report.from} → v${report.to} (${at}), ${n} change(s)`;
+      reportEl.title = report.changes.join("\n");
+    } else {
+      reportEl.textContent = t("optUpgradeReportNone") || "No settings upgrade recorded.";
+      reportEl.title = "";
+    }
+  }
+
+  // Stored data & privacy (storage_catalog.js)
+  /** @type {ReturnType<typeof CATALOG.buildDashboard>|null} last rendered state */
+  let dataDashboard = null;
+
+  function storageAreas() {
+    const areas = { sync: chrome.storage.sync, local: chrome.storage.local };
+    // Extension pages are trusted contexts: storage.session is readable here.
+    if (chrome.storage.session) areas.session = chrome.storage.session;
+    return areas;
+  }
+
+  async function readStoredData() {
+    const values = { sync: {}, local: {}, bulk: {}, session: {} };
+    const bytes = { sync: {}, local: {}, session: {} };
+    for (const [name, area] of Object.entries(storageAreas())) {
+      const res = await storageGet(area, null);
+      if (res.__error) continue;
+      values[name] = res;
+      for (const key of Object.keys(res)) {
+        const n = await storageBytesInUse(area, [key]);
+        if (n !== null) bytes[name][key] = n;
+      }
+    }
+    const bulkRes = await BULK.get(SCHEMA.BULK_KEYS);
+    if (bulkRes.ok) values.bulk = bulkRes.data;
+    const touched = values.local[CATALOG.TOUCHED_KEY];
+    return { values, bytes, touched: touched && typeof touched === "object" ? touched : {} };
+  }
+
+  function dataAreaLabel(area) {
+    return t(`optDataArea_${area}`) || area;
+  }
+
+  function dataCategoryLabel(id) {
+    return t(`optDataCat_${id}`) || id;
+  }
+
+  function renderDataRows(rows) {
+    const table = document.createElement("table");
+    table.className = "DataTable";
+    const head = document.createElement("tr");
+    for (const [key, fallback] of [
+      ["optDataColKey", "Data"],
+      ["optDataColArea", "Where"],
+      ["optDataColSize", "Size"],
+      ["optDataColUpdated", "Last updated"],
+    ]) {
+      const th = document.createElement("th");
+      th.textContent = t(key) || fallback;
+      head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const row of rows) {
+      const tr = document.createElement("tr");
+      if (!row.stored) tr.className = "absent";
+
+      const what = document.createElement("td");
+      const code = document.createElement("code");
+      code.textContent = row.key;
+      what.appendChild(code);
+      const desc = t(`optDataKey_${row.key}`);
+      if (desc) {
+        const span = document.createElement("span");
+        span.className = "block text-muted-foreground";
+        span.textContent = desc;
+        what.appendChild(span);
+      }
+
+      const where = document.createElement("td");
+      where.textContent = dataAreaLabel(row.area);
+      const size = document.createElement("td");
+      size.className = "num";
+      size.textContent = row.stored
+        ? CATALOG.formatBytes(row.bytes)
+        : t("optDataNotStored") || "not stored";
+      const updated = document.createElement("td");
+      updated.textContent = row.updatedAt ? new Date(row.updatedAt).toLocaleString() : "-";
+
+      tr.append(what, where, size, updated);
+      table.appendChild(tr);
+    }
+    return table;
+  }
+
+  function renderDataCategory(cat) {
+    const block = document.createElement("div");
+    block.className = "DataCategory";
+
+    const header = document.createElement("div");
+    header.className = "flex items-center justify-between gap-2 mb-1";
+    const title = document.createElement("h3");
+    title.className = "text-sm font-semibold";
+    title.textContent = `${dataCategoryLabel(cat.id)} (${CATALOG.formatBytes(cat.bytes)})`;
+    header.appendChild(title);
+
+    if (!cat.protected) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "Btn ghost text-red-600 dark:text-red-400";
+      btn.textContent = t("optDataDeleteBtn") || "Delete";
+      btn.disabled = cat.busy || !cat.rows.some((r) => r.stored);
+      if (cat.busy) btn.title = t("optDataBusy") || "A running task is using this data.";
+      btn.addEventListener("click", () => {
+        deleteDataCategory(cat.id);
+      });
+      header.appendChild(btn);
+    }
+    block.appendChild(header);
+
+    const desc = document.createElement("p");
+    desc.className = "text-xs text-muted-foreground mb-2";
+    desc.textContent = [t(`optDataCatDesc_${cat.id}`), cat.protected ? t("optDataProtected") : ""]
+      .filter(Boolean)
+      .join(" ");
+    block.appendChild(desc);
+    block.appendChild(renderDataRows(cat.rows));
+    return block;
+  }
+
+  async function renderDataDashboard() {
+    const container = $("dataCategories");
+    if (!container || !CATALOG) return;
+    dataDashboard = CATALOG.buildDashboard(await readStoredData());
+
+    const totalsEl = $("dataTotalsText");
+    if (totalsEl) {
+      const parts = CATALOG.AREAS.map(
+        (area) => `${dataAreaLabel(area)} ${CATALOG.formatBytes(dataDashboard.totals[area])}`
+      );
+      totalsEl.textContent = `${t("optDataTotalLabel") || "In use:"} ${parts.join(" • ")}`;
+    }
+    container.innerHTML = "";
+    for (const cat of dataDashboard.categories) container.appendChild(renderDataCategory(cat));
+
+    const wipe = $("dataWipeBtn");
+    if (wipe) wipe.disabled = dataDashboard.categories.some((c) => c.busy);
+  }
+
+  async function deleteDataCategory(id) {
+    setErrorText("dataError", "");
+    const plan = CATALOG.deletionPlan(id, dataDashboard);
+    if (!plan.ok) return;
+    const label = dataCategoryLabel(id);
+    if (!window.confirm(t("optDataDeleteConfirm", [label]) || `Delete "${label}"?`)) return;
+
+    let ok = plan.keys.length ? await removeFromStorage(plan.keys) : true;
+    if (plan.session.length) {
+      const res = await runtimeSendMessage({ type: "MP_FIX_SESSION_CLEAR", keys: plan.session });
+      ok = ok && !!res?.ok;
+    }
+    const areas = storageAreas();
+    for (const [area, keys] of Object.entries(plan.other)) {
+      if (areas[area]) ok = (await storageRemove(areas[area], keys)).ok && ok;
+    }
+    if (!ok)
+      setErrorText("dataError", t("optDataDeleteFailed") || "Some data could not be deleted.");
+    await render();
+    if (ok) showToast("success", t("optDataDeletedTitle") || "Data deleted", label);
+  }
+
+  async function wipeAllData() {
+    setErrorText("dataError", "");
+    if (
+      !window.confirm(
+        t("optDataWipeConfirm") ||
+          "Delete all data and settings of the extension? This cannot be undone."
+      )
+    ) {
+      return;
+    }
+    const session = await runtimeSendMessage({
+      type: "MP_FIX_SESSION_CLEAR",
+      keys: CATALOG.SESSION_KEYS,
+    });
+    const results = [
+      !!session?.ok,
+      (await BULK.remove(SCHEMA.BULK_KEYS)).ok,
+      (await storageClear(chrome.storage.sync)).ok,
+      (await storageClear(chrome.storage.local)).ok,
+    ];
+    // The service worker rebuilds default settings, already in the current format.
+    await storageSet(chrome.storage.local, { [SCHEMA.SCHEMA_VERSION_KEY]: SCHEMA.SCHEMA_VERSION });
+    if (results.includes(false)) {
+      setErrorText("dataError", t("optDataDeleteFailed") || "Some data could not be deleted.");
+    }
+    await render();
+    if (!results.includes(false))
+      showToast("success", t("optDataWipedTitle") || "All data wiped", "");
+  }
+
+  let dataRenderTimer = null;
+
+  function scheduleDataRender() {
+    if (dataRenderTimer) clearTimeout(dataRenderTimer);
+    dataRenderTimer = setTimeout(() => {
+      dataRenderTimer = null;
+      renderDataDashboard().catch(() => {
+        // no-op
+      });
+    }, DATA_RENDER_DEBOUNCE_MS);
+  }
+
+  function renderAbout() {
+    const el = $("aboutVersionText");
+    if (!el) return;
+    const version = getExtensionVersion();
+    el.textContent = t("optVersionFmt", [version]) || `Version ${version}`;
+  }
+
+  async function render() {
+    const cfg = await getConfig();
+    applyTheme(cfg.theme);
+    await I18N.setLanguage(cfg.uiLanguage);
+    applyI18nToDom();
+    populateUiLangSelect(cfg);
+
+    const theme = $("themeSelect");
+    if (theme) theme.value = cfg.theme;
+    $("themeToggleBtn")?.setAttribute("aria-pressed", cfg.theme === "dark" ? "true" : "false");
+    const checks = {
+      enabledToggle: cfg.enabled,
+      debugToggle: cfg.debug,
+      debugOverlayToggle: cfg.debugOverlay,
+      mainWorldToggle: cfg.mainWorldIntercept,
+      mirrorDetectToggle: cfg.mirrorDetect,
+    };
+    for (const [id, value] of Object.entries(checks)) {
+      const el = $(id);
+      if (el) el.checked = !!value;
+    }
+    const fixMode = $("fixModeSelect");
+    if (fixMode) fixMode.value = cfg.fixMode;
+
+    renderWhitelist(cfg);
+    renderRewriteRules(cfg);
+    renderHeaderRules(cfg);
+    await renderExport();
+    await renderMigration();
+    await renderMdAccount();
+    await renderStorage();
+    await renderDataDashboard();
+    renderAbout();
+  }
+
+  // Changes made elsewhere (popup, migrate.html, export runner): re-render, debounced.
+  let renderTimer = null;
+
+  function scheduleRender() {
+    if (renderTimer) clearTimeout(renderTimer);
+    renderTimer = setTimeout(() => {
+      renderTimer = null;
+      render().catch(() => {
+        // no-op
+      });
+    }, RENDER_DEBOUNCE_MS);
+  }
+
+  // Backup / restore
+  /** @type {object|null} validated backup waiting for the user's choices */
+  let pendingBackup = null;
+
+  function canGzip() {
+    return typeof CompressionStream === "function" && typeof DecompressionStream === "function";
+  }
+
+  function getExtensionVersion() {
+    try {
+      return chrome.runtime.getManifest().version || "";
+    } catch {
+      return "";
+    }
+  }
+
+  async function gzipText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+    return new Response(stream).blob();
+  }
+
+  /** @returns {Promise<string>} file text, gunzipped when needed */
+  async function readBackupFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (!BACKUP.isGzip(bytes)) return new TextDecoder().decode(bytes);
+    if (!canGzip()) throw new Error("gzip_unsupported");
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+  }
+
+  function selectedBackupSections() {
+    return Array.from(document.querySelectorAll("#backupSections input[data-section]"))
+      .filter((el) => el.checked)
+      .map((el) => el.getAttribute("data-section"));
+  }
+
+  async function backupEverything() {
+    const sections = selectedBackupSections();
+    if (!sections.length) {
+      showToast("error", t("optBackupFailedTitle") || "Backup failed", t("optBackupNoSections"));
+      return;
+    }
+    try {
+      const values = await getFromStorage(BACKUP.allKeys());
+      const backup = BACKUP.buildBackup(values, {
+        sections,
+        includeSecrets: !!$("backupIncludeSecrets")?.checked,
+        extensionVersion: getExtensionVersion(),
+      });
+      const json = JSON.stringify(backup, null, 2);
+      const day = backup.createdAt.slice(0, 10);
+      if ($("backupGzip")?.checked && canGzip()) {
+        const gz = await gzipText(json);
+        downloadBlob(`${BACKUP_FILE_PREFIX}-${day}.json.gz`, "application/gzip", gz);
+      } else {
+        downloadBlob(`${BACKUP_FILE_PREFIX}-${day}.json`, "application/json", json);
+      }
+      showToast(
+        "success",
+        t("optBackupDoneTitle") || "Backup ready",
+        t("optBackupDoneDesc", [String(sections.length)]) || `${sections.length} section(s) saved.`
+      );
+    } catch (e) {
+      showToast("error", t("optBackupFailedTitle") || "Backup failed", String(e?.message || e));
+    }
+  }
+
+  function hideRestorePreview() {
+    pendingBackup = null;
+    const box = $("restorePreview");
+    if (box) box.style.display = "none";
+    const input = $("restoreFile");
+    if (input) input.value = "";
+  }
+
+  function renderRestorePreview(backup, warnings, current) {
+    const box = $("restorePreview");
+    const list = $("restoreRows");
+    if (!box || !list) return;
+
+    const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : "?";
+    const meta = $("restoreMeta");
+    if (meta) {
+      meta.textContent =
+        t("optRestoreMetaFmt", [created, backup.extensionVersion || "?"]) ||
+        `Created ${created} (version ${backup.extensionVersion || "?"})`;
+    }
+    const noSecrets = $("restoreNoSecrets");
+    const hasAuth = backup.manifest.sections.some((s) => s.keys.includes("md_auth_settings"));
+    if (noSecrets)
+      noSecrets.style.display = hasAuth && !backup.manifest.secretsIncluded ? "block" : "none";
+    const warn = $("restoreWarnings");
+    if (warn) {
+      warn.style.display = warnings.length ? "block" : "none";
+      warn.textContent =
+        t("optRestoreWarningsFmt", [String(warnings.length)]) || `${warnings.length} ignored`;
+      warn.title = warnings.join("\n");
+    }
+
+    list.innerHTML = "";
+    for (const row of BACKUP.previewRestore(backup, current)) {
+      const el = document.createElement("div");
+      el.className = "flex items-center justify-between gap-3 mb-2";
+      el.setAttribute("role", "listitem");
+
+      const text = document.createElement("div");
+      const label = document.createElement("p");
+      label.className = "text-sm font-medium";
+      label.textContent = t(`backupSection_${row.id}`) || row.id;
+      const summary = document.createElement("p");
+      summary.className = "text-xs text-muted-foreground";
+      summary.textContent = row.keys.length
+        ? t("optRestoreSummaryFmt", [String(row.incoming), String(row.current)]) ||
+          `In backup: ${row.incoming} • Current: ${row.current}`
+        : t("optRestoreEmpty") || "Empty in this backup";
+      text.appendChild(label);
+      text.appendChild(summary);
+
+      const select = document.createElement("select");
+      select.className = "Select py-1.5 px-3 text-sm focus-ring";
+      select.setAttribute("data-section", row.id);
+      select.setAttribute("aria-label", label.textContent);
+      for (const mode of BACKUP.RESTORE_MODES) {
+        const opt = document.createElement("option");
+        opt.value = mode;
+        opt.textContent = t(`optRestoreMode_${mode}`) || mode;
+        select.appendChild(opt);
+      }
+      select.value = row.keys.length ? "merge" : "skip";
+
+      el.appendChild(text);
+      el.appendChild(select);
+      list.appendChild(el);
+    }
+    box.style.display = "block";
+  }
+
+  async function onRestoreFileChosen(file) {
+    if (!file) return;
+    let res;
+    try {
+      res = BACKUP.validateBackup(await readBackupFile(file));
+    } catch (e) {
+      res = { ok: false, error: e?.message === "gzip_unsupported" ? e.message : "not_json" };
+    }
+    if (!res.ok) {
+      hideRestorePreview();
+      showToast(
+        "error",
+        t("optRestoreInvalidTitle") || "Invalid backup",
+        t(`optRestoreError_${res.error}`) || res.error
+      );
+      return;
+    }
+    pendingBackup = res.backup;
+    const current = await getFromStorage(BACKUP.allKeys());
+    renderRestorePreview(res.backup, res.warnings, current);
+  }
+
+  async function applyRestore() {
+    if (!pendingBackup) return;
+    const choices = {};
+    document.querySelectorAll("#restoreRows select[data-section]").forEach((el) => {
+      choices[el.getAttribute("data-section")] = el.value;
+    });
+    if (Object.values(choices).includes("replace")) {
+      const msg =
+        t("optRestoreConfirm") ||
+        "Replace overwrites the current data of these sections. Continue?";
+      if (!window.confirm(msg)) return;
+    }
+
+    const current = await getFromStorage(BACKUP.allKeys());
+    const plan = BACKUP.planRestore(pendingBackup, current, choices);
+    const toSet = {};
+    const toRemove = [];
+    for (const [key, value] of Object.entries(plan.items)) {
+      if (value === null) toRemove.push(key);
+      else toSet[key] = value;
+    }
+    const okSet = Object.keys(toSet).length ? await setToStorage(toSet) : true;
+    const okRemove = toRemove.length ? await removeFromStorage(toRemove) : true;
+    if (!okSet || !okRemove) {
+      showToast(
+        "error",
+        t("optRestoreFailedTitle") || "Restore failed",
+        t("optRestoreFailedDesc") || "Some data could not be written. Try again."
+      );
+      return;
+    }
+
+    hideRestorePreview();
+    await render();
+    showToast(
+      "success",
+      t("optRestoreDoneTitle") || "Backup restored",
+      t("optRestoreDoneDesc", [String(plan.sections.length)]) ||
+        `${plan.sections.length} section(s) restored.`
+    );
+  }
+
+  function onChecked(id, handler) {
+    $(id)?.addEventListener("change", (e) => {
+      handler(!!e.target.checked);
+    });
+  }
+
+  async function init() {
+    await render();
+
+    // General
+    $("themeToggleBtn")?.addEventListener("click", async () => {
+      const cfg = await getConfig();
+      await setConfig({ theme: cfg.theme === "dark" ? "light" : "dark" });
+    });
+    $("themeSelect")?.addEventListener("change", (e) => {
+      setConfig({ theme: String(e.target.value || "dark") });
+    });
+    $("uiLang")?.addEventListener("change", (e) => {
+      setConfig({ uiLanguage: String(e.target.value || "auto").toLowerCase() });
+    });
+    onChecked("enabledToggle", (enabled) => setConfig({ enabled }));
+
+    // Image fixing
+    $("fixModeSelect")?.addEventListener("change", (e) => {
+      changeFixMode(e.target.value);
+    });
+    // Takes effect on the next page load (script registered at document_start).
+    onChecked("mainWorldToggle", (mainWorldIntercept) => setConfig({ mainWorldIntercept }));
+
+    $("addBtn")?.addEventListener("click", async () => {
+      setErrorText("error", "");
+      const input = $("entryInput");
+      const added = await addWhitelistEntry(input.value);
+      if (added === "invalid") return;
+      input.value = "";
+      if (added === "added_no_access") setErrorText("error", t("whitelistNoHostAccess"));
+    });
+    onChecked("mirrorDetectToggle", (mirrorDetect) => {
+      changeMirrorDetect(mirrorDetect);
+    });
+    $("entryInput")?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        $("addBtn").click();
+      }
+    });
+    $("resetBtn")?.addEventListener("click", () => {
+      setErrorText("error", "");
+      setConfig({ whitelist: SCHEMA.DEFAULT_WHITELIST });
+    });
+
+    $("ruleAddBtn")?.addEventListener("click", () => {
+      addRewriteRuleFromForm();
+    });
+    $("rulesResetBtn")?.addEventListener("click", () => {
+      setErrorText("rulesError", "");
+      saveRewriteRules(REWRITE.cloneDefaultRules());
+    });
+    $("ruleTestBtn")?.addEventListener("click", () => {
+      testRewriteUrl();
+    });
+    $("ruleTestInput")?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        testRewriteUrl();
+      }
+    });
+    $("headerRuleAddBtn")?.addEventListener("click", () => {
+      addHeaderRuleFromForm();
+    });
+    $("headerRulesResetBtn")?.addEventListener("click", () => {
+      setErrorText("headerRulesError", "");
+      saveHeaderRules(DNR.DEFAULT_HEADER_RULES);
+    });
+
+    // Library export
+    $("exportDownloadCsvBtn")?.addEventListener("click", () => {
+      downloadExport("csv");
+    });
+    $("exportDownloadJsonBtn")?.addEventListener("click", () => {
+      downloadExport("json");
+    });
+    $("exportClearBtn")?.addEventListener("click", () => {
+      clearExport();
+    });
+
+    // Migration
+    $("migrationTargetSite")?.addEventListener("change", (e) => {
+      setMigrateState({ targetSite: String(e.target.value || "") });
+    });
+    onChecked("migrationOpenNewTab", (openNewTab) => setMigrateState({ openNewTab }));
+    $("openMigrationPanelBtn")?.addEventListener("click", () => {
+      openTab(chrome.runtime.getURL("migrate.html"));
+    });
+
+    // MangaDex account
+    $("mdAcknowledgeRisk")?.addEventListener("change", () => {
+      mdRefreshStatus();
+    });
+    $("mdLoginBtn")?.addEventListener("click", () => {
+      mdConnect();
+    });
+    $("mdLogoutBtn")?.addEventListener("click", async () => {
+      if (!mdCanUseAdvanced()) return;
+      await runtimeSendMessage({ type: "MD_AUTH_LOGOUT" });
+      await mdRefreshStatus();
+    });
+    $("mdTestBtn")?.addEventListener("click", () => {
+      mdRefreshStatus();
+    });
+    $("mdFollowThreshold")?.addEventListener("change", () => {
+      mdSaveFollowSettings();
+    });
+    $("mdNoOpenAfterFollow")?.addEventListener("change", () => {
+      mdSaveFollowSettings();
+    });
+
+    // Storage & diagnostics
+    onChecked("debugToggle", (debug) => setConfig({ debug }));
+    // content.js picks it up through storage.onChanged (no reload).
+    onChecked("debugOverlayToggle", (debugOverlay) => setConfig({ debugOverlay }));
+
+    // Stored data & privacy
+    $("dataWipeBtn")?.addEventListener("click", () => {
+      wipeAllData();
+    });
+
+    // Backup & restore
+    const gzip = $("backupGzip");
+    if (gzip && !canGzip()) {
+      gzip.checked = false;
+      gzip.disabled = true;
+    }
+
+    $("backupBtn")?.addEventListener("click", () => {
+      backupEverything();
+    });
+    $("restoreBtn")?.addEventListener("click", () => {
+      $("restoreFile")?.click();
+    });
+    $("restoreFile")?.addEventListener("change", (e) => {
+      onRestoreFileChosen(e.target.files && e.target.files[0]);
+    });
+    $("restoreApplyBtn")?.addEventListener("click", () => {
+      applyRestore();
+    });
+    $("restoreCancelBtn")?.addEventListener("click", () => {
+      hideRestorePreview();
+    });
+
+    // About (CWS: real links only)
+    $("projectWebsiteBtn")?.addEventListener("click", () => {
+      openTab(PROJECT_WEBSITE_URL);
+    });
+    $("supportProjectBtn")?.addEventListener("click", () => {
+      openTab(SUPPORT_PROJECT_URL);
+    });
+
+    try {
+      chrome.storage.onChanged.addListener((changes, area) => {
+        // Any write changes a size or a date in the stored data dashboard.
+        scheduleDataRender();
+        if (area !== "sync" && area !== "local") return;
+        const keys = [...Object.keys(changes || {}), ...(BULK ? BULK.changedKeys(changes) : [])];
+        if (keys.some((k) => WATCHED_KEYS.has(k))) scheduleRender();
+      });
+    } catch {
+      // no-op
+    }
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    init().catch(() => {
+      // no-op
+    });
+  });
+})();
@@ -2,41 +2,34 @@
 
 /**
  * popup.js (publishable)
- * - Toggle auto-fix enabled/debug (persisté storage.sync, fallback local)
- * - Allowed sites add/remove/reset
+ * Actions rapides ; tous les réglages (sites autorisés, règles, fix mode, debug, langue, compte
+ * MangaDex, sauvegarde) sont sur la page d'options (options.html).
+ * - Toggle auto-fix enabled (persisté storage.sync, fallback local) + thème
+ * - Miroir non listé détecté (mirror_detect.js) : bannière "ajouter aux sites autorisés ?"
  * - Bouton "Fix this page now" : injecte injected_patch.js via chrome.scripting.executeScript
  *   (action utilisateur => activeTab) et lance le patch en mode force (ignore whitelist).
+ * - Pause sur l'onglet, images encore cassées (+ retry)
+ * - Export de la bibliothèque (écrans running / done / error) et accès à la migration
  *
  * Permissions:
  * - storage (settings)
  * - activeTab + scripting ("Fix this page now")
+ * - optional host access, domaine ajouté hors manifest (auto-fix via content scripts dynamiques)
  *
  * Pas de permission "tabs". On évite tab.url.
  */
 
-const DEFAULT_WHITELIST = [
-  "mangapark.*",
-  "comicpark.*",
-  "readpark.*",
-  "parkmanga.*",
-  "mpark.*",
-];
-
-const DEFAULT_CONFIG = {
-  enabled: true,
-  debug: false,
-  whitelist: DEFAULT_WHITELIST,
-  // UI language: "auto" uses chrome.i18n. Otherwise: "en" or "fr" (extensible).
-  uiLanguage: "auto",
-  // Theme for popup + internal pages: "dark" | "light"
-  theme: "dark",
-};
+// Rule engine (pure helpers). Loaded via <script src="rewrite_rules.js"> before this file.
+const REWRITE = window.MP_REWRITE_RULES;
+const DNR = window.MP_DNR_RULES;
+const WHITELIST = window.MP_WHITELIST;
+const SETTINGS_SCHEMA = window.MP_SETTINGS_SCHEMA;
+const BULK_STORE = window.MP_BULK_STORE;
 
 const PATCHER_NS = "__MP_IMAGE_FIX__";
-const LOCALES_BASE_PATH = "_locales";
 // If sync storage is readable but not writable (quota / policy / transient), we persist a mode marker locally.
 // This ensures toggles (like debug) keep working and the UI reflects the last user choice on THIS device.
-const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
+const CONFIG_STORAGE_MODE_KEY = SETTINGS_SCHEMA.CONFIG_STORAGE_MODE_KEY; // "sync" | "local"
 const EXPORT_STATE_KEY = "mp_export_state";
 const EXPORT_DATA_KEY = "mp_export_follows";
 const EXPORT_PARTIAL_KEY = "mp_export_partial";
@@ -96,7 +89,7 @@ function storageSet(area, items) {
   });
 }
 
-function getFromStorage(keys) {
+function getSharedFromStorage(keys) {
   // Prefer sync by default, but if sync is readable and not writable in this environment,
   // we may have switched to local mode (stored in chrome.storage.local).
   return (async () => {
@@ -122,7 +115,7 @@ function getFromStorage(keys) {
   })();
 }
 
-async function setToStorage(items) {
+async function setSharedToStorage(items) {
   const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
   const mode =
     modeRes && !modeRes.__error && typeof modeRes[CONFIG_STORAGE_MODE_KEY] === "string"
@@ -160,8 +153,38 @@ async function setToStorage(items) {
   return false;
 }
 
+// Device-only keys (settings_schema.js) bypass the sync/local storage mode: export / MangaDex
+// state in chrome.storage.local, bulk datasets (follow exports, match results) in IndexedDB.
+async function getFromStorage(keys) {
+  const { bulk, local, shared } = SETTINGS_SCHEMA
+    ? SETTINGS_SCHEMA.splitKeys(keys)
+    : { bulk: [], local: [], shared: keys };
+  const res = shared.length ? await getSharedFromStorage(shared) : { area: "local", data: {} };
+  const data = { ...res.data };
+  if (local.length) {
+    const localRes = await storageGet(chrome.storage.local, local);
+    if (!localRes.__error) Object.assign(data, localRes);
+  }
+  if (bulk.length && BULK_STORE) {
+    const bulkRes = await BULK_STORE.get(bulk);
+    if (bulkRes.ok) Object.assign(data, bulkRes.data);
+  }
+  return { area: res.area, data };
+}
+
+async function setToStorage(items) {
+  const { bulk, local, shared } = SETTINGS_SCHEMA
+    ? SETTINGS_SCHEMA.splitItems(items)
+    : { bulk: {}, local: {}, shared: items };
+  if (Object.keys(bulk).length && !(BULK_STORE && (await BULK_STORE.set(bulk)).ok)) return false;
+  if (Object.keys(local).length && !(await storageSet(chrome.storage.local, local)).ok) {
+    return false;
+  }
+  return Object.keys(shared).length ? setSharedToStorage(shared) : true;
+}
+
 async function getConfig() {
-  const keys = ["enabled", "debug", "whitelist", "uiLanguage", "theme"];
+  const keys = Object.keys(SETTINGS_SCHEMA.CONFIG_FIELDS);
   // Mode marker is stored locally only.
   const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
   const mode =
@@ -187,27 +210,11 @@ async function getConfig() {
   return applyDefaults(localRes.__error ? {} : localRes);
 }
 
+// Keys, defaults and validation: settings_schema.js; rule lists normalized by their modules.
 function applyDefaults(partial) {
-  const cfg = {
-    enabled:
-      typeof partial.enabled === "boolean" ? partial.enabled : DEFAULT_CONFIG.enabled,
-    debug: typeof partial.debug === "boolean" ? partial.debug : DEFAULT_CONFIG.debug,
-    whitelist: Array.isArray(partial.whitelist) ? partial.whitelist : DEFAULT_CONFIG.whitelist,
-    uiLanguage:
-      typeof partial.uiLanguage === "string" ? partial.uiLanguage : DEFAULT_CONFIG.uiLanguage,
-    theme: typeof partial.theme === "string" ? partial.theme : DEFAULT_CONFIG.theme,
-  };
-  cfg.whitelist = uniq(
-    cfg.whitelist
-      .map((s) => String(s || "").trim().toLowerCase())
-      .filter(Boolean)
-  );
-  cfg.uiLanguage = String(cfg.uiLanguage || "auto").toLowerCase();
-  if (!["auto", "en", "fr"].includes(cfg.uiLanguage)) cfg.uiLanguage = "auto";
-
-  cfg.theme = String(cfg.theme || "dark").toLowerCase();
-  if (!["dark", "light"].includes(cfg.theme)) cfg.theme = "dark";
-
+  const cfg = SETTINGS_SCHEMA.applyConfigDefaults(partial);
+  cfg.rewriteRules = REWRITE.normalizeRules(cfg.rewriteRules);
+  cfg.headerRules = DNR.normalizeHeaderRules(cfg.headerRules);
   return cfg;
 }
 
@@ -226,15 +233,7 @@ function uniq(arr) {
 }
 
 function applyTheme(theme) {
-  try {
-    const t = String(theme || "dark").toLowerCase();
-    // Figma Make uses `.dark` class on the root wrapper.
-    document.documentElement.classList.toggle("dark", t === "dark");
-    const root = document.getElementById("root");
-    if (root) root.classList.toggle("dark", t === "dark");
-  } catch {
-    // no-op
-  }
+  window.MP_UI_I18N.applyTheme(theme);
 }
 
 function updateThemeToggleUi(cfg) {
@@ -285,53 +284,16 @@ function mapExportStateToScreen(status) {
   return "screenHome";
 }
 
+// Validation / matching : whitelist.js (même matcher que content.js et injected_patch.js)
 function isValidWhitelistEntry(raw) {
-  if (!raw) return false;
-  const s = raw.trim().toLowerCase();
-  if (!s) return false;
-
-  // Validation basique : pas de schéma/espaces/slash/ports/query/fragment
-  if (s.includes("://")) return false;
-  if (/\s/.test(s)) return false;
-  if (/[\/\\?#@:%]/.test(s)) return false;
-  if (!/^[a-z0-9.*-]+$/.test(s)) return false;
-  if (s.startsWith(".") || s.endsWith(".")) return false;
-  if (s.includes("..")) return false;
-
-  const starCount = (s.match(/\*/g) || []).length;
-  if (starCount === 0) {
-    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(s);
-  }
-  // Wildcard simple : uniquement en suffixe ".*"
-  if (starCount === 1 && s.endsWith(".*") && !s.slice(0, -2).includes("*")) {
-    const base = s.slice(0, -2);
-    return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(base);
-  }
-  return false;
+  return WHITELIST.validateWhitelistEntry(raw).ok;
 }
 
-function escapeRegExp(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-function isHostAllowed(hostname, whitelist) {
-  const host = String(hostname || "").toLowerCase();
-  if (!host) return false;
-
-  for (const entry of whitelist || []) {
-    const e = String(entry || "").trim().toLowerCase();
-    if (!e) continue;
-
-    if (e.endsWith(".*")) {
-      const base = e.slice(0, -2);
-      const re = new RegExp(`(^|\\.)${escapeRegExp(base)}\\.[^.]+$`, "i");
-      if (re.test(host)) return true;
-      continue;
-    }
-    const re = new RegExp(`(^|\\.)${escapeRegExp(e)}$`, "i");
-    if (re.test(host)) return true;
-  }
-  return false;
+// Message explaining why an entry was rejected ("" when valid)
+function whitelistEntryError(raw) {
+  const { ok, error } = WHITELIST.validateWhitelistEntry(raw);
+  if (ok) return "";
+  return t(`whitelistError_${error}`) || t("errorInvalidEntry");
 }
 
 function tabsQueryActive() {
@@ -374,6 +336,34 @@ function scriptingExecuteScript(details) {
   });
 }
 
+function permissionsRequest(permissions) {
+  return new Promise((resolve) => {
+    try {
+      chrome.permissions.request(permissions, (granted) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve(false);
+        resolve(!!granted);
+      });
+    } catch {
+      resolve(false);
+    }
+  });
+}
+
+function runtimeSendMessage(message) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(message, (response) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ __error: err });
+        resolve(response || null);
+      });
+    } catch (e) {
+      resolve({ __error: String(e) });
+    }
+  });
+}
+
 function downloadsDownload(options) {
   return new Promise((resolve) => {
     try {
@@ -638,12 +628,12 @@ function updateResumeUi(st) {
 }
 
 /**
- * i18n layer
+ * i18n layer: ui_i18n.js (shared with migrate.html and options.html).
  *
  * Chrome i18n works automatically based on the browser language, but it can't be overridden at runtime.
- * For a manual UI language selector, we load `_locales/<lang>/messages.json` locally and use it as a dictionary.
+ * For a manual UI language selector, `_locales/<lang>/messages.json` is loaded as a dictionary.
  */
-let i18nDict = null; // { [key]: message }
+const I18N = window.MP_UI_I18N.createI18n();
 
 function msgKeyForLangOption(code, prefix) {
   // e.g. "zh-CN" -> "lang_zh_CN"
@@ -651,104 +641,12 @@ function msgKeyForLangOption(code, prefix) {
   return `${prefix}${safe}`;
 }
 
-async function loadLocaleDict(lang) {
-  const locale = String(lang || "").toLowerCase();
-  if (!locale || locale === "auto") return null;
-
-  // Try requested locale, then fallback to en.
-  const candidates = [locale, "en"];
-  for (const cand of candidates) {
-    try {
-      const url = chrome.runtime.getURL(`${LOCALES_BASE_PATH}/${cand}/messages.json`);
-      const res = await fetch(url, { cache: "no-store" });
-      if (!res.ok) continue;
-      const json = await res.json();
-      const dict = {};
-      for (const [k, v] of Object.entries(json || {})) {
-        if (v && typeof v.message === "string") dict[k] = v.message;
-      }
-      return dict;
-    } catch {
-      // try next candidate
-    }
-  }
-  return null;
-}
-
 function t(key, substitutions) {
-  const k = String(key || "");
-  const subs = Array.isArray(substitutions) ? substitutions : [];
-
-  // Manual dict has priority when user chose a specific UI language.
-  if (i18nDict && typeof i18nDict[k] === "string") {
-    let s = i18nDict[k];
-    // Support Chrome-style substitutions $1..$9
-    for (let i = 0; i < subs.length && i < 9; i += 1) {
-      const idx = i + 1;
-      s = s.replaceAll(`$${idx}`, String(subs[i]));
-      s = s.replaceAll(`$${idx}$`, String(subs[i]));
-    }
-    return s;
-  }
-
-  // Default Chrome i18n path (auto)
-  try {
-    const msg = chrome.i18n.getMessage(k, subs);
-    return msg || "";
-  } catch {
-    return "";
-  }
+  return I18N.t(key, substitutions);
 }
 
 function applyI18nToDom() {
-  // Text nodes
-  document.querySelectorAll("[data-i18n]").forEach((el) => {
-    const key = el.getAttribute("data-i18n");
-    const value = t(key);
-    if (value) el.textContent = value;
-  });
-
-  // Placeholders
-  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
-    const key = el.getAttribute("data-i18n-placeholder");
-    const value = t(key);
-    if (value) el.setAttribute("placeholder", value);
-  });
-
-  // Titles/tooltips
-  document.querySelectorAll("[data-i18n-title]").forEach((el) => {
-    const key = el.getAttribute("data-i18n-title");
-    const value = t(key);
-    if (value) el.setAttribute("title", value);
-  });
-
-  // aria-label
-  document.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
-    const key = el.getAttribute("data-i18n-aria-label");
-    const value = t(key);
-    if (value) el.setAttribute("aria-label", value);
-  });
-}
-
-function populateUiLangSelect(cfg) {
-  const sel = $("uiLang");
-  if (!sel) return;
-  sel.innerHTML = "";
-
-  const options = [
-    { value: "auto", labelKey: "uiLang_auto" },
-    { value: "en", labelKey: "uiLang_en" },
-    { value: "fr", labelKey: "uiLang_fr" },
-  ];
-
-  for (const opt of options) {
-    const o = document.createElement("option");
-    o.value = opt.value;
-    o.textContent = t(opt.labelKey) || opt.value;
-    sel.appendChild(o);
-  }
-
-  sel.value = cfg.uiLanguage || "auto";
+  I18N.applyToDom(document);
 }
 
 async function getMigrateState() {
@@ -826,48 +724,16 @@ function setError(msg) {
   el.textContent = msg;
 }
 
-function renderWhitelist(cfg, currentHost, allowedOverride) {
-  const list = $("list");
-  const count = $("count");
-  if (!list || !count) return;
-
-  list.innerHTML = "";
-
-  const entries = cfg.whitelist || [];
-  for (const entry of entries) {
-    const li = document.createElement("li");
-    li.className = "item";
-
-    const code = document.createElement("code");
-    code.textContent = entry;
-
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "danger";
-    btn.textContent = t("deleteBtn") || "Remove";
-    btn.addEventListener("click", async () => {
-      const next = entries.filter((e) => e !== entry);
-      await setConfig({ whitelist: next });
-      await refresh();
-    });
-
-    li.appendChild(code);
-    li.appendChild(btn);
-    list.appendChild(li);
-  }
-
-  if (entries.length === 1) count.textContent = t("whitelistCount_one") || "1 entry";
-  else count.textContent = t("whitelistCount_many", [String(entries.length)]) || `${entries.length} entries`;
-
+// Allowed-sites status of the active tab (the list itself is edited in options.html).
+function renderHostAllowed(cfg, currentHost, allowedOverride) {
   const hostAllowed = $("hostAllowed");
-  if (hostAllowed) {
-    const ok =
-      typeof allowedOverride === "boolean"
-        ? allowedOverride
-        : isHostAllowed(currentHost, entries);
-    hostAllowed.textContent = ok ? t("hostAllowed") : t("hostNotAllowed");
-    hostAllowed.style.color = ok ? "var(--accent)" : "var(--danger)";
-  }
+  if (!hostAllowed) return;
+  const ok =
+    typeof allowedOverride === "boolean"
+      ? allowedOverride
+      : WHITELIST.isHostAllowed(currentHost, cfg.whitelist || []);
+  hostAllowed.textContent = ok ? t("hostAllowed") : t("hostNotAllowed");
+  hostAllowed.style.color = ok ? "var(--accent)" : "var(--danger)";
 }
 
 function updateFixNowUi(allowedOverride) {
@@ -883,6 +749,188 @@ function updateFixNowUi(allowedOverride) {
       : (t("fixNowUnsupportedHelper") || "This action is available only on supported MangaPark domains.");
 }
 
+/**
+ * Patched / still broken counters reported by the content script (null => hidden).
+ * @param {{ patched: number, broken: number, brokenByHost: Record<string, number> } | null} images
+ */
+function renderBrokenImages(images) {
+  const box = $("brokenImagesBox");
+  if (!box) return;
+  if (!images || typeof images !== "object") {
+    box.style.display = "none";
+    return;
+  }
+  box.style.display = "block";
+
+  const patched = Number(images.patched) || 0;
+  const broken = Number(images.broken) || 0;
+  $("brokenImagesText").textContent =
+    broken > 0
+      ? t("brokenImagesCount", [String(broken), String(patched)]) ||
+        `${broken} images still broken (${patched} patched)`
+      : t("brokenImagesNone", [String(patched)]) || `No broken images (${patched} patched)`;
+
+  const hosts = Object.entries(images.brokenByHost || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([host, n]) => `${host} (${n})`);
+  const hostsEl = $("brokenImagesHosts");
+  hostsEl.style.display = hosts.length ? "block" : "none";
+  hostsEl.textContent = hosts.length ? t("brokenImagesHosts", [hosts.join(", ")]) : "";
+
+  $("retryBrokenBtn").style.display = broken > 0 ? "" : "none";
+}
+
+async function retryBrokenImages() {
+  const [tab] = await tabsQueryActive();
+  if (tab?.id == null) return;
+  const resp = await tabsSendMessage(tab.id, { type: "MP_FIX_RETRY_BROKEN" });
+  if (!resp || resp.__error) return;
+  renderBrokenImages(resp.images);
+  $("brokenImagesText").textContent = t("brokenImagesRetrying", [String(resp.retried || 0)]);
+}
+
+// "Pause here" state of the active tab: { tabId, paused } | null (no content script)
+let tabPause = null;
+
+function renderTabPause() {
+  const btn = $("pauseTabBtn");
+  const hint = $("tabPausedHint");
+  if (!btn) return;
+  btn.style.display = tabPause ? "" : "none";
+  if (hint) hint.style.display = tabPause?.paused ? "block" : "none";
+  if (!tabPause) return;
+  btn.textContent = tabPause.paused
+    ? t("tabResumeBtn") || "Resume on this tab"
+    : t("tabPauseBtn") || "Pause on this tab";
+}
+
+// Per-tab, per-session: kept by the service worker (storage.session), global config untouched.
+async function toggleTabPause() {
+  if (!tabPause) return;
+  const res = await runtimeSendMessage({
+    type: "MP_FIX_TAB_PAUSE_SET",
+    tabId: tabPause.tabId,
+    paused: !tabPause.paused,
+  });
+  if (!res || res.__error || !res.ok) return;
+  tabPause = { tabId: tabPause.tabId, paused: !!res.paused };
+  renderTabPause();
+}
+
+// Domains outside the manifest content_scripts: auto-fix needs host access
+// (the service worker registers content.js there once granted).
+function userDomainOrigins(entry) {
+  let staticMatches = [];
+  try {
+    const scripts = chrome.runtime.getManifest().content_scripts || [];
+    staticMatches = scripts.flatMap((cs) => cs.matches || []);
+  } catch {
+    // no-op
+  }
+  return WHITELIST.extraMatchPatterns([entry], staticMatches);
+}
+
+/**
+ * Adds an allowed site from the mirror banner (options.html has the same path for its editor).
+ * Call from the user gesture: the host permission prompt must come before any await.
+ * @returns {Promise<"invalid"|"added"|"added_no_access">}
+ */
+async function addWhitelistEntry(raw) {
+  const value = String(raw || "").trim().toLowerCase();
+  if (!isValidWhitelistEntry(value)) {
+    setError(whitelistEntryError(value));
+    return "invalid";
+  }
+  const origins = userDomainOrigins(value);
+  const granted = origins.length ? await permissionsRequest({ origins }) : true;
+
+  const cfg = await getConfig();
+  const next = uniq([...(cfg.whitelist || []), value]);
+  await setConfig({ whitelist: next });
+  return granted ? "added" : "added_no_access";
+}
+
+// Mirror banner state for the active tab: { tabId, entry } | null
+let mirrorSuggestion = null;
+
+// Flag raised by mirror_detect.js (service worker), else a one-off scan through activeTab.
+async function getMirrorSuspect(tab) {
+  const tabId = tab.id;
+  const flagged = await runtimeSendMessage({ type: "MP_FIX_MIRROR_SUSPECT_GET", tabId });
+  if (flagged && flagged.ok && flagged.suspect) {
+    return flagged.suspect.dismissed ? null : flagged.suspect;
+  }
+  // Web pages only (no chrome://, file:, PDF viewer...)
+  if (!/^https?:/i.test(String(tab.url || ""))) return null;
+
+  const probe = await scriptingExecuteScript({
+    target: { tabId, allFrames: false },
+    func: () => !!window.__MP_MIRROR_DETECT__,
+  });
+  if (probe.__error) return null;
+  // Already registered by the service worker => leave it running; else ours is removed after.
+  const registered = Array.isArray(probe) && probe[0] ? !!probe[0].result : false;
+  if (!registered) {
+    const inj = await scriptingExecuteScript({
+      target: { tabId, allFrames: false },
+      files: ["mirror_detect.js"],
+    });
+    if (inj.__error) return null;
+  }
+  const res = await scriptingExecuteScript({
+    target: { tabId, allFrames: false },
+    args: [!registered],
+    func: (dispose) => {
+      try {
+        const detector = window.__MP_MIRROR_DETECT__;
+        const stats = detector ? detector.scan() : null;
+        if (dispose && detector) detector.dispose();
+        return stats;
+      } catch {
+        return null;
+      }
+    },
+  });
+  const stats = Array.isArray(res) && res[0] ? res[0].result : null;
+  return stats && stats.suspect ? stats : null;
+}
+
+function renderMirrorSuggestion(suspect) {
+  const box = $("mirrorSuggestBox");
+  if (!box) return;
+  const entry = suspect ? WHITELIST.suggestEntryForHost(suspect.host) : "";
+  box.style.display = entry ? "block" : "none";
+  const text = $("mirrorSuggestText");
+  if (text && entry) {
+    text.textContent =
+      t("mirrorSuggestDetails", [String(suspect.failed), String(suspect.mediaImages), entry]) ||
+      `${suspect.failed}/${suspect.mediaImages} /media/ images failed — ${entry}`;
+  }
+}
+
+async function acceptMirrorSuggestion() {
+  if (!mirrorSuggestion) return;
+  const { tabId, entry } = mirrorSuggestion;
+  const added = await addWhitelistEntry(entry);
+  if (added === "invalid") return;
+  await runtimeSendMessage({ type: "MP_FIX_MIRROR_SUSPECT_CLEAR", tabId });
+  // Registered content scripts only apply from the next load: fix the open page now (activeTab).
+  await fixThisPageNow();
+  await refresh();
+  if (added === "added_no_access") setError(t("whitelistNoHostAccess"));
+}
+
+async function dismissMirrorSuggestion() {
+  if (!mirrorSuggestion) return;
+  await runtimeSendMessage({
+    type: "MP_FIX_MIRROR_SUSPECT_DISMISS",
+    tabId: mirrorSuggestion.tabId,
+    host: mirrorSuggestion.entry,
+  });
+  mirrorSuggestion = null;
+  renderMirrorSuggestion(null);
+}
+
 async function refresh() {
   setError("");
   const cfg = await getConfig();
@@ -890,17 +938,11 @@ async function refresh() {
   applyTheme(cfg.theme);
 
   // Load i18n dict if user selected a manual UI language.
-  i18nDict = await loadLocaleDict(cfg.uiLanguage);
+  await I18N.setLanguage(cfg.uiLanguage);
   applyI18nToDom();
   updateThemeToggleUi(cfg);
 
-  // Populate language selects (labels must be localized)
-  populateUiLangSelect(cfg);
-  // (translation removed)
-
   $("enabledToggle").checked = !!cfg.enabled;
-  $("debugToggle").checked = !!cfg.debug;
-  // (translation removed)
 
   // Migration UI
   const migState = await getMigrateState();
@@ -911,25 +953,41 @@ async function refresh() {
 
   let currentHost = "";
   let allowed = null;
+  let images = null;
+  let suspect = null;
+  let tabId = null;
+  let paused = null;
 
   try {
     const [tab] = await tabsQueryActive();
     if (tab?.id != null) {
+      tabId = tab.id;
       const resp = await tabsSendMessage(tab.id, { type: "MP_FIX_GET_STATUS" });
       if (resp && !resp.__error) {
         currentHost = resp.host || "";
         allowed = typeof resp.allowed === "boolean" ? resp.allowed : null;
+        images = resp.images || null;
+        paused = !!resp.paused;
       }
+      // No content script answered: maybe an unlisted mirror.
+      if (!currentHost) suspect = await getMirrorSuspect(tab);
     }
   } catch {
     // no-op
   }
 
+  const suggestedEntry = suspect ? WHITELIST.suggestEntryForHost(suspect.host) : "";
+  mirrorSuggestion = suggestedEntry ? { tabId, entry: suggestedEntry } : null;
+  renderMirrorSuggestion(mirrorSuggestion ? suspect : null);
+  tabPause = paused === null ? null : { tabId, paused };
+  renderTabPause();
+
   const currentHostEl = $("currentHost");
   if (currentHostEl) currentHostEl.textContent = currentHost || t("unknownHost") || "(unknown)";
 
-  renderWhitelist(cfg, currentHost, allowed);
+  renderHostAllowed(cfg, currentHost, allowed);
   updateFixNowUi(allowed);
+  renderBrokenImages(images);
 
   // Steps indicator (best-effort)
   try {
@@ -984,7 +1042,7 @@ async function fixThisPageNow() {
   // 1) Injecter la lib patch (fichier statique local)
   const inj1 = await scriptingExecuteScript({
     target: { tabId: tab.id, allFrames: true },
-    files: ["injected_patch.js"],
+    files: ["rewrite_rules.js", "whitelist.js", "injected_patch.js"],
   });
   if (inj1.__error) {
     setError((t("errorInjectFailed", [inj1.__error]) || "").replace("$DETAILS$", inj1.__error));
@@ -994,7 +1052,7 @@ async function fixThisPageNow() {
   // 2) Lancer le patch en mode "force" (ignore whitelist) + respecte debug du user
   const inj2 = await scriptingExecuteScript({
     target: { tabId: tab.id, allFrames: true },
-    func: (debug) => {
+    func: (debug, rules, overlay) => {
       try {
         const ns = "__MP_IMAGE_FIX__";
         const patcher = window[ns];
@@ -1003,6 +1061,8 @@ async function fixThisPageNow() {
             enabled: true,
             debug: !!debug,
             whitelist: [],
+            rules,
+            overlay: !!overlay,
             force: true,
             observe: true,
             reason: "manual:popup",
@@ -1012,7 +1072,7 @@ async function fixThisPageNow() {
         // no-op
       }
     },
-    args: [!!cfg.debug],
+    args: [!!cfg.debug, cfg.rewriteRules, !!cfg.debugOverlay],
   });
 
   if (inj2.__error) {
@@ -1408,7 +1468,7 @@ function parseOriginIfAllowed(url, allowedHosts) {
     if (!/^https?:$/.test(u.protocol)) return "";
     const host = String(u.hostname || "").toLowerCase();
     if (!host) return "";
-    return isHostAllowed(host, allowedHosts) ? u.origin : "";
+    return WHITELIST.isHostAllowed(host, allowedHosts) ? u.origin : "";
   } catch {
     return "";
   }
@@ -1418,7 +1478,7 @@ async function injectAndRunExport(tabId) {
   // Inject runner (file)
   const inj = await scriptingExecuteScript({
     target: { tabId, allFrames: false },
-    files: ["mp_export_runner.js"],
+    files: ["settings_schema.js", "mp_export_runner.js"],
   });
   if (inj && inj.__error) {
     const m = (t("exportInjectFailed", [inj.__error]) || "").replace("$DETAILS$", inj.__error) || String(inj.__error);
@@ -1443,7 +1503,10 @@ async function openFollowsAndRun() {
   }
 
   const cfg = await getConfig();
-  const allowedHosts = uniq([...(DEFAULT_WHITELIST || []), ...((cfg && cfg.whitelist) || [])]);
+  const allowedHosts = uniq([
+    ...SETTINGS_SCHEMA.DEFAULT_WHITELIST,
+    ...((cfg && cfg.whitelist) || []),
+  ]);
 
   // Get active tab URL without tabs permission
   const urlRes = await getActiveTabUrlViaScripting(tab.id);
@@ -1516,25 +1579,11 @@ async function init() {
     await refresh();
   });
 
-  // UI language selector
-  $("uiLang")?.addEventListener("change", async (e) => {
-    const v = String(e.target.value || "auto").toLowerCase();
-    await setConfig({ uiLanguage: v });
-    await refresh();
-  });
-
   $("enabledToggle").addEventListener("change", async (e) => {
     await setConfig({ enabled: !!e.target.checked });
     await refresh();
   });
 
-  $("debugToggle").addEventListener("change", async (e) => {
-    await setConfig({ debug: !!e.target.checked });
-    await refresh();
-  });
-
-  // (translation removed)
-
   // Footer/support actions (CWS: no dead/placeholder links)
   const SUPPORT_PROJECT_URL = "https://github.com/sponsors/Jackstonebreaker";
   const PROJECT_WEBSITE_URL = "https://github.com/Jackstonebreaker/mangapark-image-fix";
@@ -1544,37 +1593,37 @@ async function init() {
   $("projectWebsiteBtn")?.addEventListener("click", () => {
     window.open(PROJECT_WEBSITE_URL, "_blank", "noopener,noreferrer");
   });
+  $("openSettingsBtn")?.addEventListener("click", () => {
+    try {
+      chrome.runtime.openOptionsPage();
+    } catch {
+      // no-op
+    }
+  });
 
   $("fixNowBtn")?.addEventListener("click", async () => {
     await fixThisPageNow();
     await refresh();
   });
 
-  $("addBtn").addEventListener("click", async () => {
-    setError("");
-    const input = $("entryInput");
-    const value = String(input.value || "").trim().toLowerCase();
-    if (!isValidWhitelistEntry(value)) {
-      setError(t("errorInvalidEntry"));
-      return;
-    }
-    const cfg = await getConfig();
-    const next = uniq([...(cfg.whitelist || []), value]);
-    await setConfig({ whitelist: next });
-    input.value = "";
+  $("pauseTabBtn")?.addEventListener("click", async () => {
+    await toggleTabPause();
     await refresh();
   });
 
-  $("entryInput").addEventListener("keydown", async (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      $("addBtn").click();
-    }
+  $("retryBrokenBtn")?.addEventListener("click", async () => {
+    await retryBrokenImages();
+    // Laisser le temps aux images de (re)charger avant de relire les compteurs.
+    setTimeout(() => refresh(), 2000);
   });
 
-  $("resetBtn").addEventListener("click", async () => {
-    await setConfig({ whitelist: DEFAULT_WHITELIST });
-    await refresh();
+  $("mirrorSuggestAddBtn")?.addEventListener("click", async () => {
+    setError("");
+    await acceptMirrorSuggestion();
+  });
+
+  $("mirrorSuggestDismissBtn")?.addEventListener("click", async () => {
+    await dismissMirrorSuggestion();
   });
 
   // Export buttons
@@ -1735,7 +1784,13 @@ async function init() {
   try {
     chrome.storage.onChanged.addListener((changes, area) => {
       if (area !== "sync" && area !== "local") return;
-      if (changes && (changes[EXPORT_DATA_KEY] || changes[EXPORT_PARTIAL_KEY])) {
+      const bulkKeys = BULK_STORE ? BULK_STORE.changedKeys(changes) : [];
+      if (
+        changes?.[EXPORT_DATA_KEY] ||
+        changes?.[EXPORT_PARTIAL_KEY] ||
+        bulkKeys.includes(EXPORT_DATA_KEY) ||
+        bulkKeys.includes(EXPORT_PARTIAL_KEY)
+      ) {
         updateStoredItemsCount();
         getExportState().then((st) => updateResumeUi(st)).catch(() => {});
       }
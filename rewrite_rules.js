@@ -0,0 +1,469 @@
+/**
+ * rewrite_rules.js
+ *
+ * Moteur de règles de réécriture (fonctions pures) utilisé par :
+ * - injected_patch.js (content script + "Fix this page now")
+ * - main_world_patch.js (monde MAIN, option "Intercept before load")
+ * - popup.js (éditeur de règles + "test this URL")
+ *
+ * Une règle = { id, hostPattern, pathPattern, destination, enabled }
+ * - hostPattern / pathPattern : RegExp (string, case-insensitive) testées sur hostname / pathname
+ * - destination : template, tokens supportés :
+ *   {pageOrigin} {pageProtocol} {pageHost} {protocol} {host} {path} {search} {hash}
+ * - Les règles sont évaluées dans l'ordre, la première qui matche gagne.
+ *
+ * Fallback (image réécrite qui échoue encore) :
+ * - candidats = host courant (URL réécrite), puis autres hosts sNN, puis URL d'origine
+ * - ordre affiné par un score de santé par host (persisté côté patcher)
+ *
+ * srcset : parsing / sérialisation selon l'algorithme WHATWG (virgules dans les URLs, data:),
+ * un seul découpage pour les deux mondes (isolé et MAIN).
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_REWRITE_RULES = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Règle historique : hosts s00..s10 + /media/ => host courant (même pathname).
+  const DEFAULT_REWRITE_RULES = [
+    {
+      id: "mp-media",
+      hostPattern: "^s(?:0\\d|10)\\.",
+      pathPattern: "^/media/",
+      destination: "{pageOrigin}{path}",
+      enabled: true,
+    },
+  ];
+
+  const DESTINATION_TOKENS = [
+    "pageOrigin",
+    "pageProtocol",
+    "pageHost",
+    "protocol",
+    "host",
+    "path",
+    "search",
+    "hash",
+  ];
+
+  const MAX_PATTERN_LENGTH = 300;
+
+  // Hosts CDN numérotés : s00..s10 (pool de rotation du fallback)
+  const SNN_HOST_REGEX = /^s(\d{2})\./i;
+  const FALLBACK_HOST_NUMBERS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  // Hosts tentés par image avant l'URL d'origine (les mieux notés), pour borner les requêtes
+  const FALLBACK_MAX_HOSTS = 3;
+  const HEALTH_MIN = -10;
+  const HEALTH_MAX = 10;
+
+  function cloneDefaultRules() {
+    return DEFAULT_REWRITE_RULES.map((r) => ({ ...r }));
+  }
+
+  function makeRuleId() {
+    return `r_${Date.now().toString(36)}_${Math.floor(Math.random() * 1e6).toString(36)}`;
+  }
+
+  function normalizeRule(raw) {
+    const r = raw && typeof raw === "object" ? raw : {};
+    return {
+      id: typeof r.id === "string" && r.id.trim() ? r.id.trim() : makeRuleId(),
+      hostPattern: String(r.hostPattern || "").trim(),
+      pathPattern: String(r.pathPattern || "").trim(),
+      destination: String(r.destination || "").trim(),
+      enabled: r.enabled !== false,
+    };
+  }
+
+  function normalizeRules(list) {
+    if (!Array.isArray(list)) return cloneDefaultRules();
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+      if (!raw || typeof raw !== "object") continue;
+      const rule = normalizeRule(raw);
+      if (seen.has(rule.id)) rule.id = makeRuleId();
+      seen.add(rule.id);
+      out.push(rule);
+    }
+    return out;
+  }
+
+  function compilePattern(pattern) {
+    const p = String(pattern || "");
+    if (!p) return { ok: true, re: null };
+    if (p.length > MAX_PATTERN_LENGTH) return { ok: false, re: null };
+    try {
+      return { ok: true, re: new RegExp(p, "i") };
+    } catch {
+      return { ok: false, re: null };
+    }
+  }
+
+  /**
+   * Validate a rule.
+   * @returns {{ ok: boolean, error: string }} error codes:
+   *  missing_host_pattern | invalid_host_pattern | invalid_path_pattern |
+   *  missing_destination | invalid_destination
+   */
+  function validateRule(raw) {
+    const rule = normalizeRule(raw);
+    if (!rule.hostPattern) return { ok: false, error: "missing_host_pattern" };
+    if (!compilePattern(rule.hostPattern).ok) return { ok: false, error: "invalid_host_pattern" };
+    if (!compilePattern(rule.pathPattern).ok) return { ok: false, error: "invalid_path_pattern" };
+    if (!rule.destination) return { ok: false, error: "missing_destination" };
+
+    const tokens = rule.destination.match(/\{[^}]*\}/g) || [];
+    for (const tok of tokens) {
+      if (!DESTINATION_TOKENS.includes(tok.slice(1, -1))) {
+        return { ok: false, error: "invalid_destination" };
+      }
+    }
+    // Destination must resolve to an absolute http(s) URL.
+    const sample = renderDestination(rule.destination, {
+      page: { protocol: "https:", host: "example.org" },
+      url: {
+        protocol: "https:",
+        host: "s01.example.org",
+        pathname: "/media/x.jpg",
+        search: "",
+        hash: "",
+      },
+    });
+    if (!/^https?:\/\/[^/]+/i.test(sample)) return { ok: false, error: "invalid_destination" };
+    return { ok: true, error: "" };
+  }
+
+  function renderDestination(template, { page, url }) {
+    const values = {
+      pageOrigin: `${page.protocol}//${page.host}`,
+      pageProtocol: page.protocol,
+      pageHost: page.host,
+      protocol: url.protocol,
+      host: url.host,
+      path: url.pathname,
+      search: url.search,
+      hash: url.hash,
+    };
+    return String(template || "").replace(/\{([a-zA-Z]+)\}/g, (m, name) =>
+      Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] || "") : m
+    );
+  }
+
+  /**
+   * Pre-compile enabled + valid rules (done once per run, not per image).
+   * @param {any[]} rules
+   * @returns {{ id: string, destination: string, hostRe: RegExp, pathRe: RegExp|null }[]}
+   */
+  function compileRules(rules) {
+    const out = [];
+    for (const rule of normalizeRules(rules)) {
+      if (!rule.enabled) continue;
+      if (!validateRule(rule).ok) continue;
+      out.push({
+        id: rule.id,
+        destination: rule.destination,
+        hostRe: compilePattern(rule.hostPattern).re,
+        pathRe: compilePattern(rule.pathPattern).re,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Apply compiled rules to a URL.
+   * @param {string} urlString raw attribute value (may be relative)
+   * @param {ReturnType<typeof compileRules>} compiled
+   * @param {{ href: string, protocol: string, host: string }} pageLocation
+   * @returns {{ url: string, ruleId: string } | null}
+   */
+  function rewriteUrl(urlString, compiled, pageLocation) {
+    const raw = String(urlString || "").trim();
+    if (!raw) return null;
+    try {
+      const url = new URL(raw, pageLocation.href);
+      if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+      for (const rule of compiled || []) {
+        if (!rule.hostRe.test(url.hostname)) continue;
+        if (rule.pathRe && !rule.pathRe.test(url.pathname || "")) continue;
+
+        const next = renderDestination(rule.destination, { page: pageLocation, url });
+        // anti-boucle : jamais de réécriture vers la même URL
+        if (!next || next === raw || next === url.href) return null;
+        return { url: next, ruleId: rule.id };
+      }
+    } catch {
+      // invalid URL
+    }
+    return null;
+  }
+
+  /**
+   * Ordered fallback candidates for a rewritten image.
+   * @param {string} originalUrl absolute URL before rewrite
+   * @param {string} rewrittenUrl URL produced by rewriteUrl()
+   * @returns {string[]} [rewritten, ...other sNN hosts, original] (deduped)
+   */
+  function buildFallbackCandidates(originalUrl, rewrittenUrl) {
+    const out = [];
+    const push = (u) => {
+      if (u && !out.includes(u)) out.push(u);
+    };
+    push(rewrittenUrl);
+
+    try {
+      const orig = new URL(originalUrl);
+      const m = orig.hostname.match(SNN_HOST_REGEX);
+      if (m) {
+        const rest = orig.hostname.slice(m[0].length);
+        for (const n of FALLBACK_HOST_NUMBERS) {
+          const alt = new URL(orig.href);
+          alt.hostname = `s${String(n).padStart(2, "0")}.${rest}`;
+          if (alt.hostname !== orig.hostname) push(alt.href);
+        }
+      }
+      push(orig.href);
+      return out;
+    } catch {
+      return out;
+    }
+  }
+
+  /**
+   * True for an absolute http(s) URL whose path is under /media/.
+   * @param {string} url
+   */
+  function isMediaUrl(url) {
+    try {
+      const u = new URL(url);
+      return (
+        (u.protocol === "http:" || u.protocol === "https:") && u.pathname.startsWith("/media/")
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  function isSnnMediaUrl(url) {
+    if (!isMediaUrl(url)) return false;
+    try {
+      return SNN_HOST_REGEX.test(new URL(url).hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether the extension-side proxy may fetch `url` for a page: /media/ on an sNN image server,
+   * and targeted by the page's rewrite rules (never a generic fetcher for content scripts).
+   * @param {string} url
+   * @param {ReturnType<typeof compileRules>} compiled rules of the page's config
+   * @param {{ href: string, protocol: string, host: string }} pageLocation tab URL
+   */
+  function isProxyableUrl(url, compiled, pageLocation) {
+    return isSnnMediaUrl(url) && !!rewriteUrl(url, compiled, pageLocation);
+  }
+
+  /**
+   * URLs the extension-side proxy may fetch once every candidate failed in the page.
+   * Original first (usually a hotlink / referrer refusal, not a dead file), then the others.
+   * @param {string[]} candidates buildFallbackCandidates() output (original last)
+   * @param {number} max
+   * @returns {string[]} /media/ URLs on sNN hosts only (what the service worker accepts)
+   */
+  function buildProxyCandidates(candidates, max) {
+    const list = (Array.isArray(candidates) ? candidates : []).filter(isSnnMediaUrl);
+    if (list.length > 1) list.unshift(list.pop());
+    return list.slice(0, Math.max(0, Number(max) || 0));
+  }
+
+  function hostOf(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return "";
+    }
+  }
+
+  /**
+   * Sort candidates by host health (stable: ties keep their order).
+   * The original URL (last candidate) always stays last.
+   * @param {string[]} candidates
+   * @param {Record<string, number>} health
+   * @param {{ max?: number, skipHosts?: string[] }} [opts] keep the `max` best candidates
+   *  before the original, without `skipHosts` (hosts given up on for the page)
+   */
+  function rankCandidates(candidates, health, { max, skipHosts } = {}) {
+    const list = Array.isArray(candidates) ? candidates.slice() : [];
+    if (list.length < 2) return list;
+    const last = list.pop();
+    const h = health && typeof health === "object" ? health : {};
+    const skip = Array.isArray(skipHosts) ? skipHosts : [];
+    const score = (u) => {
+      const v = Number(h[hostOf(u)]);
+      return Number.isFinite(v) ? v : 0;
+    };
+    const ranked = list
+      .filter((u) => !skip.includes(hostOf(u)))
+      .map((u, i) => ({ u, i, s: score(u) }))
+      .sort((a, b) => b.s - a.s || a.i - b.i)
+      .map((x) => x.u);
+    if (Number.isInteger(max) && max >= 0) ranked.length = Math.min(ranked.length, max);
+    ranked.push(last);
+    return ranked;
+  }
+
+  /**
+   * Update a host health score (success +1, failure -2, clamped).
+   * @returns {Record<string, number>} new health map (input not mutated)
+   */
+  function updateHostHealth(health, host, ok) {
+    const next = { ...(health && typeof health === "object" ? health : {}) };
+    const h = String(host || "");
+    if (!h) return next;
+    const prev = Number.isFinite(Number(next[h])) ? Number(next[h]) : 0;
+    next[h] = Math.max(HEALTH_MIN, Math.min(HEALTH_MAX, prev + (ok ? 1 : -2)));
+    return next;
+  }
+
+  // --- srcset (algorithme WHATWG "parse a srcset attribute") ---
+
+  const SRCSET_WS_REGEX = /[\t\n\f\r ]/;
+
+  /**
+   * Parse a srcset value following the WHATWG algorithm.
+   * URLs may contain commas (`?w=800,h=1200`, data: URIs); descriptors are kept verbatim.
+   * @param {string} value
+   * @returns {{ url: string, descriptors: string[], start: number, end: number }[]}
+   *  start/end: URL offsets in `value` (end exclusive)
+   */
+  function parseSrcset(value) {
+    const input = String(value || "");
+    const len = input.length;
+    const isWs = (c) => SRCSET_WS_REGEX.test(c);
+    const out = [];
+    let pos = 0;
+
+    while (pos < len) {
+      // Séparateurs : espaces et virgules
+      while (pos < len && (isWs(input[pos]) || input[pos] === ",")) pos += 1;
+      if (pos >= len) break;
+
+      // URL = suite de caractères non-espaces (virgules comprises)
+      const start = pos;
+      while (pos < len && !isWs(input[pos])) pos += 1;
+      let end = pos;
+      const descriptors = [];
+
+      if (input[end - 1] === ",") {
+        // Virgule(s) finale(s) : fin du candidat, pas de descripteurs
+        while (end > start && input[end - 1] === ",") end -= 1;
+      } else {
+        while (pos < len && isWs(input[pos])) pos += 1;
+        let current = "";
+        let state = "in"; // "in" | "parens" | "after"
+        for (; ; pos += 1) {
+          const c = pos < len ? input[pos] : null;
+          if (state === "in") {
+            if (c === null) {
+              if (current) descriptors.push(current);
+              break;
+            }
+            if (c === ",") {
+              pos += 1;
+              if (current) descriptors.push(current);
+              break;
+            }
+            if (isWs(c)) {
+              if (current) descriptors.push(current);
+              current = "";
+              state = "after";
+            } else {
+              current += c;
+              if (c === "(") state = "parens";
+            }
+          } else if (state === "parens") {
+            if (c === null) {
+              descriptors.push(current);
+              break;
+            }
+            current += c;
+            if (c === ")") state = "in";
+          } else {
+            if (c === null) break;
+            if (isWs(c)) continue;
+            // Reconsommer le caractère dans l'état "in"
+            state = "in";
+            pos -= 1;
+          }
+        }
+      }
+
+      if (end > start) out.push({ url: input.slice(start, end), descriptors, start, end });
+    }
+    return out;
+  }
+
+  /**
+   * Serialize candidates back to a srcset value ("url d1 d2, url2 ...").
+   * @param {{ url: string, descriptors?: string[] }[]} candidates
+   */
+  function serializeSrcset(candidates) {
+    return (Array.isArray(candidates) ? candidates : [])
+      .filter((c) => c && c.url)
+      .map((c) => [c.url, ...(c.descriptors || [])].join(" "))
+      .join(", ");
+  }
+
+  /**
+   * Replace candidate URLs in place (original spacing and descriptors preserved).
+   * @param {string} value
+   * @param {(url: string) => string|null} mapUrl new URL, or null to keep
+   * @returns {{ changed: boolean, value: string, replaced: number }}
+   */
+  function rewriteSrcset(value, mapUrl) {
+    const input = String(value || "");
+    let out = "";
+    let last = 0;
+    let replaced = 0;
+    for (const c of parseSrcset(input)) {
+      const next = mapUrl(c.url);
+      // Une URL avec espace / virgule finale changerait le découpage : ignorée
+      if (!next || next === c.url || /[\t\n\f\r ]|,$/.test(next)) continue;
+      out += input.slice(last, c.start) + next;
+      last = c.end;
+      replaced += 1;
+    }
+    if (!replaced) return { changed: false, value: input, replaced };
+    return { changed: true, value: out + input.slice(last), replaced };
+  }
+
+  return {
+    DEFAULT_REWRITE_RULES,
+    DESTINATION_TOKENS,
+    cloneDefaultRules,
+    makeRuleId,
+    normalizeRule,
+    normalizeRules,
+    validateRule,
+    compileRules,
+    rewriteUrl,
+    FALLBACK_MAX_HOSTS,
+    buildFallbackCandidates,
+    rankCandidates,
+    updateHostHealth,
+    isMediaUrl,
+    isProxyableUrl,
+    buildProxyCandidates,
+    hostOf,
+    parseSrcset,
+    serializeSrcset,
+    rewriteSrcset,
+  };
+});
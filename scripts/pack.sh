@@ -11,17 +11,30 @@ mkdir -p "${OUT_DIR}"
 INCLUDE=(
   "_locales"
   "icons"
+  "backup_utils.js"
+  "badge_state.js"
+  "bulk_store.js"
   "content.js"
+  "dnr_rules.js"
   "injected_patch.js"
+  "main_world_patch.js"
   "manifest.json"
   "migrate.css"
   "migrate.html"
   "migrate.js"
   "migrate_utils.js"
+  "mirror_detect.js"
   "mp_export_runner.js"
+  "options.html"
+  "options.js"
   "popup.html"
   "popup.js"
+  "rewrite_rules.js"
   "service_worker.js"
+  "settings_schema.js"
+  "storage_catalog.js"
+  "ui_i18n.js"
+  "whitelist.js"
   "README.md"
   "PRIVACY.md"
   "LICENSE"
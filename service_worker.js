@@ -1,31 +1,86 @@
-/* global chrome */
+/* global chrome, importScripts */
 
 /**
  * service_worker.js (publishable)
- * - Assure les defaults (enabled/debug/whitelist) au 1er install
- * - Met à jour le badge : OFF / ON / DBG
- * - Écoute storage.onChanged pour refléter les changements
+ * - Assure les defaults (enabled/debug/whitelist) au 1er install ; clés, défauts et validation
+ *   de la config : settings_schema.js
+ * - Badge par onglet, calculé depuis l'état (badge_state.js) : % d'export des follows ou du suivi
+ *   MangaDex en arrière-plan, pause / erreur en couleur d'avertissement, images patchées / encore
+ *   cassées de l'onglet (compteurs envoyés par content.js, MP_FIX_TAB_STATS), sinon OFF / ON / DBG
+ * - storage.onChanged : clés de config => resynchronisation (init), progression export / suivi
+ *   => badge (regroupé) ; les autres écritures sont ignorées
+ * - Network mode : synchronise les redirections declarativeNetRequest (dnr_rules.js), règles de
+ *   session par origine des onglets autorisés ouverts (cible = miroir exact de la page)
+ * - Règles d'en-têtes Referer / Origin (modifyHeaders), activables règle par règle
+ * - Option "Intercept before load" : (dés)enregistre main_world_patch.js (world MAIN)
+ * - Domaines ajoutés à la whitelist (hors manifest) : content scripts enregistrés dynamiquement,
+ *   pour les hosts dont la permission optionnelle a été accordée depuis le popup
+ * - Détection de miroirs non listés : mirror_detect.js (option mirrorDetect + accès à tous les
+ *   hosts accordé), onglet signalé => badge "?" + bannière dans le popup
+ * - Pause par onglet (session, oubliée à la fermeture de l'onglet) : badge "II", content.js
+ *   prévenu, règle DNR de session "allow" ; la config globale n'est pas modifiée
+ * - Menu contextuel des images (sites autorisés) : action relayée au patcher de la frame
+ *   cliquée (content.js), "Open original URL" ouvre un onglet ; échec => badge "!" bref
+ * - Raccourcis clavier (chrome.commands) : auto-fix, "Fix this page now", debug, panneau de
+ *   migration, export des follows ; retour via un badge bref sur l'onglet
+ * - Mise à jour de l'extension : migrations du schéma de réglages (settings_schema.js), diff
+ *   appliqué aux deux zones de stockage, changements loggés + rapport gardé en local
+ * - Gros jeux de données (export des follows, résultats d'auto-match) : IndexedDB
+ *   (bulk_store.js), relayé pour mp_export_runner.js (MP_FIX_BULK_GET / MP_FIX_BULK_SET,
+ *   clés BULK_KEYS seules)
+ * - Tableau "Données stockées" (options.html) : date de dernière écriture par clé
+ *   (storage_catalog.js, écrite par lots), effacement des données de session (MP_FIX_SESSION_CLEAR)
+ * - Messages réservés aux pages de l'extension (EXTENSION_PAGE_MESSAGES : compte MangaDex,
+ *   pause d'onglet, effacement de session) : ignorés quand ils viennent d'un content script
  *
  * Note : implémentation callback-safe (évite dépendance aux promesses chrome.*).
  */
 
-const DEFAULT_WHITELIST = [
-  "mangapark.*",
-  "comicpark.*",
-  "readpark.*",
-  "parkmanga.*",
-  "mpark.*",
+// Shared pure helpers (classic service worker => importScripts). The settings schema is
+// required (defaults, storage routing, watched keys); the others are guarded where used.
+importScripts("settings_schema.js");
+try {
+  importScripts(
+    "rewrite_rules.js",
+    "whitelist.js",
+    "dnr_rules.js",
+    "bulk_store.js",
+    "storage_catalog.js",
+    "badge_state.js"
+  );
+} catch {
+  // no-op
+}
+const REWRITE = self.MP_REWRITE_RULES;
+const WHITELIST = self.MP_WHITELIST;
+const DNR = self.MP_DNR_RULES;
+const SCHEMA = self.MP_SETTINGS_SCHEMA;
+const BULK = self.MP_BULK_STORE;
+const CATALOG = self.MP_STORAGE_CATALOG;
+const BADGE = self.MP_BADGE_STATE;
+
+// Script MAIN world (setters src/srcset) enregistré dynamiquement, uniquement si l'option est ON.
+const MAIN_WORLD_SCRIPT_ID = "mp-fix-main-world";
+const MAIN_WORLD_SCRIPT_FILES = ["rewrite_rules.js", "main_world_patch.js"];
+
+// Domaines utilisateur (hors manifest content_scripts.matches) : mêmes fichiers que le manifest.
+const USER_DOMAINS_SCRIPT_ID = "mp-fix-user-domains";
+const USER_DOMAINS_SCRIPT_FILES = [
+  "settings_schema.js",
+  "rewrite_rules.js",
+  "whitelist.js",
+  "injected_patch.js",
+  "content.js",
 ];
 
-const DEFAULT_CONFIG = {
-  enabled: true,
-  debug: false,
-  whitelist: DEFAULT_WHITELIST,
-};
+// Détecteur de miroirs non listés : tous les sites hors whitelist, seulement avec l'accès optionnel.
+const MIRROR_DETECT_SCRIPT_ID = "mp-fix-mirror-detect";
+const MIRROR_DETECT_SCRIPT_FILES = ["mirror_detect.js"];
+const ALL_HOSTS_ORIGINS = ["*://*/*"];
 
 // If sync storage is readable but not writable (quota / policy / transient), popup.js stores a marker locally.
 // Service worker must respect it so badge/state reflect the user's last choice on this device.
-const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
+const CONFIG_STORAGE_MODE_KEY = SCHEMA.CONFIG_STORAGE_MODE_KEY; // "sync" | "local"
 
 // MangaDex (advanced/opt-in): token stored in session only (not sync) for safety.
 const MD_AUTH_SETTINGS_KEY = "md_auth_settings"; // local: { clientId, clientSecret, username }
@@ -41,6 +96,70 @@ const MD_FOLLOW_BATCH_QUEUE_KEY = "md_follow_batch_queue"; // local: string[]
 const MD_FOLLOW_BATCH_CANCEL_KEY = "md_follow_batch_cancel"; // local: boolean
 const MD_FOLLOW_BATCH_ALARM = "md_follow_batch_alarm";
 
+// Image fallback: per-host health scores (session only). Content scripts can't read
+// storage.session (trusted contexts only, and it also holds MD tokens) => message API below.
+const HOST_HEALTH_KEY = "mp_fix_host_health"; // session: { [host]: score }
+
+// Tabs flagged by mirror_detect.js (session only, cleared on navigation / tab close).
+const MIRROR_SUSPECTS_KEY = "mp_fix_mirror_suspects"; // session: { [tabId]: { host, mediaImages, failed, ts, dismissed? } }
+
+// Per-tab "pause here" (session only, dropped when the tab closes). Global config untouched.
+const TAB_PAUSES_KEY = "mp_fix_tab_pauses"; // session: { [tabId]: { ts } }
+
+// Image counters pushed by content.js (top frame), reset on navigation, dropped on tab close.
+const TAB_STATS_KEY = "mp_fix_tab_stats"; // session: { [tabId]: { patched, broken } }
+
+// Badge: export / follow batch progress writes come in bursts => one refresh per window.
+const BADGE_REFRESH_DEBOUNCE_MS = 500;
+
+// Image context menu: shown on allowed sites only (documentUrlPatterns), handled by content.js.
+const IMAGE_MENU_ITEMS = [
+  { id: "mp-fix-image-fix", action: "fix", titleKey: "ctxFixImage", title: "Fix this image" },
+  {
+    id: "mp-fix-image-retry",
+    action: "retry_next",
+    titleKey: "ctxRetryNextHost",
+    title: "Retry with next host",
+  },
+  {
+    id: "mp-fix-image-copy",
+    action: "copy_fixed",
+    titleKey: "ctxCopyFixedUrl",
+    title: "Copy fixed URL",
+  },
+  {
+    id: "mp-fix-image-open",
+    action: "open_original",
+    titleKey: "ctxOpenOriginalUrl",
+    title: "Open original URL",
+  },
+];
+
+// Short per-tab badge (context menu / keyboard command feedback), then back to refreshTabBadge().
+const FLASH_BADGE_MS = 3000;
+const FLASH_ERROR_BADGE_TEXT = "!";
+
+// Keyboard commands (manifest "commands", editable on chrome://extensions/shortcuts).
+const COMMAND_FIX_BADGE_TEXT = "FIX";
+const COMMAND_EXPORT_BADGE_TEXT = "EXP";
+const COMMAND_TAB_COMPLETE_TIMEOUT_MS = 30000;
+
+// Export keys shared with popup.js / mp_export_runner.js
+const EXPORT_STATE_KEY = "mp_export_state";
+const EXPORT_CANCEL_KEY = "mp_export_cancel";
+const EXPORT_ORIGIN_KEY = "mp_export_origin";
+const EXPORT_DEFAULT_ORIGIN = "https://mangapark.net";
+
+// Image proxy (last resort): fetch /media/ with the extension's host permissions, bytes
+// sent back base64-encoded (the page builds a blob: URL).
+const IMAGE_PROXY_MAX_BYTES = 10 * 1024 * 1024;
+const IMAGE_PROXY_MAX_URLS = 4;
+const IMAGE_PROXY_TIMEOUT_MS = 15000;
+
+// Storage dashboard: chrome.storage keeps no write dates => index of last writes per key,
+// flushed in batches (export / auto-follow progress writes often).
+const STORAGE_TOUCHED_FLUSH_MS = 2000;
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -81,6 +200,20 @@ function storageSet(area, items) {
   });
 }
 
+function storageRemove(area, keys) {
+  return new Promise((resolve) => {
+    try {
+      area.remove(keys, () => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err });
+        resolve({ ok: true });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
 function runtimeSendResponseSafe(sendResponse, payload) {
   try {
     sendResponse(payload);
@@ -291,6 +424,345 @@ async function mdSetBatchCancel(v) {
   await storageSet(chrome.storage.local, { [MD_FOLLOW_BATCH_CANCEL_KEY]: !!v });
 }
 
+async function getHostHealth() {
+  const area = chrome.storage.session || chrome.storage.local;
+  const res = await storageGet(area, [HOST_HEALTH_KEY]);
+  if (res.__error) return {};
+  const h = res[HOST_HEALTH_KEY];
+  return h && typeof h === "object" ? h : {};
+}
+
+async function reportHostHealth(results) {
+  let health = await getHostHealth();
+  for (const r of Array.isArray(results) ? results.slice(0, 200) : []) {
+    if (!r || typeof r.host !== "string") continue;
+    health = REWRITE.updateHostHealth(health, r.host, !!r.ok);
+  }
+  const area = chrome.storage.session || chrome.storage.local;
+  await storageSet(area, { [HOST_HEALTH_KEY]: health });
+  return health;
+}
+
+async function getMirrorSuspects() {
+  const area = chrome.storage.session || chrome.storage.local;
+  const res = await storageGet(area, [MIRROR_SUSPECTS_KEY]);
+  if (res.__error) return {};
+  const v = res[MIRROR_SUSPECTS_KEY];
+  return v && typeof v === "object" ? v : {};
+}
+
+async function setMirrorSuspect(tabId, entry) {
+  const suspects = await getMirrorSuspects();
+  if (entry) suspects[String(tabId)] = entry;
+  else if (suspects[String(tabId)]) delete suspects[String(tabId)];
+  else return;
+  const area = chrome.storage.session || chrome.storage.local;
+  await storageSet(area, { [MIRROR_SUSPECTS_KEY]: suspects });
+}
+
+async function flagMirrorSuspect(tabId, msg) {
+  const host = String(msg.host || "").toLowerCase();
+  if (!host) return false;
+  const previous = (await getMirrorSuspects())[String(tabId)];
+  if (previous?.dismissed) return false;
+  const { cfg } = await getConfigPreferSync();
+  // Déjà autorisé : content.js s'en occupe.
+  if (WHITELIST && WHITELIST.isHostAllowed(host, cfg.whitelist)) return false;
+  await setMirrorSuspect(tabId, {
+    host,
+    mediaImages: Math.max(0, Number(msg.mediaImages) || 0),
+    failed: Math.max(0, Number(msg.failed) || 0),
+    ts: Date.now(),
+  });
+  await refreshTabBadge(tabId);
+  return true;
+}
+
+// "Not now": kept (dismissed) until the tab navigates, so neither badge nor banner come back.
+async function dismissMirrorSuspect(tabId, host) {
+  await setMirrorSuspect(tabId, {
+    host: String(host || ""),
+    mediaImages: 0,
+    failed: 0,
+    ts: Date.now(),
+    dismissed: true,
+  });
+  await refreshTabBadge(tabId);
+}
+
+async function clearMirrorSuspect(tabId) {
+  await setMirrorSuspect(tabId, null);
+  await refreshTabBadge(tabId);
+}
+
+async function getTabPauses() {
+  const area = chrome.storage.session || chrome.storage.local;
+  const res = await storageGet(area, [TAB_PAUSES_KEY]);
+  if (res.__error) return {};
+  const v = res[TAB_PAUSES_KEY];
+  return v && typeof v === "object" ? v : {};
+}
+
+async function isTabPaused(tabId) {
+  return !!(await getTabPauses())[String(tabId)];
+}
+
+// Counters change often: storage.session only (content scripts don't see it), never the
+// storage.local fallback of the other session keys (onChanged in every tab). Without
+// storage.session, kept in memory (lost with the worker, resent on the next change).
+let tabStatsMemory = {};
+
+async function getTabStats() {
+  if (!chrome.storage.session) return { ...tabStatsMemory };
+  const res = await storageGet(chrome.storage.session, [TAB_STATS_KEY]);
+  if (res.__error) return {};
+  const v = res[TAB_STATS_KEY];
+  return v && typeof v === "object" ? v : {};
+}
+
+async function setTabStats(tabId, stats) {
+  const all = await getTabStats();
+  if (stats) {
+    all[String(tabId)] = {
+      patched: Math.max(0, Number(stats.patched) || 0),
+      broken: Math.max(0, Number(stats.broken) || 0),
+    };
+  } else if (all[String(tabId)]) {
+    delete all[String(tabId)];
+  } else {
+    return;
+  }
+  if (!chrome.storage.session) tabStatsMemory = all;
+  else await storageSet(chrome.storage.session, { [TAB_STATS_KEY]: all });
+}
+
+async function getBadgeContext() {
+  const [{ cfg }, local, pauses, suspects, stats] = await Promise.all([
+    getConfigPreferSync(),
+    storageGet(chrome.storage.local, [EXPORT_STATE_KEY, MD_FOLLOW_BATCH_STATE_KEY]),
+    getTabPauses(),
+    getMirrorSuspects(),
+    getTabStats(),
+  ]);
+  return {
+    cfg,
+    exportState: local.__error ? null : local[EXPORT_STATE_KEY],
+    batchState: local.__error ? null : local[MD_FOLLOW_BATCH_STATE_KEY],
+    now: Date.now(),
+    pauses,
+    suspects,
+    stats,
+  };
+}
+
+function badgeTitle(badge) {
+  let name = "";
+  try {
+    name = chrome.runtime.getManifest().action.default_title || "";
+  } catch {
+    // no-op
+  }
+  let detail = "";
+  try {
+    detail = chrome.i18n.getMessage(badge.titleKey, badge.titleSubs) || "";
+  } catch {
+    // no-op
+  }
+  return detail ? `${name}\n${detail}` : name;
+}
+
+// Last badge applied per tab: progress refreshes only touch tabs whose badge changes.
+// flashTabBadge() bypasses it (entry dropped).
+const appliedTabBadges = new Map();
+
+async function applyBadge(badge, tabId) {
+  const title = badgeTitle(badge);
+  if (tabId != null) {
+    const signature = JSON.stringify([badge.text, badge.color, title]);
+    if (appliedTabBadges.get(tabId) === signature) return;
+    appliedTabBadges.set(tabId, signature);
+  }
+  const target = tabId != null ? { tabId } : {};
+  await actionSetBadgeText({ ...target, text: badge.text });
+  await actionSetBadgeBackgroundColor({ ...target, color: badge.color });
+  await actionSetTitle({ ...target, title });
+}
+
+// Per-tab badge (badge_state.js): pause > global task / OFF > mirror suspect > image counters.
+async function refreshTabBadge(tabId, ctx) {
+  const id = Number(tabId);
+  if (!BADGE || !Number.isInteger(id) || id < 0) return;
+  const c = ctx || (await getBadgeContext());
+  const key = String(id);
+  const badge = BADGE.tabBadge(c, {
+    paused: !!c.pauses[key],
+    suspect: c.suspects[key] || null,
+    stats: c.stats[key] || null,
+  });
+  await applyBadge(badge, id);
+}
+
+// Global badge (new tabs) + every open tab: per-tab colours can't fall back to the global one.
+async function refreshBadges() {
+  try {
+    if (!BADGE) return;
+    const ctx = await getBadgeContext();
+    await applyBadge(BADGE.globalBadge(ctx));
+    const tabs = await tabsQuery({});
+    for (const tab of tabs) await refreshTabBadge(tab.id, ctx);
+  } catch {
+    // no-op
+  }
+}
+
+let badgeRefreshTimer = null;
+
+function scheduleBadgeRefresh() {
+  if (badgeRefreshTimer) clearTimeout(badgeRefreshTimer);
+  badgeRefreshTimer = setTimeout(() => {
+    badgeRefreshTimer = null;
+    refreshBadges();
+  }, BADGE_REFRESH_DEBOUNCE_MS);
+}
+
+async function setTabPaused(tabId, paused) {
+  const id = Number(tabId);
+  if (!Number.isInteger(id) || id < 0) return false;
+  const pauses = await getTabPauses();
+  if (paused) pauses[String(id)] = { ts: Date.now() };
+  else delete pauses[String(id)];
+  const area = chrome.storage.session || chrome.storage.local;
+  await storageSet(area, { [TAB_PAUSES_KEY]: pauses });
+
+  await syncTabPauseRules(pauses);
+  await refreshTabBadge(id);
+  // Every frame of the tab re-runs (or stops) the patcher without touching the global config.
+  await tabsSendMessage(id, { type: "MP_FIX_TAB_PAUSE_CHANGED", paused: !!paused });
+  return !!paused;
+}
+
+async function forgetTabPause(tabId) {
+  const pauses = await getTabPauses();
+  if (!pauses[String(tabId)]) return;
+  delete pauses[String(tabId)];
+  const area = chrome.storage.session || chrome.storage.local;
+  await storageSet(area, { [TAB_PAUSES_KEY]: pauses });
+  await syncTabPauseRules(pauses);
+}
+
+// Storage dashboard: session data can't be cleared from options.html without the side effects
+// (paused tabs keep their DNR rule and badge otherwise).
+async function clearSessionData(keys) {
+  if (!CATALOG) return [];
+  const wanted = (Array.isArray(keys) ? keys : []).filter((k) => CATALOG.SESSION_KEYS.includes(k));
+  if (!wanted.length) return [];
+  if (wanted.includes(TAB_PAUSES_KEY)) {
+    for (const tabId of Object.keys(await getTabPauses())) await setTabPaused(tabId, false);
+  }
+  if (wanted.includes(TAB_STATS_KEY)) tabStatsMemory = {};
+  const area = chrome.storage.session || chrome.storage.local;
+  await storageRemove(area, wanted);
+  // Mirror suspects / image counters gone => "?" and counts leave the badges.
+  await refreshBadges();
+  return wanted;
+}
+
+let pendingTouchedKeys = [];
+let touchedFlushTimer = null;
+
+async function flushStorageTouched() {
+  touchedFlushTimer = null;
+  const keys = pendingTouchedKeys;
+  pendingTouchedKeys = [];
+  const res = await storageGet(chrome.storage.local, [CATALOG.TOUCHED_KEY]);
+  if (res.__error) return;
+  const next = CATALOG.touchKeys(res[CATALOG.TOUCHED_KEY], keys, Date.now());
+  if (next) await storageSet(chrome.storage.local, { [CATALOG.TOUCHED_KEY]: next });
+}
+
+function noteStorageTouched(changes, areaName) {
+  if (!CATALOG || areaName === "session") return;
+  // Session keys (no storage.session => local fallback) and our own index write: no flush,
+  // otherwise every tab counter update would end in a storage.local write.
+  const keys = [...Object.keys(changes || {}), ...(BULK ? BULK.changedKeys(changes) : [])].filter(
+    CATALOG.isTrackedKey
+  );
+  if (!keys.length) return;
+  pendingTouchedKeys.push(...keys);
+  if (touchedFlushTimer) return;
+  touchedFlushTimer = setTimeout(() => {
+    flushStorageTouched().catch(() => {});
+  }, STORAGE_TOUCHED_FLUSH_MS);
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const CHUNK = 0x8000;
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(bin);
+}
+
+async function proxyFetchImage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMAGE_PROXY_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { credentials: "omit", signal: controller.signal });
+    if (!res.ok) return { ok: false, error: `HTTP ${res.status}` };
+    const mime = String(res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (!mime.startsWith("image/")) return { ok: false, error: "not_image" };
+    const declared = Number(res.headers.get("content-length") || 0);
+    if (declared > IMAGE_PROXY_MAX_BYTES) return { ok: false, error: "too_large" };
+    const buffer = await res.arrayBuffer();
+    if (!buffer.byteLength) return { ok: false, error: "empty" };
+    if (buffer.byteLength > IMAGE_PROXY_MAX_BYTES) return { ok: false, error: "too_large" };
+    return { ok: true, url, mime, bytes: buffer.byteLength, base64: arrayBufferToBase64(buffer) };
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @param {string[]} urls candidates from the patcher
+ * @param {string} tabUrl sender.tab.url: the proxy only serves allowed pages
+ */
+async function proxyImage(urls, tabUrl) {
+  let page = null;
+  try {
+    page = new URL(String(tabUrl || ""));
+  } catch {
+    // no-op
+  }
+  if (!page || (page.protocol !== "http:" && page.protocol !== "https:")) {
+    return { ok: false, error: "not_allowed" };
+  }
+  const { cfg } = await getConfigPreferSync();
+  if (!WHITELIST || !WHITELIST.isUrlAllowed(page, cfg.whitelist)) {
+    return { ok: false, error: "not_allowed" };
+  }
+
+  // sNN /media/ URLs the page's rules rewrite: the proxy must not become a generic fetcher.
+  const compiled = REWRITE.compileRules(
+    Array.isArray(cfg.rewriteRules) ? cfg.rewriteRules : REWRITE.DEFAULT_REWRITE_RULES
+  );
+  const list = (Array.isArray(urls) ? urls : [])
+    .map((u) => String(u || ""))
+    .filter((u) => REWRITE.isProxyableUrl(u, compiled, page))
+    .slice(0, IMAGE_PROXY_MAX_URLS);
+  if (!list.length) return { ok: false, error: "invalid_url" };
+
+  let last = { ok: false, error: "no_candidate" };
+  for (const url of list) {
+    last = await proxyFetchImage(url);
+    if (last.ok) return last;
+  }
+  return last;
+}
+
 function alarmsCreateSafe(name, info) {
   try {
     chrome.alarms.create(name, info);
@@ -380,10 +852,40 @@ try {
   // no-op
 }
 
+// Popup / options / migration page only: a content script runs next to page code and must not
+// drive the MangaDex account, pause other tabs or wipe session data.
+const EXTENSION_PAGE_MESSAGES = [
+  "MD_AUTH_SAVE_SETTINGS",
+  "MD_AUTH_LOGIN_PASSWORD",
+  "MD_AUTH_LOGOUT",
+  "MD_AUTH_STATUS",
+  "MD_FOLLOW",
+  "MD_FOLLOW_BATCH_START",
+  "MD_FOLLOW_BATCH_STOP",
+  "MD_FOLLOW_BATCH_STATUS",
+  "MP_FIX_MIRROR_SUSPECT_GET",
+  "MP_FIX_MIRROR_SUSPECT_DISMISS",
+  "MP_FIX_MIRROR_SUSPECT_CLEAR",
+  "MP_FIX_TAB_PAUSE_SET",
+  "MP_FIX_SESSION_CLEAR",
+];
+
+// sender.tab alone can't tell them apart: the options / migration pages are tabs too.
+// Content scripts carry the page URL, extension pages the extension origin.
+function isExtensionPageSender(sender) {
+  try {
+    const base = chrome.runtime.getURL("");
+    return sender?.id === chrome.runtime.id && String(sender.url || "").startsWith(base);
+  } catch {
+    return false;
+  }
+}
+
 // Background message API for the migration page.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const msg = message && typeof message === "object" ? message : {};
   const type = String(msg.type || "");
+  if (EXTENSION_PAGE_MESSAGES.includes(type) && !isExtensionPageSender(sender)) return false;
 
   if (type === "MD_AUTH_SAVE_SETTINGS") {
     (async () => {
@@ -483,6 +985,129 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (type === "MP_FIX_HOST_HEALTH_GET") {
+    (async () => {
+      return { ok: true, health: await getHostHealth() };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_HOST_HEALTH_REPORT") {
+    (async () => {
+      const health = await reportHostHealth(msg.results);
+      return { ok: true, health };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_PROXY_IMAGE") {
+    // Content scripts only (sender.tab); the popup / migration page have no use for it.
+    if (!sender?.tab) return false;
+    (async () => proxyImage(msg.urls, sender.tab.url))()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_MIRROR_SUSPECT") {
+    const tabId = sender?.tab?.id;
+    if (tabId == null) return false;
+    (async () => ({ ok: true, flagged: await flagMirrorSuspect(tabId, msg) }))()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_MIRROR_SUSPECT_GET") {
+    (async () => {
+      const suspects = await getMirrorSuspects();
+      return { ok: true, suspect: suspects[String(msg.tabId)] || null };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_MIRROR_SUSPECT_DISMISS") {
+    (async () => {
+      await dismissMirrorSuspect(msg.tabId, msg.host);
+      return { ok: true };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_MIRROR_SUSPECT_CLEAR") {
+    (async () => {
+      await clearMirrorSuspect(msg.tabId);
+      return { ok: true };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_TAB_PAUSE_GET") {
+    // Content scripts ask for their own tab (sender.tab), the popup passes msg.tabId.
+    const tabId = sender?.tab?.id ?? msg.tabId;
+    if (tabId == null) return false;
+    (async () => ({ ok: true, paused: await isTabPaused(tabId) }))()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_TAB_STATS") {
+    // Top frame only: iframes (ads, embeds) would overwrite the page's counters.
+    const tabId = sender?.tab?.id;
+    if (tabId == null || sender.frameId !== 0) return false;
+    (async () => {
+      await setTabStats(tabId, { patched: msg.patched, broken: msg.broken });
+      await refreshTabBadge(tabId);
+      return { ok: true };
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_TAB_PAUSE_SET") {
+    (async () => ({ ok: true, paused: await setTabPaused(msg.tabId, !!msg.paused) }))()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_BULK_GET" || type === "MP_FIX_BULK_SET") {
+    (async () => {
+      if (!BULK) return { ok: false, error: "bulk_store_unavailable" };
+      if (type === "MP_FIX_BULK_GET") {
+        const keys = (Array.isArray(msg.keys) ? msg.keys : []).filter((k) => SCHEMA.isBulkKey(k));
+        return BULK.get(keys);
+      }
+      const items = msg.items && typeof msg.items === "object" ? msg.items : {};
+      if (!Object.keys(items).every((k) => SCHEMA.isBulkKey(k))) {
+        return { ok: false, error: "invalid_key" };
+      }
+      return BULK.set(items);
+    })()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
+  if (type === "MP_FIX_SESSION_CLEAR") {
+    (async () => ({ ok: true, cleared: await clearSessionData(msg.keys) }))()
+      .then((r) => runtimeSendResponseSafe(sendResponse, r))
+      .catch((e) => runtimeSendResponseSafe(sendResponse, { ok: false, error: String(e?.message || e) }));
+    return true;
+  }
+
   if (type === "MD_FOLLOW_BATCH_STATUS") {
     (async () => {
       const st = await mdGetBatchState();
@@ -506,6 +1131,34 @@ function actionSetBadgeText(details) {
   });
 }
 
+function tabsSendMessage(tabId, message, options) {
+  return new Promise((resolve) => {
+    try {
+      chrome.tabs.sendMessage(tabId, message, options || {}, (response) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ __error: err });
+        resolve(response);
+      });
+    } catch (e) {
+      resolve({ __error: String(e) });
+    }
+  });
+}
+
+function tabsCreate(createProperties) {
+  return new Promise((resolve) => {
+    try {
+      chrome.tabs.create(createProperties, (tab) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ __error: err });
+        resolve(tab || null);
+      });
+    } catch (e) {
+      resolve({ __error: String(e) });
+    }
+  });
+}
+
 function actionSetBadgeBackgroundColor(details) {
   return new Promise((resolve) => {
     try {
@@ -516,17 +1169,42 @@ function actionSetBadgeBackgroundColor(details) {
   });
 }
 
+function actionSetTitle(details) {
+  return new Promise((resolve) => {
+    try {
+      chrome.action.setTitle(details, () => resolve());
+    } catch {
+      resolve();
+    }
+  });
+}
+
+// No "tabs" permission: URLs only on hosts the extension can access (network rules), ids /
+// status otherwise (enough for per-tab badges).
+function tabsQuery(queryInfo) {
+  return new Promise((resolve) => {
+    try {
+      chrome.tabs.query(queryInfo, (tabs) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve([]);
+        resolve(Array.isArray(tabs) ? tabs : []);
+      });
+    } catch {
+      resolve([]);
+    }
+  });
+}
+
+// headerRules: null => dnr_rules.js defaults; rewriteRules: null => rewrite_rules.js defaults
+// (image proxy checks).
 function applyDefaults(partial) {
-  return {
-    enabled:
-      typeof partial.enabled === "boolean" ? partial.enabled : DEFAULT_CONFIG.enabled,
-    debug: typeof partial.debug === "boolean" ? partial.debug : DEFAULT_CONFIG.debug,
-    whitelist: Array.isArray(partial.whitelist) ? partial.whitelist : DEFAULT_CONFIG.whitelist,
-  };
+  const cfg = SCHEMA.applyConfigDefaults(partial);
+  cfg.headerRules = DNR ? DNR.normalizeHeaderRules(cfg.headerRules) : [];
+  return cfg;
 }
 
 async function getConfigPreferSync() {
-  const keys = ["enabled", "debug", "whitelist"];
+  const keys = Object.keys(SCHEMA.CONFIG_FIELDS);
   const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
   const mode =
     modeRes && !modeRes.__error && typeof modeRes[CONFIG_STORAGE_MODE_KEY] === "string"
@@ -538,7 +1216,7 @@ async function getConfigPreferSync() {
     if (!localRes.__error) return { raw: localRes, cfg: applyDefaults(localRes), area: "local" };
     const syncRes = await storageGet(chrome.storage.sync, keys);
     if (!syncRes.__error) return { raw: syncRes, cfg: applyDefaults(syncRes), area: "sync" };
-    return { raw: {}, cfg: { ...DEFAULT_CONFIG }, area: "local" };
+    return { raw: {}, cfg: applyDefaults({}), area: "local" };
   }
 
   const syncRes = await storageGet(chrome.storage.sync, keys);
@@ -547,16 +1225,16 @@ async function getConfigPreferSync() {
   const localRes = await storageGet(chrome.storage.local, keys);
   if (!localRes.__error) return { raw: localRes, cfg: applyDefaults(localRes), area: "local" };
 
-  return { raw: {}, cfg: { ...DEFAULT_CONFIG }, area: "none" };
+  return { raw: {}, cfg: applyDefaults({}), area: "none" };
 }
 
 async function ensureDefaults() {
   const { raw, cfg, area } = await getConfigPreferSync();
 
   const patch = {};
-  if (typeof raw.enabled !== "boolean") patch.enabled = DEFAULT_CONFIG.enabled;
-  if (typeof raw.debug !== "boolean") patch.debug = DEFAULT_CONFIG.debug;
-  if (!Array.isArray(raw.whitelist)) patch.whitelist = DEFAULT_CONFIG.whitelist;
+  if (typeof raw.enabled !== "boolean") patch.enabled = SCHEMA.CONFIG_DEFAULTS.enabled;
+  if (typeof raw.debug !== "boolean") patch.debug = SCHEMA.CONFIG_DEFAULTS.debug;
+  if (!Array.isArray(raw.whitelist)) patch.whitelist = SCHEMA.CONFIG_DEFAULTS.whitelist;
 
   if (Object.keys(patch).length === 0) return cfg;
 
@@ -565,46 +1243,784 @@ async function ensureDefaults() {
   return { ...cfg, ...patch };
 }
 
-async function updateBadgeFromConfig(cfg) {
-  try {
-    const enabled = !!cfg.enabled;
-    const debug = !!cfg.debug;
-
-    let text = "";
-    let color = [0, 0, 0, 0];
-
-    if (!enabled) {
-      text = "OFF";
-      color = [220, 53, 69, 255];
-    } else if (debug) {
-      text = "DBG";
-      color = [13, 110, 253, 255];
-    } else {
-      text = "ON";
-      color = [25, 135, 84, 255];
+function dnrGetSessionRules() {
+  return new Promise((resolve) => {
+    try {
+      chrome.declarativeNetRequest.getSessionRules((rules) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err, rules: [] });
+        resolve({ ok: true, rules: Array.isArray(rules) ? rules : [] });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e), rules: [] });
     }
+  });
+}
 
-    await actionSetBadgeText({ text });
-    await actionSetBadgeBackgroundColor({ color });
+function dnrUpdateSessionRules(options) {
+  return new Promise((resolve) => {
+    try {
+      chrome.declarativeNetRequest.updateSessionRules(options, () => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err });
+        resolve({ ok: true });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
+function dnrIsRegexSupported(regexOptions) {
+  return new Promise((resolve) => {
+    try {
+      chrome.declarativeNetRequest.isRegexSupported(regexOptions, (result) => {
+        const err = getChromeLastErrorMessage();
+        resolve(!err && !!result?.isSupported);
+      });
+    } catch {
+      resolve(false);
+    }
+  });
+}
+
+// User host patterns are JS regexes; DNR uses RE2 and rejects the whole update on a bad one.
+async function filterSupportedRegexRules(rules) {
+  const supported = new Map();
+  const out = [];
+  for (const rule of rules) {
+    const regex = rule.condition.regexFilter;
+    if (!supported.has(regex)) {
+      supported.set(regex, await dnrIsRegexSupported({ regex, isCaseSensitive: false }));
+    }
+    if (supported.get(regex)) out.push(rule);
+  }
+  return out;
+}
+
+// init() runs on every storage change (host health, export state...) => skip no-op updates.
+let lastDnrRulesSignature = null;
+let dnrSyncQueue = Promise.resolve();
+
+// DNR can't redirect "to the initiator": one rule per open allowed page origin (exact scheme,
+// subdomain and port). Tab URLs are readable on the mangapark hosts and with "*://*/*",
+// which network mode / header rules on other mirrors already require.
+// Rules are keyed on the host: hosts only allowed on some paths are left to content.js.
+async function getAllowedPageOrigins(cfg) {
+  const origins = [];
+  for (const tab of await tabsQuery({})) {
+    if (!tab.url) continue;
+    try {
+      const { origin, hostname } = new URL(tab.url);
+      if (!WHITELIST.isHostWideAllowed(hostname, cfg.whitelist)) continue;
+      if (!origins.includes(origin)) origins.push(origin);
+    } catch {
+      // no-op
+    }
+  }
+  return origins.sort();
+}
+
+// Redirects (network mode) + header rules, each in its own id range (session rules: rebuilt
+// from the open tabs). Serialized: tab events and init() can overlap.
+function syncDnrRules(cfg) {
+  dnrSyncQueue = dnrSyncQueue.then(() => applyDnrRules(cfg));
+  return dnrSyncQueue;
+}
+
+async function applyDnrRules(cfg) {
+  try {
+    if (!DNR || !WHITELIST || !chrome.declarativeNetRequest?.updateSessionRules) return;
+    const origins = await getAllowedPageOrigins(cfg);
+    const excludedDomains = WHITELIST.expandExclusionsToDomains(cfg.whitelist);
+    const redirectRules = DNR.buildRedirectRules({
+      enabled: !!cfg.enabled,
+      fixMode: cfg.fixMode,
+      origins,
+      excludedDomains,
+    });
+    const headerRules = DNR.buildHeaderRules({
+      enabled: !!cfg.enabled,
+      rules: cfg.headerRules,
+      origins,
+      excludedDomains,
+    });
+    const signature = JSON.stringify([redirectRules, headerRules]);
+    if (signature === lastDnrRulesSignature) return;
+
+    const current = await dnrGetSessionRules();
+    if (!current.ok) return;
+    const removeRuleIds = current.rules
+      .map((r) => r.id)
+      .filter((id) => DNR.isRedirectRuleId(id) || DNR.isHeaderRuleId(id));
+    const addRules = [...redirectRules, ...(await filterSupportedRegexRules(headerRules))];
+    const res = await dnrUpdateSessionRules({ removeRuleIds, addRules });
+    if (res.ok) lastDnrRulesSignature = signature;
+  } catch {
+    // no-op
+  }
+}
+
+async function resyncDnrRules() {
+  const { cfg } = await getConfigPreferSync();
+  await syncDnrRules(cfg);
+}
+
+function scriptingGetRegisteredContentScripts(filter) {
+  return new Promise((resolve) => {
+    try {
+      chrome.scripting.getRegisteredContentScripts(filter, (scripts) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err, scripts: [] });
+        resolve({ ok: true, scripts: Array.isArray(scripts) ? scripts : [] });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e), scripts: [] });
+    }
+  });
+}
+
+function scriptingRegisterContentScripts(scripts) {
+  return new Promise((resolve) => {
+    try {
+      chrome.scripting.registerContentScripts(scripts, () => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err });
+        resolve({ ok: true });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
+function scriptingUnregisterContentScripts(filter) {
+  return new Promise((resolve) => {
+    try {
+      chrome.scripting.unregisterContentScripts(filter, () => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ ok: false, error: err });
+        resolve({ ok: true });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
+let lastMainWorldSignature = null;
+
+// Paused tabs: one session "allow" rule above redirects / header rules.
+async function syncTabPauseRules(pauses) {
+  try {
+    if (!DNR || !chrome.declarativeNetRequest?.updateSessionRules) return;
+    const addRules = DNR.buildTabPauseRules(Object.keys(pauses || {}).map(Number));
+    const current = await dnrGetSessionRules();
+    if (!current.ok) return;
+    const removeRuleIds = current.rules
+      .map((r) => r.id)
+      .filter((id) => id === DNR.TAB_PAUSE_RULE_ID);
+    await dnrUpdateSessionRules({ removeRuleIds, addRules });
+  } catch {
+    // no-op
+  }
+}
+
+async function syncMainWorldScript(cfg) {
+  try {
+    if (!WHITELIST || !chrome.scripting?.registerContentScripts) return;
+    const wanted = !!cfg.enabled && !!cfg.mainWorldIntercept && (!DNR || DNR.usesDomMode(cfg.fixMode));
+    const matches = wanted ? WHITELIST.whitelistToMatchPatterns(cfg.whitelist) : [];
+    const signature = JSON.stringify(matches);
+    if (signature === lastMainWorldSignature) return;
+
+    const current = await scriptingGetRegisteredContentScripts({ ids: [MAIN_WORLD_SCRIPT_ID] });
+    if (current.ok && current.scripts.length) {
+      await scriptingUnregisterContentScripts({ ids: [MAIN_WORLD_SCRIPT_ID] });
+    }
+    if (matches.length) {
+      const res = await scriptingRegisterContentScripts([
+        {
+          id: MAIN_WORLD_SCRIPT_ID,
+          js: MAIN_WORLD_SCRIPT_FILES,
+          matches,
+          runAt: "document_start",
+          allFrames: true,
+          world: "MAIN",
+          persistAcrossSessions: true,
+        },
+      ]);
+      if (!res.ok) return;
+    }
+    lastMainWorldSignature = signature;
+  } catch {
+    // no-op
+  }
+}
+
+function permissionsContains(permissions) {
+  return new Promise((resolve) => {
+    try {
+      chrome.permissions.contains(permissions, (result) => {
+        const err = getChromeLastErrorMessage();
+        resolve(!err && !!result);
+      });
+    } catch {
+      resolve(false);
+    }
+  });
+}
+
+function permissionsGetAll() {
+  return new Promise((resolve) => {
+    try {
+      chrome.permissions.getAll((result) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ origins: [] });
+        resolve({ origins: Array.isArray(result?.origins) ? result.origins : [] });
+      });
+    } catch {
+      resolve({ origins: [] });
+    }
+  });
+}
+
+function getManifestContentMatches() {
+  try {
+    const scripts = chrome.runtime.getManifest().content_scripts || [];
+    return scripts.flatMap((cs) => (Array.isArray(cs.matches) ? cs.matches : []));
+  } catch {
+    return [];
+  }
+}
+
+let lastUserDomainsSignature = null;
+
+async function syncUserDomainsScript(cfg) {
+  try {
+    if (!WHITELIST || !chrome.scripting?.registerContentScripts) return;
+    const extra = WHITELIST.extraMatchPatterns(cfg.whitelist, getManifestContentMatches());
+    const { origins } = extra.length ? await permissionsGetAll() : { origins: [] };
+    const matches = WHITELIST.filterGrantedPatterns(extra, origins);
+    const signature = JSON.stringify(matches);
+    if (signature === lastUserDomainsSignature) return;
+
+    const current = await scriptingGetRegisteredContentScripts({ ids: [USER_DOMAINS_SCRIPT_ID] });
+    if (current.ok && current.scripts.length) {
+      await scriptingUnregisterContentScripts({ ids: [USER_DOMAINS_SCRIPT_ID] });
+    }
+    if (matches.length) {
+      const res = await scriptingRegisterContentScripts([
+        {
+          id: USER_DOMAINS_SCRIPT_ID,
+          js: USER_DOMAINS_SCRIPT_FILES,
+          matches,
+          runAt: "document_start",
+          allFrames: true,
+          persistAcrossSessions: true,
+        },
+      ]);
+      if (!res.ok) return;
+    }
+    lastUserDomainsSignature = signature;
+  } catch {
+    // no-op
+  }
+}
+
+function contextMenusRemoveAll() {
+  return new Promise((resolve) => {
+    try {
+      chrome.contextMenus.removeAll(() => {
+        getChromeLastErrorMessage();
+        resolve();
+      });
+    } catch {
+      resolve();
+    }
+  });
+}
+
+function contextMenusCreate(properties) {
+  return new Promise((resolve) => {
+    try {
+      chrome.contextMenus.create(properties, () => {
+        const err = getChromeLastErrorMessage();
+        resolve(err ? { ok: false, error: err } : { ok: true });
+      });
+    } catch (e) {
+      resolve({ ok: false, error: String(e) });
+    }
+  });
+}
+
+function i18nMessage(key, fallback) {
+  try {
+    return chrome.i18n.getMessage(key) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+let lastImageMenuSignature = null;
+
+// Whitelisted sites where content.js runs: manifest matches + granted user domains.
+async function syncImageContextMenu(cfg) {
+  try {
+    if (!WHITELIST || !chrome.contextMenus?.create) return;
+    const patterns = WHITELIST.whitelistToMatchPatterns(cfg.whitelist);
+    const { origins } = await permissionsGetAll();
+    const documentUrlPatterns = WHITELIST.filterGrantedPatterns(patterns, [
+      ...getManifestContentMatches(),
+      ...origins,
+    ]);
+    const signature = JSON.stringify(documentUrlPatterns);
+    if (signature === lastImageMenuSignature) return;
+
+    await contextMenusRemoveAll();
+    if (documentUrlPatterns.length) {
+      for (const item of IMAGE_MENU_ITEMS) {
+        const res = await contextMenusCreate({
+          id: item.id,
+          title: i18nMessage(item.titleKey, item.title),
+          contexts: ["image"],
+          documentUrlPatterns,
+        });
+        if (!res.ok) return;
+      }
+    }
+    lastImageMenuSignature = signature;
+  } catch {
+    // no-op
+  }
+}
+
+async function flashTabBadge(tabId, text) {
+  if (tabId == null) return;
+  appliedTabBadges.delete(tabId);
+  await actionSetBadgeText({ tabId, text });
+  setTimeout(() => {
+    refreshTabBadge(tabId).catch(() => {});
+  }, FLASH_BADGE_MS);
+}
+
+async function handleImageMenuClick(info, tab) {
+  const item = IMAGE_MENU_ITEMS.find((i) => i.id === info?.menuItemId);
+  if (!item || tab?.id == null || !info.srcUrl) return;
+
+  const res = await tabsSendMessage(
+    tab.id,
+    { type: "MP_FIX_IMAGE_ACTION", action: item.action, srcUrl: info.srcUrl },
+    { frameId: info.frameId || 0 }
+  );
+  // No content script answered in that frame: short "!" on the tab badge.
+  if (!res || res.__error) {
+    await flashTabBadge(tab.id, FLASH_ERROR_BADGE_TEXT);
+    return;
+  }
+  if (item.action === "open_original" && res.ok && /^https?:/i.test(String(res.url || ""))) {
+    await tabsCreate({ url: res.url, index: tab.index + 1, openerTabId: tab.id });
+  }
+}
+
+function scriptingExecuteScript(details) {
+  return new Promise((resolve) => {
+    try {
+      chrome.scripting.executeScript(details, (results) => {
+        const err = getChromeLastErrorMessage();
+        if (err) return resolve({ __error: err });
+        resolve(results || []);
+      });
+    } catch (e) {
+      resolve({ __error: String(e) });
+    }
+  });
+}
+
+// Same storage-mode rules as popup.js setSharedToStorage(): sync first, local fallback + marker.
+async function setSharedToStorage(items) {
+  const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
+  const mode =
+    modeRes && !modeRes.__error && typeof modeRes[CONFIG_STORAGE_MODE_KEY] === "string"
+      ? String(modeRes[CONFIG_STORAGE_MODE_KEY] || "")
+      : "";
+  const order = mode === "local" ? ["local", "sync"] : ["sync", "local"];
+  for (const area of order) {
+    const res = await storageSet(chrome.storage[area], items);
+    if (!res.ok) continue;
+    await storageSet(chrome.storage.local, { [CONFIG_STORAGE_MODE_KEY]: area });
+    // Best-effort: keep sync updated in local mode
+    if (area === "local" && mode === "local") await storageSet(chrome.storage.sync, items);
+    return true;
+  }
+  return false;
+}
+
+async function getSharedFromStorage(keys) {
+  const modeRes = await storageGet(chrome.storage.local, [CONFIG_STORAGE_MODE_KEY]);
+  const mode = modeRes && !modeRes.__error ? String(modeRes[CONFIG_STORAGE_MODE_KEY] || "") : "";
+  for (const area of mode === "local" ? ["local", "sync"] : ["sync", "local"]) {
+    const res = await storageGet(chrome.storage[area], keys);
+    if (!res.__error) return res;
+  }
+  return {};
+}
+
+// Device-only keys (settings_schema.js) bypass the storage mode: chrome.storage.local, or
+// IndexedDB (bulk_store.js) for bulk datasets.
+async function setToStorage(items) {
+  const { bulk, local, shared } = SCHEMA.splitItems(items);
+  if (Object.keys(bulk).length && !(BULK && (await BULK.set(bulk)).ok)) return false;
+  if (Object.keys(local).length && !(await storageSet(chrome.storage.local, local)).ok) {
+    return false;
+  }
+  return Object.keys(shared).length ? setSharedToStorage(shared) : true;
+}
+
+async function getFromStorage(keys) {
+  const { bulk, local, shared } = SCHEMA.splitKeys(keys);
+  const data = shared.length ? await getSharedFromStorage(shared) : {};
+  if (local.length) {
+    const localRes = await storageGet(chrome.storage.local, local);
+    if (!localRes.__error) Object.assign(data, localRes);
+  }
+  if (bulk.length && BULK) {
+    const bulkRes = await BULK.get(bulk);
+    if (bulkRes.ok) Object.assign(data, bulkRes.data);
+  }
+  return data;
+}
+
+// Without the "tabs" permission: status events only (same approach as popup.js).
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    let timer = null;
+
+    function done(ok) {
+      clearTimeout(timer);
+      try {
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+      } catch {
+        // no-op
+      }
+      resolve(ok);
+    }
+
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo?.status === "complete") done(true);
+    }
+
+    try {
+      chrome.tabs.onUpdated.addListener(onUpdated);
+    } catch {
+      resolve(false);
+      return;
+    }
+    timer = setTimeout(() => done(false), timeoutMs);
+  });
+}
+
+// activeTab is granted by the shortcut itself: URL read through scripting, like the popup.
+async function getTabUrlViaScripting(tabId) {
+  const res = await scriptingExecuteScript({
+    target: { tabId, allFrames: false },
+    func: () => {
+      try {
+        return window.location.href;
+      } catch {
+        return "";
+      }
+    },
+  });
+  if (!Array.isArray(res)) return "";
+  return res[0] && typeof res[0].result === "string" ? res[0].result : "";
+}
+
+async function commandToggleConfig(key, tab) {
+  const { cfg } = await getConfigPreferSync();
+  const next = { ...cfg, [key]: !cfg[key] };
+  if (!(await setToStorage({ [key]: next[key] }))) {
+    await flashTabBadge(tab?.id, FLASH_ERROR_BADGE_TEXT);
+    return;
+  }
+  // Global badge follows through storage.onChanged; the tab may show its own (pause, "?").
+  // Debug turned on while auto-fix is OFF: the global badge stays "OFF", say "DBG" here.
+  const text = key === "debug" && next.debug ? "DBG" : BADGE.globalBadge({ cfg: next }).text;
+  await flashTabBadge(tab?.id, text);
+}
+
+// Same injection as fixThisPageNow() in popup.js ("force" => whitelist ignored).
+async function commandFixThisPage(tab) {
+  if (tab?.id == null) return;
+  const { cfg } = await getConfigPreferSync();
+
+  const inj1 = await scriptingExecuteScript({
+    target: { tabId: tab.id, allFrames: true },
+    files: ["rewrite_rules.js", "whitelist.js", "injected_patch.js"],
+  });
+  const inj2 = inj1.__error
+    ? inj1
+    : await scriptingExecuteScript({
+        target: { tabId: tab.id, allFrames: true },
+        func: (debug, rules, overlay) => {
+          try {
+            const patcher = window.__MP_IMAGE_FIX__;
+            if (patcher && typeof patcher.run === "function") {
+              patcher.run({
+                enabled: true,
+                debug: !!debug,
+                whitelist: [],
+                rules,
+                overlay: !!overlay,
+                force: true,
+                observe: true,
+                reason: "manual:command",
+              });
+            }
+          } catch {
+            // no-op
+          }
+        },
+        args: [!!cfg.debug, cfg.rewriteRules, !!cfg.debugOverlay],
+      });
+  await flashTabBadge(tab.id, inj2.__error ? FLASH_ERROR_BADGE_TEXT : COMMAND_FIX_BADGE_TEXT);
+}
+
+async function commandOpenMigrationPanel() {
+  await tabsCreate({ url: chrome.runtime.getURL("migrate.html") });
+}
+
+function parseFollowsOrigin(url, whitelist) {
+  try {
+    const u = new URL(url);
+    if (!/^https?:$/.test(u.protocol)) return "";
+    return WHITELIST && WHITELIST.isHostAllowed(u.hostname, whitelist) ? u.origin : "";
+  } catch {
+    return "";
+  }
+}
+
+// Start / resume the follows export (popup "Save My Library": the runner resumes on its own).
+async function commandStartExport(tab) {
+  const { cfg } = await getConfigPreferSync();
+  const allowed = Array.from(new Set([...SCHEMA.DEFAULT_WHITELIST, ...(cfg.whitelist || [])]));
+  const currentUrl = tab?.id != null ? await getTabUrlViaScripting(tab.id) : "";
+  const originFromTab = parseFollowsOrigin(currentUrl, allowed);
+  if (originFromTab) await setToStorage({ [EXPORT_ORIGIN_KEY]: originFromTab });
+
+  let targetTabId = tab?.id;
+  let onFollows = false;
+  try {
+    onFollows = !!originFromTab && new URL(currentUrl).pathname === "/my/follows";
+  } catch {
+    // no-op
+  }
+
+  if (!onFollows) {
+    const stored = await getFromStorage([EXPORT_ORIGIN_KEY]);
+    const origin =
+      originFromTab ||
+      parseFollowsOrigin(stored[EXPORT_ORIGIN_KEY] || "", allowed) ||
+      EXPORT_DEFAULT_ORIGIN;
+    const newTab = await tabsCreate({ url: `${origin}/my/follows`, active: true });
+    if (!newTab || newTab.__error || newTab.id == null) {
+      await flashTabBadge(tab?.id, FLASH_ERROR_BADGE_TEXT);
+      return;
+    }
+    targetTabId = newTab.id;
+    if (!(await waitForTabComplete(targetTabId, COMMAND_TAB_COMPLETE_TIMEOUT_MS))) {
+      await flashTabBadge(targetTabId, FLASH_ERROR_BADGE_TEXT);
+      return;
+    }
+  }
+
+  await setToStorage({ [EXPORT_CANCEL_KEY]: false });
+  const inj = await scriptingExecuteScript({
+    target: { tabId: targetTabId, allFrames: false },
+    files: ["settings_schema.js", "mp_export_runner.js"],
+  });
+  await flashTabBadge(
+    targetTabId,
+    inj.__error ? FLASH_ERROR_BADGE_TEXT : COMMAND_EXPORT_BADGE_TEXT
+  );
+}
+
+async function handleCommand(command, tab) {
+  if (command === "toggle-auto-fix") return commandToggleConfig("enabled", tab);
+  if (command === "toggle-debug") return commandToggleConfig("debug", tab);
+  if (command === "fix-this-page") return commandFixThisPage(tab);
+  if (command === "open-migration-panel") return commandOpenMigrationPanel();
+  if (command === "start-export") return commandStartExport(tab);
+  return null;
+}
+
+let lastMirrorDetectSignature = null;
+
+async function syncMirrorDetectScript(cfg) {
+  try {
+    if (!WHITELIST || !chrome.scripting?.registerContentScripts) return;
+    // "*://*/*" may have been granted for network mode / header rules: scanning every site
+    // needs its own setting on top of it.
+    const wanted =
+      !!cfg.enabled &&
+      !!cfg.mirrorDetect &&
+      (await permissionsContains({ origins: ALL_HOSTS_ORIGINS }));
+    const excludeMatches = WHITELIST.whitelistToMatchPatterns(cfg.whitelist);
+    const signature = wanted ? JSON.stringify(excludeMatches) : "";
+    if (signature === lastMirrorDetectSignature) return;
+
+    const current = await scriptingGetRegisteredContentScripts({ ids: [MIRROR_DETECT_SCRIPT_ID] });
+    if (current.ok && current.scripts.length) {
+      await scriptingUnregisterContentScripts({ ids: [MIRROR_DETECT_SCRIPT_ID] });
+    }
+    if (wanted) {
+      const res = await scriptingRegisterContentScripts([
+        {
+          id: MIRROR_DETECT_SCRIPT_ID,
+          js: MIRROR_DETECT_SCRIPT_FILES,
+          matches: ALL_HOSTS_ORIGINS,
+          excludeMatches,
+          runAt: "document_idle",
+          allFrames: false,
+          persistAcrossSessions: true,
+        },
+      ]);
+      if (!res.ok) return;
+    }
+    lastMirrorDetectSignature = signature;
+  } catch {
+    // no-op
+  }
+}
+
+async function applyStorageDiff(area, diff) {
+  if (Object.keys(diff.set).length && !(await storageSet(area, diff.set)).ok) return false;
+  if (diff.remove.length && !(await storageRemove(area, diff.remove)).ok) return false;
+  return true;
+}
+
+// Fresh install => current schema version; update => migrations + validation (settings_schema.js).
+// The version is written last: an interrupted upgrade is simply replayed on the next update.
+async function upgradeStoredSettings(reason) {
+  try {
+    const versionItem = { [SCHEMA.SCHEMA_VERSION_KEY]: SCHEMA.SCHEMA_VERSION };
+    if (reason === "install") {
+      await storageSet(chrome.storage.local, versionItem);
+      return;
+    }
+    if (reason !== "update") return;
+
+    const sync = await storageGet(chrome.storage.sync, null);
+    const local = await storageGet(chrome.storage.local, null);
+    if (sync.__error || local.__error) return;
+
+    const out = SCHEMA.upgradeSettings({ sync, local });
+    if (out.to !== SCHEMA.SCHEMA_VERSION) return; // stored by a newer version
+    if (out.from === out.to && !out.changes.length) return;
+
+    // IndexedDB first (datasets leaving chrome.storage); never overwrite newer data there.
+    const bulkKeys = Object.keys(out.bulk);
+    if (bulkKeys.length) {
+      const existing = BULK ? await BULK.get(bulkKeys) : { ok: false };
+      if (!existing.ok) return;
+      const fresh = bulkKeys.filter((key) => !(key in existing.data));
+      const items = Object.fromEntries(fresh.map((key) => [key, out.bulk[key]]));
+      if (fresh.length && !(await BULK.set(items)).ok) return;
+    }
+
+    const localDiff = SCHEMA.diffArea(local, out.local);
+    delete localDiff.set[SCHEMA.SCHEMA_VERSION_KEY];
+    // Then local: moved data must exist before it leaves sync.
+    if (!(await applyStorageDiff(chrome.storage.local, localDiff))) return;
+    if (!(await applyStorageDiff(chrome.storage.sync, SCHEMA.diffArea(sync, out.sync)))) return;
+
+    const report = { from: out.from, to: out.to, at: Date.now(), changes: out.changes };
+    await storageSet(chrome.storage.local, { ...versionItem, [SCHEMA.UPGRADE_REPORT_KEY]: report });
+    console.info(
+      `[MP Fix] settings schema v${out.from} -> v${out.to}:`,
+      out.changes.length ? out.changes : "no change"
+    );
   } catch {
     // no-op
   }
 }
 
-async function init() {
+// Config / permission events come in bursts: runs are chained so that two passes never
+// interleave their (un)register calls ("duplicate script ID"). Each run reads the config afresh.
+let initQueue = Promise.resolve();
+
+function init() {
+  initQueue = initQueue.then(runInit).catch(() => {});
+  return initQueue;
+}
+
+async function runInit() {
   const cfg = await ensureDefaults();
-  await updateBadgeFromConfig(cfg);
+  await refreshBadges();
+  await syncDnrRules(cfg);
+  await syncMainWorldScript(cfg);
+  await syncUserDomainsScript(cfg);
+  await syncMirrorDetectScript(cfg);
+  await syncImageContextMenu(cfg);
 }
 
-chrome.runtime.onInstalled.addListener(() => {
-  init();
+chrome.runtime.onInstalled.addListener((details) => {
+  upgradeStoredSettings(details && details.reason).finally(() => init());
 });
 
 chrome.runtime.onStartup?.addListener(() => {
   init();
 });
 
-chrome.storage.onChanged.addListener(() => {
+// Only what the service worker reacts to: export progress writes no longer re-run init().
+const CONFIG_WATCH_KEYS = [...Object.keys(SCHEMA.CONFIG_FIELDS), CONFIG_STORAGE_MODE_KEY];
+const BADGE_WATCH_KEYS = [EXPORT_STATE_KEY, MD_FOLLOW_BATCH_STATE_KEY];
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  noteStorageTouched(changes, areaName);
+  if (areaName !== "sync" && areaName !== "local") return;
+  const keys = Object.keys(changes || {});
+  if (keys.some((k) => CONFIG_WATCH_KEYS.includes(k))) init();
+  else if (keys.some((k) => BADGE_WATCH_KEYS.includes(k))) scheduleBadgeRefresh();
+});
+
+// Host access granted / revoked from the popup => (un)register user domains + mirror detector.
+chrome.permissions?.onAdded?.addListener(() => {
+  init();
+});
+
+chrome.permissions?.onRemoved?.addListener(() => {
   init();
 });
 
+chrome.commands?.onCommand?.addListener((command, tab) => {
+  handleCommand(command, tab).catch(() => {});
+});
+
+chrome.contextMenus?.onClicked?.addListener((info, tab) => {
+  handleImageMenuClick(info, tab).catch(() => {});
+});
+
+// A flag / image counters only describe the page that raised them (no "tabs" permission:
+// status only, no URL). A pause outlives navigations in its tab.
+chrome.tabs?.onUpdated?.addListener((tabId, changeInfo) => {
+  // URL only reported on accessible hosts => network rules follow the open pages.
+  if (changeInfo?.url) resyncDnrRules().catch(() => {});
+  if (changeInfo?.status !== "loading") return;
+  Promise.all([getMirrorSuspects(), getTabStats()])
+    .then(async ([suspects, stats]) => {
+      if (stats[String(tabId)]) await setTabStats(tabId, null);
+      if (suspects[String(tabId)]) return clearMirrorSuspect(tabId);
+      return refreshTabBadge(tabId);
+    })
+    .catch(() => {});
+});
+
+chrome.tabs?.onRemoved?.addListener((tabId) => {
+  appliedTabBadges.delete(tabId);
+  resyncDnrRules().catch(() => {});
+  setMirrorSuspect(tabId, null).catch(() => {});
+  setTabStats(tabId, null).catch(() => {});
+  forgetTabPause(tabId).catch(() => {});
+});
+
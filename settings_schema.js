@@ -0,0 +1,323 @@
+/**
+ * settings_schema.js
+ *
+ * Schéma versionné des réglages stockés (chrome.storage.sync / local) :
+ * - SCHEMA_VERSION : version courante, enregistrée dans chrome.storage.local (par appareil : les
+ *   migrations déplacent des données locales, un numéro synchronisé mentirait aux autres appareils)
+ * - CONFIG_FIELDS : clés de config partagées (sync, ou local en mode "local") + validation ;
+ *   applyConfigDefaults() = config complète lue par content.js, popup.js et le service worker
+ * - LOCAL_ONLY_KEYS : données d'appareil (export, migration MangaDex) jamais écrites en sync
+ * - BULK_KEYS : parmi elles, les gros jeux de données, rangés dans IndexedDB (bulk_store.js)
+ * - MIGRATIONS : étapes vN-1 => vN, appliquées dans l'ordre par upgradeSettings()
+ *
+ * upgradeSettings() est pur : il reçoit un instantané { sync, local } et renvoie le nouvel état
+ * (+ bulk : valeurs à écrire dans IndexedDB) et la liste des changements ; le service worker
+ * l'exécute à chaque mise à jour de l'extension (chrome.runtime.onInstalled, reason "update")
+ * et applique le diff (diffArea()).
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_SETTINGS_SCHEMA = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // v1 = réglages historiques sans numéro de version
+  const SCHEMA_VERSION = 3;
+  const LEGACY_SCHEMA_VERSION = 1;
+  const SCHEMA_VERSION_KEY = "mp_settings_version";
+  // Dernier rapport de mise à jour (local) : { from, to, at, changes }
+  const UPGRADE_REPORT_KEY = "mp_settings_upgrade_report";
+  const CONFIG_STORAGE_MODE_KEY = "mp_config_storage_mode"; // "sync" | "local"
+
+  const DEFAULT_WHITELIST = ["mangapark.*", "comicpark.*", "readpark.*", "parkmanga.*", "mpark.*"];
+
+  // type: "boolean" | "enum" (values) | "list" (whitelist) | "array" (normalisé par son module)
+  const CONFIG_FIELDS = {
+    enabled: { type: "boolean", default: true },
+    debug: { type: "boolean", default: false },
+    whitelist: { type: "list", default: DEFAULT_WHITELIST },
+    uiLanguage: { type: "enum", values: ["auto", "en", "fr"], default: "auto" },
+    theme: { type: "enum", values: ["dark", "light"], default: "dark" },
+    rewriteRules: { type: "array", default: null }, // rewrite_rules.js
+    fixMode: { type: "enum", values: ["dom", "network", "both"], default: "dom" },
+    debugOverlay: { type: "boolean", default: false },
+    mainWorldIntercept: { type: "boolean", default: false },
+    headerRules: { type: "array", default: null }, // dnr_rules.js
+    // mirror_detect.js sur tous les sites (en plus de l'accès à tous les hosts) : opt-in explicite
+    mirrorDetect: { type: "boolean", default: false },
+  };
+
+  const CONFIG_DEFAULTS = Object.fromEntries(
+    Object.entries(CONFIG_FIELDS).map(([key, field]) => [key, field.default])
+  );
+
+  // Données volumineuses ou propres à l'appareil : toujours chrome.storage.local
+  // (quota sync de 8 Ko par clé, pas d'intérêt à propager un export en cours).
+  const LOCAL_ONLY_KEYS = [
+    "mp_export_state",
+    "mp_export_follows",
+    "mp_export_partial",
+    "mp_export_cancel",
+    "mp_export_origin",
+    "mp_export_diagnostic",
+    "md_match_state",
+    "md_match_results",
+    "md_match_cancel",
+    "md_auth_settings",
+    "md_follow_cancel",
+    "md_follow_settings",
+    "md_follow_batch_state",
+    "md_follow_batch_queue",
+    "md_follow_batch_cancel",
+    "mp_bulk_changed", // marqueur de changement de bulk_store.js
+    "mp_storage_touched", // dernières écritures par clé (storage_catalog.js)
+    SCHEMA_VERSION_KEY,
+    UPGRADE_REPORT_KEY,
+  ];
+
+  // Jeux de données sans borne (1000+ titres, historique à venir) : IndexedDB, pas chrome.storage
+  const BULK_KEYS = ["mp_export_follows", "mp_export_partial", "md_match_results"];
+
+  function isLocalOnlyKey(key) {
+    return LOCAL_ONLY_KEYS.includes(key);
+  }
+
+  function isBulkKey(key) {
+    return BULK_KEYS.includes(key);
+  }
+
+  function areaOfKey(key) {
+    if (isBulkKey(key)) return "bulk";
+    return isLocalOnlyKey(key) ? "local" : "shared";
+  }
+
+  /**
+   * @param {string|string[]} keys
+   * @returns {{ bulk: string[], local: string[], shared: string[] }}
+   *  bulk => bulk_store.js, local => chrome.storage.local, shared => storage mode (sync / local)
+   */
+  function splitKeys(keys) {
+    const out = { bulk: [], local: [], shared: [] };
+    for (const key of Array.isArray(keys) ? keys : [keys]) out[areaOfKey(key)].push(key);
+    return out;
+  }
+
+  /**
+   * @param {object} items
+   * @returns {{ bulk: object, local: object, shared: object }} see splitKeys()
+   */
+  function splitItems(items) {
+    const out = { bulk: {}, local: {}, shared: {} };
+    for (const [key, value] of Object.entries(items || {})) {
+      out[areaOfKey(key)][key] = value;
+    }
+    return out;
+  }
+
+  function normalizeList(value) {
+    const raw = typeof value === "string" ? value.split(/[\s,]+/) : value;
+    if (!Array.isArray(raw)) return undefined;
+    const out = [];
+    for (const item of raw) {
+      if (typeof item !== "string") continue;
+      const entry = item.trim().toLowerCase();
+      if (entry && !out.includes(entry)) out.push(entry);
+    }
+    return out;
+  }
+
+  /**
+   * Validate a stored config value.
+   * @param {string} key
+   * @param {any} value
+   * @returns {{ ok: boolean, value: any }} ok=false => drop the key (default applies on read);
+   *  value may be a normalized copy ("true" => true, "FR" => "fr", whitelist trimmed / deduped)
+   */
+  function validateConfigValue(key, value) {
+    const field = CONFIG_FIELDS[key];
+    if (!field) return { ok: true, value };
+
+    if (field.type === "boolean") {
+      if (typeof value === "boolean") return { ok: true, value };
+      if (value === "true" || value === "false") return { ok: true, value: value === "true" };
+      return { ok: false, value: undefined };
+    }
+    if (field.type === "enum") {
+      const v = typeof value === "string" ? value.trim().toLowerCase() : "";
+      return field.values.includes(v) ? { ok: true, value: v } : { ok: false, value: undefined };
+    }
+    if (field.type === "list") {
+      const list = normalizeList(value);
+      return list ? { ok: true, value: list } : { ok: false, value: undefined };
+    }
+    if (value === null || Array.isArray(value)) return { ok: true, value };
+    return { ok: false, value: undefined };
+  }
+
+  /**
+   * Stored config => complete config: invalid or missing keys get their default.
+   * Arrays ("array" fields) are kept as is; their modules normalize them (rewrite_rules.js,
+   * dnr_rules.js).
+   * @param {object} partial raw storage values
+   * @returns {object} one value per CONFIG_FIELDS key
+   */
+  function applyConfigDefaults(partial) {
+    const items = partial && typeof partial === "object" ? partial : {};
+    const cfg = {};
+    for (const [key, field] of Object.entries(CONFIG_FIELDS)) {
+      const { ok, value } = validateConfigValue(key, items[key]);
+      const fallback = Array.isArray(field.default) ? field.default.slice() : field.default;
+      cfg[key] = ok && value !== undefined ? value : fallback;
+    }
+    return cfg;
+  }
+
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Config keys of one area: normalize, drop invalid values and a bogus storage mode marker.
+   * @param {object} items mutated
+   * @param {string} area "sync" | "local"
+   * @param {string[]} changes
+   */
+  function validateArea(items, area, changes) {
+    for (const key of Object.keys(CONFIG_FIELDS)) {
+      if (!(key in items)) continue;
+      const { ok, value } = validateConfigValue(key, items[key]);
+      if (!ok) {
+        delete items[key];
+        changes.push(`${area}.${key}: invalid value removed`);
+      } else if (!sameValue(value, items[key])) {
+        items[key] = value;
+        changes.push(`${area}.${key}: normalized`);
+      }
+    }
+    const mode = items[CONFIG_STORAGE_MODE_KEY];
+    if (mode !== undefined && mode !== "sync" && mode !== "local") {
+      delete items[CONFIG_STORAGE_MODE_KEY];
+      changes.push(`${area}.${CONFIG_STORAGE_MODE_KEY}: invalid value removed`);
+    }
+  }
+
+  /**
+   * v1 => v2 : export / MangaDex data leaves sync (quota errors, stale copies across devices).
+   * Authoritative copy: local in "local" storage mode (when present), sync otherwise.
+   */
+  function moveLocalOnlyKeysOutOfSync(state, changes) {
+    const localMode = state.local[CONFIG_STORAGE_MODE_KEY] === "local";
+    for (const key of LOCAL_ONLY_KEYS) {
+      if (!(key in state.sync)) continue;
+      const keepLocal = localMode && key in state.local;
+      if (!keepLocal) state.local[key] = state.sync[key];
+      delete state.sync[key];
+      changes.push(`sync.${key}: ${keepLocal ? "removed (local copy kept)" : "moved to local"}`);
+    }
+  }
+
+  /**
+   * v2 => v3 : follow exports / match results move to IndexedDB (v2 already left them in local).
+   * Empty (null) values are just dropped.
+   */
+  function moveBulkKeysToIndexedDb(state, changes) {
+    for (const key of BULK_KEYS) {
+      for (const area of ["sync", "local"]) {
+        if (!(key in state[area])) continue;
+        const value = state[area][key];
+        delete state[area][key];
+        if (value != null && !(key in state.bulk)) state.bulk[key] = value;
+        changes.push(`${area}.${key}: ${value != null ? "moved to IndexedDB" : "removed (empty)"}`);
+      }
+    }
+  }
+
+  const MIGRATIONS = [
+    { to: 2, name: "local-only-data", run: moveLocalOnlyKeysOutOfSync },
+    { to: 3, name: "bulk-indexeddb", run: moveBulkKeysToIndexedDb },
+  ];
+
+  function readSchemaVersion(local) {
+    const v = Number(local && local[SCHEMA_VERSION_KEY]);
+    return Number.isInteger(v) && v >= LEGACY_SCHEMA_VERSION ? v : LEGACY_SCHEMA_VERSION;
+  }
+
+  function cloneItems(items) {
+    return items && typeof items === "object" ? JSON.parse(JSON.stringify(items)) : {};
+  }
+
+  /**
+   * Run the upgrade pipeline on a storage snapshot (migrations from the stored version, then
+   * validation of the config keys of both areas).
+   * @param {{ sync: object, local: object }} snapshot chrome.storage.{sync,local}.get(null)
+   * @returns {{ from: number, to: number, sync: object, local: object, bulk: object,
+   *  changes: string[] }} sync / local = full next contents, bulk = values to store in IndexedDB
+   *  (written before sync / local); a newer stored version is left untouched (downgrade)
+   */
+  function upgradeSettings(snapshot) {
+    const state = {
+      sync: cloneItems(snapshot?.sync),
+      local: cloneItems(snapshot?.local),
+      bulk: {},
+    };
+    const from = readSchemaVersion(state.local);
+    const changes = [];
+    if (from > SCHEMA_VERSION) return { from, to: from, ...state, changes };
+
+    for (const migration of MIGRATIONS) {
+      if (migration.to <= from || migration.to > SCHEMA_VERSION) continue;
+      const before = changes.length;
+      migration.run(state, changes);
+      for (let i = before; i < changes.length; i++) {
+        changes[i] = `[v${migration.to} ${migration.name}] ${changes[i]}`;
+      }
+    }
+    validateArea(state.sync, "sync", changes);
+    validateArea(state.local, "local", changes);
+
+    state.local[SCHEMA_VERSION_KEY] = SCHEMA_VERSION;
+    return { from, to: SCHEMA_VERSION, ...state, changes };
+  }
+
+  /**
+   * Minimal writes turning `before` into `after` for one storage area.
+   * @param {object} before
+   * @param {object} after
+   * @returns {{ set: object, remove: string[] }}
+   */
+  function diffArea(before, after) {
+    const prev = before || {};
+    const next = after || {};
+    const set = {};
+    for (const [key, value] of Object.entries(next)) {
+      if (!(key in prev) || !sameValue(prev[key], value)) set[key] = value;
+    }
+    const remove = Object.keys(prev).filter((key) => !(key in next));
+    return { set, remove };
+  }
+
+  return {
+    SCHEMA_VERSION,
+    SCHEMA_VERSION_KEY,
+    UPGRADE_REPORT_KEY,
+    CONFIG_STORAGE_MODE_KEY,
+    DEFAULT_WHITELIST,
+    CONFIG_FIELDS,
+    CONFIG_DEFAULTS,
+    LOCAL_ONLY_KEYS,
+    BULK_KEYS,
+    isLocalOnlyKey,
+    isBulkKey,
+    splitKeys,
+    splitItems,
+    validateConfigValue,
+    applyConfigDefaults,
+    readSchemaVersion,
+    upgradeSettings,
+    diffArea,
+  };
+});
@@ -0,0 +1,287 @@
+/**
+ * storage_catalog.js
+ *
+ * Inventaire des données gardées par l'extension, pour le tableau "Données stockées" de la page
+ * de réglages (et la promesse de PRIVACY.md) :
+ * - CATEGORIES : catégories de clés connues avec leur zone ("shared" = sync / local selon le mode,
+ *   "local", "bulk" = IndexedDB via bulk_store.js, "session" = chrome.storage.session) ;
+ *   libellés i18n : optDataCat_<id>, optDataCatDesc_<id>, optDataKey_<clé>
+ * - chrome.storage ne date pas les écritures : le service worker tient un index
+ *   { [clé]: ms } (TOUCHED_KEY, local) via touchKeys(), hors clés de session ; lastUpdated()
+ *   retombe sur les dates contenues dans la valeur (updated_at, at, ts, meta.captured_at)
+ * - buildDashboard() : lignes par catégorie (clé, zone, taille, dernière mise à jour) + totaux,
+ *   les clés inconnues trouvées dans un stockage vont dans "other"
+ * - deletionPlan() : clés à supprimer pour une catégorie, par zone ; refus si une tâche tourne
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./settings_schema.js"));
+  } else {
+    root.MP_STORAGE_CATALOG = factory(root.MP_SETTINGS_SCHEMA);
+  }
+})(typeof self !== "undefined" ? self : this, function (SCHEMA) {
+  const TOUCHED_KEY = "mp_storage_touched";
+  const OTHER_CATEGORY = "other";
+  const AREAS = ["sync", "local", "bulk", "session"];
+
+  // Session keys of service_worker.js (trusted contexts only: MD tokens, per-tab state)
+  const SESSION_KEYS = [
+    "md_auth_session",
+    "mp_fix_host_health",
+    "mp_fix_mirror_suspects",
+    "mp_fix_tab_pauses",
+    "mp_fix_tab_stats",
+  ];
+
+  // runningKey: deletion refused while its value has status "running" (writer still active).
+  // protected: internal bookkeeping, only cleared by "wipe everything".
+  const CATEGORIES = [
+    {
+      id: "settings",
+      keys: [...Object.keys(SCHEMA.CONFIG_FIELDS), "mp_migrate_state", SCHEMA.UPGRADE_REPORT_KEY],
+    },
+    {
+      id: "export",
+      keys: [
+        "mp_export_follows",
+        "mp_export_partial",
+        "mp_export_state",
+        "mp_export_origin",
+        "mp_export_cancel",
+      ],
+      runningKey: "mp_export_state",
+    },
+    { id: "diagnostic", keys: ["mp_export_diagnostic"] },
+    { id: "mdMatch", keys: ["md_match_results", "md_match_state", "md_match_cancel"] },
+    { id: "mdAccount", keys: ["md_auth_settings", "md_follow_settings", "md_auth_session"] },
+    {
+      id: "mdFollow",
+      keys: [
+        "md_follow_batch_state",
+        "md_follow_batch_queue",
+        "md_follow_batch_cancel",
+        "md_follow_cancel",
+      ],
+      runningKey: "md_follow_batch_state",
+    },
+    {
+      id: "tabState",
+      keys: [
+        "mp_fix_host_health",
+        "mp_fix_mirror_suspects",
+        "mp_fix_tab_pauses",
+        "mp_fix_tab_stats",
+      ],
+    },
+    {
+      id: "internal",
+      keys: ["mp_config_storage_mode", SCHEMA.SCHEMA_VERSION_KEY, "mp_bulk_changed", TOUCHED_KEY],
+      protected: true,
+    },
+  ];
+
+  const KNOWN_KEYS = CATEGORIES.flatMap((c) => c.keys);
+
+  function isKnownKey(key) {
+    return KNOWN_KEYS.includes(key);
+  }
+
+  /** @returns {"shared"|"local"|"bulk"|"session"} where the key is written */
+  function homeAreaOf(key) {
+    if (SESSION_KEYS.includes(key)) return "session";
+    if (SCHEMA.isBulkKey(key)) return "bulk";
+    return SCHEMA.isLocalOnlyKey(key) ? "local" : "shared";
+  }
+
+  function categoryOf(key) {
+    const cat = CATEGORIES.find((c) => c.keys.includes(key));
+    return cat ? cat.id : OTHER_CATEGORY;
+  }
+
+  /**
+   * Keys dated by the write index. Session keys (tab counters, host health) change every few
+   * seconds and are gone with the browser session: their values carry their own timestamps.
+   */
+  function isTrackedKey(key) {
+    return key !== TOUCHED_KEY && isKnownKey(key) && !SESSION_KEYS.includes(key);
+  }
+
+  /**
+   * @param {Object<string, number>} index previous TOUCHED_KEY value
+   * @param {string[]} keys keys written / removed
+   * @param {number} now
+   * @returns {Object<string, number>|null} next index, null when nothing to record
+   */
+  function touchKeys(index, keys, now) {
+    const wanted = (keys || []).filter(isTrackedKey);
+    if (!wanted.length) return null;
+    const next = {};
+    // Keys dropped from the catalog don't linger in the index.
+    for (const [k, v] of Object.entries(index || {})) {
+      if (isTrackedKey(k) && Number.isFinite(v)) next[k] = v;
+    }
+    for (const k of wanted) next[k] = now;
+    return next;
+  }
+
+  function toMs(v) {
+    if (typeof v === "number") return Number.isFinite(v) && v > 0 ? v : null;
+    if (typeof v !== "string" || !v) return null;
+    const ms = Date.parse(v);
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  /** @returns {number|null} newest timestamp carried by the value itself */
+  function valueTimestamp(value) {
+    if (!value || typeof value !== "object") return null;
+    const candidates = [value.updated_at, value.at, value.ts, value.meta?.captured_at];
+    // Per-tab maps ({ [tabId]: { ts } }) => newest entry
+    if (!Array.isArray(value)) {
+      for (const v of Object.values(value)) if (v && typeof v === "object") candidates.push(v.ts);
+    }
+    const times = candidates.map(toMs).filter((ms) => ms !== null);
+    return times.length ? Math.max(...times) : null;
+  }
+
+  /** @returns {number|null} ms; the write index wins over dates found in the value */
+  function lastUpdated(key, value, touched) {
+    const indexed = touched && toMs(touched[key]);
+    return indexed || valueTimestamp(value);
+  }
+
+  /** JSON size in bytes (UTF-8), like chrome.storage counts it; for IndexedDB / fallback */
+  function estimateBytes(key, value) {
+    if (value === undefined) return 0;
+    let json = "";
+    try {
+      json = JSON.stringify(value) || "";
+    } catch {
+      return 0;
+    }
+    const text = String(key) + json;
+    if (typeof TextEncoder === "function") return new TextEncoder().encode(text).length;
+    return text.length;
+  }
+
+  function formatBytes(bytes) {
+    const n = Number(bytes) || 0;
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function hasOwn(obj, key) {
+    return !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  /**
+   * @param {{ values: Object<string, object>, bytes?: Object<string, Object<string, number>>,
+   *  touched?: Object<string, number> }} input values / bytes per area (AREAS), read by the page
+   * @returns {{ categories: Array<{ id: string, protected: boolean, busy: boolean,
+   *  bytes: number, rows: Array<{ key: string, area: string, stored: boolean, bytes: number,
+   *  updatedAt: number|null }> }>, totals: Object<string, number> }}
+   *  a key stored in both sync and local gets one row per area; absent known keys get one row
+   */
+  function buildDashboard({ values = {}, bytes = {}, touched = {} } = {}) {
+    const totals = {};
+    const rowsByCategory = {};
+    for (const area of AREAS) totals[area] = 0;
+
+    function addRow(key, area) {
+      const areaValues = values[area] || {};
+      const stored = hasOwn(areaValues, key) && areaValues[key] != null;
+      const size = stored
+        ? hasOwn(bytes[area], key)
+          ? Number(bytes[area][key]) || 0
+          : estimateBytes(key, areaValues[key])
+        : 0;
+      if (stored) totals[area] += size;
+      const cat = categoryOf(key);
+      (rowsByCategory[cat] = rowsByCategory[cat] || []).push({
+        key,
+        area,
+        stored,
+        bytes: size,
+        updatedAt: stored ? lastUpdated(key, areaValues[key], touched) : null,
+      });
+    }
+
+    for (const key of KNOWN_KEYS) {
+      const home = homeAreaOf(key);
+      const found = AREAS.filter((a) => hasOwn(values[a], key) && values[a][key] != null);
+      if (found.length) found.forEach((area) => addRow(key, area));
+      else addRow(key, home === "shared" ? "sync" : home);
+    }
+    for (const area of AREAS) {
+      for (const key of Object.keys(values[area] || {}).sort()) {
+        if (!isKnownKey(key) && values[area][key] != null) addRow(key, area);
+      }
+    }
+
+    const categories = [...CATEGORIES, { id: OTHER_CATEGORY, keys: [] }]
+      .filter((c) => rowsByCategory[c.id])
+      .map((c) => {
+        const rows = rowsByCategory[c.id];
+        const running = c.runningKey ? values.local?.[c.runningKey] : null;
+        return {
+          id: c.id,
+          protected: !!c.protected,
+          busy: !!running && running.status === "running",
+          bytes: rows.reduce((sum, r) => sum + r.bytes, 0),
+          rows,
+        };
+      });
+    return { categories, totals };
+  }
+
+  /**
+   * @param {string} categoryId
+   * @param {ReturnType<typeof buildDashboard>} dashboard current state (busy, "other" keys)
+   * @returns {{ ok: boolean, error?: string, keys?: string[], session?: string[],
+   *  other?: Object<string, string[]> }} keys => page storage helpers (routing by
+   *  settings_schema.js), session => service worker, other => raw keys per area
+   */
+  function deletionPlan(categoryId, dashboard) {
+    const cat = (dashboard?.categories || []).find((c) => c.id === categoryId);
+    if (!cat) return { ok: false, error: "unknown_category" };
+    if (cat.protected) return { ok: false, error: "protected" };
+    if (cat.busy) return { ok: false, error: "busy" };
+    const stored = cat.rows.filter((r) => r.stored);
+    if (categoryId === OTHER_CATEGORY) {
+      const other = {};
+      for (const r of stored) (other[r.area] = other[r.area] || []).push(r.key);
+      return { ok: true, keys: [], session: [], other };
+    }
+    const keys = [];
+    const session = [];
+    for (const r of stored) {
+      // Session fallback (no storage.session) still goes through the service worker.
+      const list = SESSION_KEYS.includes(r.key) ? session : keys;
+      if (!list.includes(r.key)) list.push(r.key);
+    }
+    return { ok: true, keys, session, other: {} };
+  }
+
+  return {
+    TOUCHED_KEY,
+    OTHER_CATEGORY,
+    AREAS,
+    SESSION_KEYS,
+    CATEGORIES,
+    KNOWN_KEYS,
+    isKnownKey,
+    isTrackedKey,
+    homeAreaOf,
+    categoryOf,
+    touchKeys,
+    valueTimestamp,
+    lastUpdated,
+    estimateBytes,
+    formatBytes,
+    buildDashboard,
+    deletionPlan,
+  };
+});
@@ -0,0 +1,184 @@
+const assert = require("assert");
+const B = require("../backup_utils.js");
+
+const STORED = {
+  enabled: false,
+  theme: "light",
+  whitelist: ["mangapark.*", "mpark.org"],
+  mp_migrate_state: { index: 4, targetSite: "anilist", openNewTab: true },
+  md_auth_settings: { clientId: "cid", clientSecret: "s3cret", username: "me" },
+  md_follow_settings: { threshold: 0.8, noOpenAfterFollow: true },
+  md_match_results: [{ id: "a" }, null],
+  mp_export_follows: {
+    meta: { total_items: 2 },
+    items: [
+      { comic_id: "1", title: "One" },
+      { comic_id: "2", title: "Two" },
+    ],
+  },
+  md_follow_batch_state: { status: "running" },
+};
+
+function testBuildBackup() {
+  const backup = B.buildBackup(STORED, {
+    createdAt: "2026-01-01T00:00:00Z",
+    extensionVersion: "1.0.0",
+  });
+  assert.strictEqual(backup.format, B.FORMAT);
+  assert.strictEqual(backup.version, B.BACKUP_VERSION);
+  assert.deepStrictEqual(
+    backup.manifest.sections.map((s) => s.id),
+    B.SECTIONS.map((s) => s.id)
+  );
+  assert.deepStrictEqual(backup.data.settings, {
+    enabled: false,
+    whitelist: ["mangapark.*", "mpark.org"],
+    theme: "light",
+  });
+  // Secrets left out by default, ephemeral keys never included
+  assert.deepStrictEqual(backup.data.mangadex.md_auth_settings, {
+    clientId: "cid",
+    username: "me",
+  });
+  assert.strictEqual(backup.manifest.secretsIncluded, false);
+  assert.ok(!JSON.stringify(backup).includes("s3cret"));
+  assert.ok(!JSON.stringify(backup).includes("md_follow_batch_state"));
+  assert.deepStrictEqual(backup.manifest.sections.find((s) => s.id === "export").keys, [
+    "mp_export_follows",
+  ]);
+
+  const withSecrets = B.buildBackup(STORED, { sections: ["mangadex"], includeSecrets: true });
+  assert.deepStrictEqual(Object.keys(withSecrets.data), ["mangadex"]);
+  assert.strictEqual(withSecrets.data.mangadex.md_auth_settings.clientSecret, "s3cret");
+  assert.strictEqual(withSecrets.manifest.secretsIncluded, true);
+  // Source values untouched
+  assert.strictEqual(STORED.md_auth_settings.clientSecret, "s3cret");
+}
+
+function testValidateBackup() {
+  assert.strictEqual(B.validateBackup("{oops").error, "not_json");
+  assert.strictEqual(B.validateBackup({ format: "other" }).error, "wrong_format");
+  assert.strictEqual(
+    B.validateBackup({ format: B.FORMAT, version: 99 }).error,
+    "unsupported_version"
+  );
+  assert.strictEqual(
+    B.validateBackup({ format: B.FORMAT, version: 1, manifest: { sections: [] } }).error,
+    "no_sections"
+  );
+
+  const doc = B.buildBackup(STORED, { includeSecrets: true });
+  doc.manifest.sections.push({ id: "evil", keys: ["x"] });
+  doc.data.settings.theme = "blue";
+  doc.data.settings.debug = "true";
+  doc.data.settings.mp_config_storage_mode = "local";
+  doc.data.matches.md_match_results = "nope";
+  const res = B.validateBackup(JSON.stringify(doc));
+  assert.ok(res.ok);
+  assert.strictEqual(res.backup.data.settings.theme, undefined);
+  assert.strictEqual(res.backup.data.settings.debug, true);
+  assert.strictEqual(res.backup.data.matches.md_match_results, undefined);
+  assert.ok(!res.backup.manifest.sections.some((s) => s.id === "evil"));
+  assert.strictEqual(res.backup.manifest.secretsIncluded, true);
+  assert.deepStrictEqual(res.warnings, [
+    "settings.theme: invalid value ignored",
+    "settings.mp_config_storage_mode: unknown key ignored",
+    "matches.md_match_results: invalid value ignored",
+    "evil: unknown section ignored",
+  ]);
+}
+
+function testIsGzip() {
+  assert.ok(B.isGzip(new Uint8Array([0x1f, 0x8b, 8, 0])));
+  assert.ok(!B.isGzip(new Uint8Array([0x7b, 0x22])));
+  assert.ok(!B.isGzip(new ArrayBuffer(0)));
+}
+
+function testPreviewAndMerge() {
+  const { backup } = B.validateBackup(B.buildBackup(STORED));
+  const current = {
+    theme: "dark",
+    whitelist: ["mangapark.*", "readpark.*"],
+    md_auth_settings: { clientId: "other", clientSecret: "mine" },
+    mp_export_follows: {
+      meta: { total_items: 1 },
+      items: [{ comic_id: "2", title: "Two (local)" }],
+    },
+  };
+
+  const preview = B.previewRestore(backup, current);
+  assert.deepStrictEqual(
+    preview.find((r) => r.id === "export"),
+    {
+      id: "export",
+      keys: ["mp_export_follows"],
+      incoming: 2,
+      current: 1,
+    }
+  );
+
+  const plan = B.planRestore(backup, current, {
+    settings: "merge",
+    mangadex: "merge",
+    export: "merge",
+    matches: "bogus",
+  });
+  assert.deepStrictEqual(plan.sections, ["settings", "mangadex", "export"]);
+  assert.deepStrictEqual(plan.items.whitelist, ["mangapark.*", "readpark.*", "mpark.org"]);
+  assert.strictEqual(plan.items.enabled, false);
+  // Current values win on merge
+  assert.ok(!("theme" in plan.items));
+  assert.deepStrictEqual(plan.items.md_auth_settings, {
+    clientId: "other",
+    clientSecret: "mine",
+    username: "me",
+  });
+  assert.deepStrictEqual(
+    plan.items.mp_export_follows.items.map((i) => i.title),
+    ["Two (local)", "One"]
+  );
+  assert.strictEqual(plan.items.mp_export_follows.meta.total_items, 2);
+  assert.ok(!("md_match_results" in plan.items));
+}
+
+function testReplace() {
+  const { backup } = B.validateBackup(
+    B.buildBackup(STORED, { sections: ["settings", "mangadex"] })
+  );
+  const current = {
+    debug: true,
+    theme: "dark",
+    md_auth_settings: { clientId: "old", clientSecret: "mine" },
+    md_follow_settings: { threshold: 0.8, noOpenAfterFollow: true },
+    mp_migrate_state: { index: 9 },
+  };
+  const plan = B.planRestore(backup, current, {
+    settings: "replace",
+    mangadex: "replace",
+    migration: "replace",
+  });
+  assert.deepStrictEqual(plan.sections, ["settings", "mangadex"]);
+  // Missing from the backup => removed; unchanged values are not rewritten
+  assert.strictEqual(plan.items.debug, null);
+  assert.strictEqual(plan.items.theme, "light");
+  assert.ok(!("uiLanguage" in plan.items));
+  assert.ok(!("md_follow_settings" in plan.items));
+  assert.ok(!("mp_migrate_state" in plan.items));
+  // Backup without secrets keeps the current one
+  assert.deepStrictEqual(plan.items.md_auth_settings, {
+    clientId: "cid",
+    username: "me",
+    clientSecret: "mine",
+  });
+}
+
+function run() {
+  testBuildBackup();
+  testValidateBackup();
+  testIsGzip();
+  testPreviewAndMerge();
+  testReplace();
+  console.log("backup_utils.test.js OK");
+}
+
+run();
@@ -0,0 +1,91 @@
+const assert = require("assert");
+const B = require("../badge_state.js");
+
+const NOW = Date.parse("2026-05-01T12:00:00Z");
+const ON = { enabled: true, debug: false };
+
+function text(badge) {
+  return [badge.text, badge.titleKey, badge.titleSubs];
+}
+
+function testGlobalBadge() {
+  assert.deepStrictEqual(text(B.globalBadge({ cfg: ON })), ["ON", "badgeTitleOn", []]);
+  assert.strictEqual(B.globalBadge({ cfg: { enabled: true, debug: true } }).text, "DBG");
+  assert.strictEqual(B.globalBadge({ cfg: { enabled: false, debug: true } }).text, "OFF");
+
+  const running = {
+    status: "running",
+    collected: 45,
+    total: 200,
+    updated_at: "2026-05-01T11:59:00Z",
+  };
+  const exp = B.globalBadge({ cfg: { enabled: false }, exportState: running, now: NOW });
+  assert.deepStrictEqual(text(exp), ["22%", "badgeTitleExportRunning", ["22"]]);
+  assert.deepStrictEqual(exp.color, B.COLORS.export);
+
+  // Total unknown => pages
+  assert.strictEqual(B.exportPercent({ page: 3, pages: 4, total: null }), 75);
+  assert.strictEqual(B.exportPercent({ status: "running" }), 0);
+
+  const paused = B.globalBadge({ cfg: ON, exportState: { ...running, status: "paused" } });
+  assert.deepStrictEqual([paused.text, paused.color], ["22%", B.COLORS.warning]);
+
+  const error = B.globalBadge({ cfg: ON, exportState: { status: "error" } });
+  assert.deepStrictEqual([error.text, error.color], [B.ERROR_TEXT, B.COLORS.warning]);
+
+  const batch = { status: "running", done: 1, total: 3, updated_at: "2026-05-01T11:58:00Z" };
+  const follow = B.globalBadge({ cfg: ON, batchState: batch, now: NOW });
+  assert.deepStrictEqual(text(follow), ["33%", "badgeTitleFollow", ["33"]]);
+  // Export wins over the follow batch
+  assert.strictEqual(
+    B.globalBadge({ cfg: ON, exportState: running, batchState: batch, now: NOW }).titleKey,
+    "badgeTitleExportRunning"
+  );
+}
+
+function testStaleTasks() {
+  const old = new Date(NOW - B.STALE_TASK_MS - 1).toISOString();
+  const exportState = { status: "running", collected: 1, total: 2, updated_at: old };
+  assert.strictEqual(B.globalBadge({ cfg: ON, exportState, now: NOW }).text, "ON");
+  const batchState = { status: "running", done: 1, total: 2, updated_at: old };
+  assert.strictEqual(B.globalBadge({ cfg: ON, batchState, now: NOW }).text, "ON");
+}
+
+function testTabBadge() {
+  const ctx = { cfg: ON, now: NOW };
+  const stats = { patched: 12, broken: 0 };
+
+  const patched = B.tabBadge(ctx, { stats });
+  assert.deepStrictEqual(text(patched), ["12", "badgeTitleImages", ["12", "0"]]);
+  assert.deepStrictEqual(patched.color, B.COLORS.on);
+  const debugCtx = { cfg: { enabled: true, debug: true } };
+  assert.deepStrictEqual(B.tabBadge(debugCtx, { stats }).color, B.COLORS.debug);
+
+  const broken = B.tabBadge(ctx, { stats: { patched: 12, broken: 3 } });
+  assert.deepStrictEqual([broken.text, broken.color], ["3", B.COLORS.warning]);
+  assert.strictEqual(B.tabBadge(ctx, { stats: { patched: 5000, broken: 0 } }).text, "999+");
+
+  // Nothing on this tab => global badge
+  assert.strictEqual(B.tabBadge(ctx, { stats: { patched: 0, broken: 0 } }).text, "ON");
+  assert.strictEqual(B.tabBadge(ctx).text, "ON");
+
+  // Mirror suspect before counts, unless dismissed
+  assert.strictEqual(B.tabBadge(ctx, { suspect: {}, stats }).text, B.SUSPECT_TEXT);
+  assert.strictEqual(B.tabBadge(ctx, { suspect: { dismissed: true }, stats }).text, "12");
+
+  // Global task / OFF before counts, pause before everything
+  const exportCtx = { ...ctx, exportState: { status: "running", page: 1, pages: 2 } };
+  assert.strictEqual(B.tabBadge(exportCtx, { stats }).text, "50%");
+  assert.strictEqual(B.tabBadge({ cfg: { enabled: false } }, { stats }).text, "OFF");
+  const pausedTab = B.tabBadge(exportCtx, { paused: true, stats });
+  assert.deepStrictEqual([pausedTab.text, pausedTab.color], [B.PAUSED_TEXT, B.COLORS.warning]);
+}
+
+function run() {
+  testGlobalBadge();
+  testStaleTasks();
+  testTabBadge();
+  console.log("badge_state.test.js OK");
+}
+
+run();
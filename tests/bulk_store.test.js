@@ -0,0 +1,126 @@
+const assert = require("assert");
+const B = require("../bulk_store.js");
+
+// Minimal IndexedDB stand-in: async open / requests, transaction completes after its requests.
+function fakeIndexedDB() {
+  const stores = new Map();
+  const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+  const later = (fn) => setTimeout(fn, 0);
+  let opens = 0;
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction(name, mode) {
+      const map = stores.get(name);
+      const tx = {};
+      tx.objectStore = () => ({
+        get(key) {
+          const req = {};
+          later(() => {
+            req.result = clone(map.get(key));
+            if (req.onsuccess) req.onsuccess();
+          });
+          return req;
+        },
+        put(value, key) {
+          assert.strictEqual(mode, "readwrite");
+          map.set(key, clone(value));
+          return {};
+        },
+        delete(key) {
+          assert.strictEqual(mode, "readwrite");
+          map.delete(key);
+          return {};
+        },
+      });
+      later(() => later(() => tx.oncomplete && tx.oncomplete()));
+      return tx;
+    },
+  };
+
+  return {
+    stores,
+    get opens() {
+      return opens;
+    },
+    open() {
+      opens++;
+      const req = {};
+      later(() => {
+        req.result = db;
+        if (!stores.size && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+function fakeArea() {
+  const data = {};
+  return {
+    data,
+    set(items, cb) {
+      Object.assign(data, items);
+      cb();
+    },
+  };
+}
+
+async function testGetSetRemove() {
+  const idb = fakeIndexedDB();
+  const area = fakeArea();
+  const store = B.createBulkStore({ indexedDB: idb, storageArea: area });
+
+  assert.deepStrictEqual(await store.get(["mp_export_follows"]), { ok: true, error: "", data: {} });
+  const payload = { items: Array.from({ length: 1500 }, (_, i) => ({ id: `c${i}` })) };
+  assert.deepStrictEqual(await store.set({ mp_export_follows: payload, mp_export_partial: null }), {
+    ok: true,
+    error: "",
+  });
+  assert.deepStrictEqual(area.data[B.CHANGED_KEY].keys, ["mp_export_follows", "mp_export_partial"]);
+
+  const res = await store.get(["mp_export_follows", "mp_export_partial"]);
+  assert.ok(res.ok);
+  assert.deepStrictEqual(Object.keys(res.data), ["mp_export_follows"]);
+  assert.strictEqual(res.data.mp_export_follows.items.length, 1500);
+
+  assert.ok((await store.remove("mp_export_follows")).ok);
+  assert.deepStrictEqual((await store.get("mp_export_follows")).data, {});
+  // One connection reused across calls
+  assert.strictEqual(idb.opens, 1);
+  assert.ok(idb.stores.has(B.STORE_NAME));
+}
+
+async function testUnavailable() {
+  const store = B.createBulkStore({ indexedDB: null });
+  assert.deepStrictEqual(await store.get(["x"]), {
+    ok: false,
+    error: "indexeddb_unavailable",
+    data: {},
+  });
+  assert.strictEqual((await store.set({ x: 1 })).ok, false);
+  // No-op calls don't need the database
+  assert.deepStrictEqual(await store.set({}), { ok: true, error: "" });
+}
+
+function testChangedKeys() {
+  assert.deepStrictEqual(B.changedKeys({ [B.CHANGED_KEY]: { newValue: { keys: ["a"], at: 1 } } }), [
+    "a",
+  ]);
+  assert.deepStrictEqual(B.changedKeys({ other: { newValue: 1 } }), []);
+  assert.deepStrictEqual(B.changedKeys(null), []);
+}
+
+async function run() {
+  await testGetSetRemove();
+  await testUnavailable();
+  testChangedKeys();
+  console.log("bulk_store.test.js OK");
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+const assert = require("assert");
+const D = require("../dnr_rules.js");
+
+function testFixMode() {
+  assert.strictEqual(D.normalizeFixMode("NETWORK"), "network");
+  assert.strictEqual(D.normalizeFixMode("nope"), "dom");
+  assert.strictEqual(D.usesDomMode("dom"), true);
+  assert.strictEqual(D.usesDomMode("network"), false);
+  assert.strictEqual(D.usesDomMode("both"), true);
+  assert.strictEqual(D.usesNetworkMode("dom"), false);
+  assert.strictEqual(D.usesNetworkMode("both"), true);
+}
+
+function testBuildRedirectRules() {
+  const origins = ["https://mangapark.net", "http://read.mpark.org:8080"];
+  assert.deepStrictEqual(D.buildRedirectRules({ enabled: true, fixMode: "dom", origins }), []);
+  assert.deepStrictEqual(D.buildRedirectRules({ enabled: false, fixMode: "both", origins }), []);
+
+  const rules = D.buildRedirectRules({ enabled: true, fixMode: "network", origins });
+  assert.strictEqual(rules.length, 2);
+  assert.deepStrictEqual(
+    rules.map((r) => r.id),
+    [1000, 1001]
+  );
+  assert.ok(rules.every((r) => D.isRedirectRuleId(r.id)));
+  assert.strictEqual(rules[0].action.type, "redirect");
+  assert.strictEqual(rules[0].action.redirect.regexSubstitution, "https://mangapark.net\\1");
+  // Target = the page origin (scheme, subdomain, port), not https + apex
+  assert.strictEqual(rules[1].action.redirect.regexSubstitution, "http://read.mpark.org:8080\\1");
+  assert.deepStrictEqual(rules[1].condition.initiatorDomains, ["read.mpark.org"]);
+  assert.ok(rules[0].condition.resourceTypes.includes("image"));
+  assert.strictEqual(rules[0].condition.excludedInitiatorDomains, undefined);
+}
+
+function testOrigins() {
+  const origins = [
+    "https://mangapark.net/title/1",
+    "https://sub.mangapark.net",
+    "http://mangapark.net",
+    "chrome://extensions",
+    "not a url",
+  ];
+  const rules = D.buildRedirectRules({ enabled: true, fixMode: "both", origins });
+  // http(s) only, one rule per host (first origin wins)
+  assert.deepStrictEqual(
+    rules.map((r) => r.action.redirect.regexSubstitution),
+    ["https://mangapark.net\\1", "https://sub.mangapark.net\\1"]
+  );
+  // initiatorDomains also matches subdomains => the subdomain rule wins
+  assert.ok(rules[1].priority > rules[0].priority);
+  assert.ok(rules.every((r) => r.priority < D.buildTabPauseRules([1])[0].priority));
+}
+
+function testExcludedDomains() {
+  const opts = {
+    enabled: true,
+    fixMode: "network",
+    origins: ["https://mangapark.net", "https://mpark.org"],
+    excludedDomains: ["ads.mangapark.net", "mpark.org"],
+  };
+  const rules = D.buildRedirectRules(opts);
+  assert.strictEqual(rules.length, 1);
+  assert.deepStrictEqual(rules[0].condition.initiatorDomains, ["mangapark.net"]);
+  assert.deepStrictEqual(rules[0].condition.excludedInitiatorDomains, ["ads.mangapark.net"]);
+
+  const headerRules = D.buildHeaderRules({
+    ...opts,
+    rules: [{ id: "a", hostPattern: "^s01\\.", referer: "strip", enabled: true }],
+  });
+  assert.strictEqual(headerRules.length, 1);
+  assert.deepStrictEqual(headerRules[0].condition.excludedInitiatorDomains, ["ads.mangapark.net"]);
+}
+
+function testRedirectRegex() {
+  // DNR uses RE2; the pattern stays within the JS-compatible subset.
+  const re = new RegExp(D.MEDIA_REDIRECT_REGEX, "i");
+  const m = "https://s03.mpqsc.org/media/a/b.jpg?x=1".match(re);
+  assert.ok(m);
+  assert.strictEqual(m[1], "/media/a/b.jpg?x=1");
+  assert.ok(re.test("http://S10.host.net/media/x.png"));
+  assert.ok(!re.test("https://s11.host.net/media/x.png"));
+  assert.ok(!re.test("https://s01.host.net/static/x.png"));
+  assert.ok(!re.test("https://mangapark.net/media/x.png"));
+}
+
+function testHeaderRuleValidation() {
+  const rules = D.normalizeHeaderRules(null);
+  assert.strictEqual(rules.length, D.DEFAULT_HEADER_RULES.length);
+  assert.ok(rules.every((r) => !r.enabled && D.validateHeaderRule(r).ok));
+
+  assert.strictEqual(
+    D.validateHeaderRule({ hostPattern: "", referer: "strip" }).error,
+    "missing_host_pattern"
+  );
+  assert.strictEqual(
+    D.validateHeaderRule({ hostPattern: "(", referer: "strip" }).error,
+    "invalid_host_pattern"
+  );
+  assert.strictEqual(
+    D.validateHeaderRule({ hostPattern: "^s01\\.", referer: "nope" }).error,
+    "no_header_action"
+  );
+  assert.deepStrictEqual(
+    D.normalizeHeaderRules([{ id: "a", hostPattern: "x", referer: "STRIP" }]),
+    [{ id: "a", hostPattern: "x", referer: "strip", origin: "keep", enabled: false }]
+  );
+}
+
+function testHostPatternToRegexFilter() {
+  const anchored = new RegExp(D.hostPatternToRegexFilter("^s(?:0\\d|10)\\."), "i");
+  assert.ok(anchored.test("https://s03.mpqsc.org/media/a.jpg"));
+  assert.ok(!anchored.test("https://xs03.mpqsc.org/media/a.jpg"));
+
+  const suffix = new RegExp(D.hostPatternToRegexFilter("cdn\\.x\\.org$"), "i");
+  assert.ok(suffix.test("https://a.cdn.x.org/img.png"));
+  assert.ok(suffix.test("http://cdn.x.org:8080/img.png"));
+  assert.ok(!suffix.test("https://cdn.x.org.evil.net/img.png"));
+  assert.ok(!suffix.test("https://evil.net/cdn.x.org/"));
+}
+
+function testBuildHeaderRules() {
+  const origins = ["https://mangapark.net", "http://mpark.org"];
+  const rules = [
+    { id: "a", hostPattern: "^s(?:0\\d|10)\\.", referer: "mirror", origin: "strip", enabled: true },
+    { id: "b", hostPattern: "^cdn\\.", referer: "strip", origin: "keep", enabled: false },
+  ];
+  assert.deepStrictEqual(D.buildHeaderRules({ enabled: false, rules, origins }), []);
+
+  const out = D.buildHeaderRules({ enabled: true, rules, origins });
+  assert.deepStrictEqual(
+    out.map((r) => r.id),
+    [2000, 2001]
+  );
+  assert.ok(out.every((r) => D.isHeaderRuleId(r.id) && !D.isRedirectRuleId(r.id)));
+  assert.strictEqual(out[0].action.type, "modifyHeaders");
+  assert.deepStrictEqual(out[0].action.requestHeaders, [
+    { header: "referer", operation: "set", value: "https://mangapark.net/" },
+    { header: "origin", operation: "remove" },
+  ]);
+  assert.deepStrictEqual(out[1].condition.initiatorDomains, ["mpark.org"]);
+  assert.deepStrictEqual(out[1].action.requestHeaders[0].value, "http://mpark.org/");
+  assert.ok(out[1].condition.resourceTypes.includes("image"));
+}
+
+function testBuildTabPauseRules() {
+  assert.deepStrictEqual(D.buildTabPauseRules([]), []);
+  assert.deepStrictEqual(D.buildTabPauseRules(["x", -1]), []);
+  const [rule] = D.buildTabPauseRules([12, "7", 12]);
+  assert.strictEqual(rule.id, D.TAB_PAUSE_RULE_ID);
+  assert.strictEqual(rule.action.type, "allow");
+  assert.deepStrictEqual(rule.condition.tabIds, [12, 7]);
+  // Above redirect / header rules (priority 1)
+  assert.ok(rule.priority > 1);
+  assert.ok(!D.isRedirectRuleId(rule.id) && !D.isHeaderRuleId(rule.id));
+}
+
+function run() {
+  testFixMode();
+  testBuildRedirectRules();
+  testOrigins();
+  testExcludedDomains();
+  testRedirectRegex();
+  testHeaderRuleValidation();
+  testHostPatternToRegexFilter();
+  testBuildHeaderRules();
+  testBuildTabPauseRules();
+  console.log("dnr_rules.test.js OK");
+}
+
+run();
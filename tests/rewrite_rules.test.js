@@ -0,0 +1,290 @@
+const assert = require("assert");
+const R = require("../rewrite_rules.js");
+
+const PAGE = { href: "https://mangapark.net/title/1", protocol: "https:", host: "mangapark.net" };
+
+function testDefaultRule() {
+  const compiled = R.compileRules(R.DEFAULT_REWRITE_RULES);
+  assert.deepStrictEqual(R.rewriteUrl("https://s03.mpcdn.org/media/a/b.jpg?x=1", compiled, PAGE), {
+    url: "https://mangapark.net/media/a/b.jpg",
+    ruleId: "mp-media",
+  });
+  assert.strictEqual(R.rewriteUrl("https://s11.mpcdn.org/media/a.jpg", compiled, PAGE), null);
+  assert.strictEqual(R.rewriteUrl("https://s03.mpcdn.org/thumb/a.jpg", compiled, PAGE), null);
+  assert.strictEqual(R.rewriteUrl("https://mangapark.net/media/a.jpg", compiled, PAGE), null);
+  assert.strictEqual(R.rewriteUrl("data:image/png;base64,AAAA", compiled, PAGE), null);
+  assert.strictEqual(R.rewriteUrl("not a url", compiled, PAGE), null);
+}
+
+function testOrderAndEnabled() {
+  const rules = [
+    {
+      id: "off",
+      hostPattern: "^xfs-",
+      pathPattern: "",
+      destination: "https://off.example{path}",
+      enabled: false,
+    },
+    {
+      id: "xfs",
+      hostPattern: "^xfs-",
+      pathPattern: "^/img/",
+      destination: "{pageOrigin}/media{path}",
+      enabled: true,
+    },
+    {
+      id: "any",
+      hostPattern: ".*",
+      pathPattern: "^/img/",
+      destination: "https://never.example{path}",
+    },
+  ];
+  const compiled = R.compileRules(rules);
+  assert.strictEqual(compiled.length, 2);
+  assert.deepStrictEqual(R.rewriteUrl("//xfs-12.cdn.io/img/1.webp", compiled, PAGE), {
+    url: "https://mangapark.net/media/img/1.webp",
+    ruleId: "xfs",
+  });
+}
+
+function testValidateRule() {
+  assert.strictEqual(R.validateRule(R.DEFAULT_REWRITE_RULES[0]).ok, true);
+  assert.strictEqual(
+    R.validateRule({ hostPattern: "", destination: "{pageOrigin}{path}" }).error,
+    "missing_host_pattern"
+  );
+  assert.strictEqual(
+    R.validateRule({ hostPattern: "([", destination: "{pageOrigin}{path}" }).error,
+    "invalid_host_pattern"
+  );
+  assert.strictEqual(
+    R.validateRule({ hostPattern: "^s", pathPattern: "(", destination: "{pageOrigin}{path}" })
+      .error,
+    "invalid_path_pattern"
+  );
+  assert.strictEqual(R.validateRule({ hostPattern: "^s" }).error, "missing_destination");
+  assert.strictEqual(
+    R.validateRule({ hostPattern: "^s", destination: "{nope}{path}" }).error,
+    "invalid_destination"
+  );
+  assert.strictEqual(
+    R.validateRule({ hostPattern: "^s", destination: "{path}" }).error,
+    "invalid_destination"
+  );
+}
+
+function testNormalizeRules() {
+  assert.deepStrictEqual(R.normalizeRules(undefined), R.DEFAULT_REWRITE_RULES);
+  const out = R.normalizeRules([
+    null,
+    { id: "a", hostPattern: " ^s ", destination: "x" },
+    { id: "a" },
+  ]);
+  assert.strictEqual(out.length, 2);
+  assert.strictEqual(out[0].hostPattern, "^s");
+  assert.strictEqual(out[0].enabled, true);
+  assert.notStrictEqual(out[1].id, "a");
+}
+
+function testFallbackCandidates() {
+  const c = R.buildFallbackCandidates(
+    "https://s03.mpcdn.org/media/a.jpg",
+    "https://mangapark.net/media/a.jpg"
+  );
+  assert.strictEqual(c[0], "https://mangapark.net/media/a.jpg");
+  assert.strictEqual(c[c.length - 1], "https://s03.mpcdn.org/media/a.jpg");
+  assert.strictEqual(c.length, 1 + 10 + 1);
+  assert.ok(c.includes("https://s00.mpcdn.org/media/a.jpg"));
+  assert.ok(c.includes("https://s10.mpcdn.org/media/a.jpg"));
+  assert.strictEqual(c.filter((u) => u.includes("//s03.")).length, 1);
+
+  // Non-sNN origin: only rewritten + original
+  assert.deepStrictEqual(
+    R.buildFallbackCandidates("https://xfs-1.cdn.io/img/a", "https://m.net/img/a"),
+    ["https://m.net/img/a", "https://xfs-1.cdn.io/img/a"]
+  );
+}
+
+function testRankCandidates() {
+  const list = [
+    "https://m.net/a",
+    "https://s00.c.org/a",
+    "https://s01.c.org/a",
+    "https://s02.c.org/a",
+  ];
+  assert.deepStrictEqual(R.rankCandidates(list, {}), list);
+  assert.deepStrictEqual(R.rankCandidates(list, { "s01.c.org": 2, "m.net": -1, "s02.c.org": 9 }), [
+    "https://s01.c.org/a",
+    "https://s00.c.org/a",
+    "https://m.net/a",
+    "https://s02.c.org/a",
+  ]);
+
+  // Capped to the best hosts; skipped hosts are dropped, the original always stays last
+  const health = { "s01.c.org": 2, "m.net": -1 };
+  assert.deepStrictEqual(R.rankCandidates(list, health, { max: 1 }), [
+    "https://s01.c.org/a",
+    "https://s02.c.org/a",
+  ]);
+  assert.deepStrictEqual(R.rankCandidates(list, health, { max: 2, skipHosts: ["s01.c.org"] }), [
+    "https://s00.c.org/a",
+    "https://m.net/a",
+    "https://s02.c.org/a",
+  ]);
+  assert.deepStrictEqual(R.rankCandidates(list, {}, { skipHosts: ["m.net", "s00.c.org"] }), [
+    "https://s01.c.org/a",
+    "https://s02.c.org/a",
+  ]);
+  assert.deepStrictEqual(R.rankCandidates(list.slice(0, 2), {}, { skipHosts: ["m.net"] }), [
+    "https://s00.c.org/a",
+  ]);
+
+  const capped = R.rankCandidates(
+    R.buildFallbackCandidates("https://s03.c.org/media/a.jpg", "https://m.net/media/a.jpg"),
+    {},
+    { max: R.FALLBACK_MAX_HOSTS }
+  );
+  assert.strictEqual(capped.length, R.FALLBACK_MAX_HOSTS + 1);
+  assert.strictEqual(capped[0], "https://m.net/media/a.jpg");
+  assert.strictEqual(capped[capped.length - 1], "https://s03.c.org/media/a.jpg");
+}
+
+function testUpdateHostHealth() {
+  let h = {};
+  h = R.updateHostHealth(h, "a", true);
+  h = R.updateHostHealth(h, "b", false);
+  assert.deepStrictEqual(h, { a: 1, b: -2 });
+  for (let i = 0; i < 20; i += 1) h = R.updateHostHealth(h, "b", false);
+  assert.strictEqual(h.b, -10);
+  assert.deepStrictEqual(R.updateHostHealth(h, "", true), h);
+}
+
+function testProxyCandidates() {
+  assert.strictEqual(R.isMediaUrl("https://s03.c.org/media/a.jpg"), true);
+  assert.strictEqual(R.isMediaUrl("https://s03.c.org/static/a.jpg"), false);
+  assert.strictEqual(R.isMediaUrl("data:image/png;base64,AAAA"), false);
+  assert.strictEqual(R.isMediaUrl("/media/a.jpg"), false);
+
+  const c = R.buildFallbackCandidates("https://s03.c.org/media/a.jpg", "https://m.net/media/a.jpg");
+  const p = R.buildProxyCandidates(c, 3);
+  // sNN image servers only (the rewritten page-origin URL is left to the page)
+  assert.deepStrictEqual(p, [
+    "https://s03.c.org/media/a.jpg",
+    "https://s00.c.org/media/a.jpg",
+    "https://s01.c.org/media/a.jpg",
+  ]);
+  assert.deepStrictEqual(R.buildProxyCandidates(["https://m.net/img/a"], 3), []);
+  assert.deepStrictEqual(R.buildProxyCandidates(c, 0), []);
+  assert.deepStrictEqual(R.buildProxyCandidates(null, 3), []);
+
+  const rules = R.compileRules(R.DEFAULT_REWRITE_RULES);
+  assert.strictEqual(R.isProxyableUrl("https://s03.c.org/media/a.jpg", rules, PAGE), true);
+  assert.strictEqual(R.isProxyableUrl("https://s03.c.org/static/a.jpg", rules, PAGE), false);
+  assert.strictEqual(R.isProxyableUrl("https://evil.example/media/a.jpg", rules, PAGE), false);
+  assert.strictEqual(R.isProxyableUrl("http://s11.c.org/media/a.jpg", rules, PAGE), false);
+  // Not targeted by the page's rules => refused
+  assert.strictEqual(R.isProxyableUrl("https://s03.c.org/media/a.jpg", [], PAGE), false);
+}
+
+function srcsetUrls(value) {
+  return R.parseSrcset(value).map((c) => c.url);
+}
+
+function testSrcsetParseBasic() {
+  const out = R.parseSrcset("a.jpg 1x, b.jpg 2x");
+  assert.deepStrictEqual(
+    out.map((c) => [c.url, c.descriptors]),
+    [
+      ["a.jpg", ["1x"]],
+      ["b.jpg", ["2x"]],
+    ]
+  );
+  assert.deepStrictEqual(srcsetUrls("a.jpg"), ["a.jpg"]);
+  assert.deepStrictEqual(srcsetUrls(""), []);
+  assert.deepStrictEqual(srcsetUrls(" , ,"), []);
+  assert.deepStrictEqual(srcsetUrls("\n a.jpg\t1x ,\n b.jpg 2x\n"), ["a.jpg", "b.jpg"]);
+}
+
+function testSrcsetParseCommas() {
+  // Commas inside URLs do not split candidates
+  assert.deepStrictEqual(
+    srcsetUrls("https://cdn.x/i.jpg?w=800,h=1200 800w, https://cdn.x/i.jpg?w=1600,h=2400 1600w"),
+    ["https://cdn.x/i.jpg?w=800,h=1200", "https://cdn.x/i.jpg?w=1600,h=2400"]
+  );
+  assert.deepStrictEqual(srcsetUrls("data:image/png;base64,AAAA 1x, b.png 2x"), [
+    "data:image/png;base64,AAAA",
+    "b.png",
+  ]);
+  // Descriptor followed by a comma without space
+  assert.deepStrictEqual(srcsetUrls("a.jpg 1x,b.jpg 2x"), ["a.jpg", "b.jpg"]);
+  // No whitespace between URLs: a single URL per the spec
+  assert.deepStrictEqual(srcsetUrls("a.jpg,b.jpg"), ["a.jpg,b.jpg"]);
+  // Trailing commas end the URL
+  assert.deepStrictEqual(srcsetUrls("a.jpg, b.jpg,,"), ["a.jpg", "b.jpg"]);
+  // Commas inside parenthesized descriptors
+  assert.deepStrictEqual(
+    R.parseSrcset("a.jpg foo(1, 2) 1x, b.jpg").map((c) => c.descriptors),
+    [["foo(1, 2)", "1x"], []]
+  );
+}
+
+function testSrcsetOffsets() {
+  const value = "  a.jpg 1x ,\n  b.jpg 2x";
+  for (const c of R.parseSrcset(value)) {
+    assert.strictEqual(value.slice(c.start, c.end), c.url);
+  }
+}
+
+function testSrcsetSerialize() {
+  const value = "https://x/a.jpg?w=1,h=2 800w,b.jpg  2x";
+  assert.strictEqual(
+    R.serializeSrcset(R.parseSrcset(value)),
+    "https://x/a.jpg?w=1,h=2 800w, b.jpg 2x"
+  );
+  assert.strictEqual(R.serializeSrcset([{ url: "a.jpg" }, null, { url: "" }]), "a.jpg");
+  assert.strictEqual(R.serializeSrcset(null), "");
+}
+
+function testSrcsetRewrite() {
+  const value = "  a.jpg 1x ,\n  b.jpg?w=1,h=2 2x";
+  const res = R.rewriteSrcset(value, (u) => (u.startsWith("b.jpg") ? `B${u}` : null));
+  assert.deepStrictEqual(res, {
+    changed: true,
+    value: "  a.jpg 1x ,\n  Bb.jpg?w=1,h=2 2x",
+    replaced: 1,
+  });
+
+  const same = R.rewriteSrcset(value, () => null);
+  assert.strictEqual(same.changed, false);
+  assert.strictEqual(same.value, value);
+
+  // Replacements that would change tokenization are skipped
+  assert.strictEqual(R.rewriteSrcset("a.jpg 1x", () => "x y").changed, false);
+  assert.strictEqual(R.rewriteSrcset("a.jpg 1x", () => "x,").changed, false);
+
+  // Nested / unbalanced parentheses in descriptors: same split in both worlds
+  const nested = "a.jpg f(g(1, 2)) 1x, b.jpg 2x";
+  assert.strictEqual(
+    R.rewriteSrcset(nested, (u) => `Z${u}`).value,
+    "Za.jpg f(g(1, 2)) 1x, Zb.jpg 2x"
+  );
+}
+
+function run() {
+  testDefaultRule();
+  testOrderAndEnabled();
+  testValidateRule();
+  testNormalizeRules();
+  testFallbackCandidates();
+  testRankCandidates();
+  testUpdateHostHealth();
+  testProxyCandidates();
+  testSrcsetParseBasic();
+  testSrcsetParseCommas();
+  testSrcsetOffsets();
+  testSrcsetSerialize();
+  testSrcsetRewrite();
+  console.log("rewrite_rules.test.js OK");
+}
+
+run();
@@ -0,0 +1,179 @@
+const assert = require("assert");
+const S = require("../settings_schema.js");
+
+function testSplit() {
+  assert.deepStrictEqual(S.splitKeys(["enabled", "mp_export_follows", "md_match_state"]), {
+    bulk: ["mp_export_follows"],
+    local: ["md_match_state"],
+    shared: ["enabled"],
+  });
+  assert.deepStrictEqual(S.splitKeys("theme"), { bulk: [], local: [], shared: ["theme"] });
+  assert.deepStrictEqual(
+    S.splitItems({ debug: true, mp_export_cancel: false, md_match_results: null }),
+    {
+      bulk: { md_match_results: null },
+      local: { mp_export_cancel: false },
+      shared: { debug: true },
+    }
+  );
+  assert.ok(S.BULK_KEYS.every((k) => S.isLocalOnlyKey(k) && S.isBulkKey(k)));
+  assert.ok(S.isLocalOnlyKey(S.SCHEMA_VERSION_KEY));
+  assert.ok(!S.isLocalOnlyKey("mp_migrate_state"));
+}
+
+function testValidateConfigValue() {
+  assert.deepStrictEqual(S.validateConfigValue("enabled", false), { ok: true, value: false });
+  assert.deepStrictEqual(S.validateConfigValue("debug", "true"), { ok: true, value: true });
+  assert.strictEqual(S.validateConfigValue("debug", 1).ok, false);
+  assert.deepStrictEqual(S.validateConfigValue("theme", " Light "), { ok: true, value: "light" });
+  assert.strictEqual(S.validateConfigValue("uiLanguage", "de").ok, false);
+  assert.strictEqual(S.validateConfigValue("fixMode", null).ok, false);
+  assert.deepStrictEqual(S.validateConfigValue("whitelist", [" MPark.org", "mpark.org", 3, ""]), {
+    ok: true,
+    value: ["mpark.org"],
+  });
+  assert.deepStrictEqual(S.validateConfigValue("whitelist", "mangapark.*, mpark.org").value, [
+    "mangapark.*",
+    "mpark.org",
+  ]);
+  assert.strictEqual(S.validateConfigValue("whitelist", {}).ok, false);
+  assert.strictEqual(S.validateConfigValue("headerRules", null).ok, true);
+  assert.strictEqual(S.validateConfigValue("rewriteRules", "x").ok, false);
+  // Unknown keys are left alone
+  assert.deepStrictEqual(S.validateConfigValue("mp_migrate_state", 1), { ok: true, value: 1 });
+  assert.strictEqual(S.CONFIG_DEFAULTS.fixMode, "dom");
+}
+
+function testApplyConfigDefaults() {
+  assert.deepStrictEqual(S.applyConfigDefaults(undefined), S.CONFIG_DEFAULTS);
+  const cfg = S.applyConfigDefaults({
+    enabled: "false",
+    fixMode: "NETWORK",
+    theme: "blue",
+    whitelist: [" MPark.org "],
+    headerRules: [],
+    mirrorDetect: 1,
+    mp_export_state: {},
+  });
+  assert.deepStrictEqual(Object.keys(cfg), Object.keys(S.CONFIG_FIELDS));
+  assert.strictEqual(cfg.enabled, false);
+  assert.strictEqual(cfg.fixMode, "network");
+  assert.strictEqual(cfg.theme, "dark");
+  assert.deepStrictEqual(cfg.whitelist, ["mpark.org"]);
+  assert.deepStrictEqual(cfg.headerRules, []);
+  assert.strictEqual(cfg.mirrorDetect, false);
+  // Defaults are copies
+  S.applyConfigDefaults({}).whitelist.push("x.org");
+  assert.ok(!S.DEFAULT_WHITELIST.includes("x.org"));
+}
+
+function testUpgradeFromLegacy() {
+  const snapshot = {
+    sync: {
+      enabled: "false",
+      theme: "blue",
+      whitelist: ["MPark.org"],
+      mp_export_follows: { items: [1, 2] },
+      mp_export_state: { status: "done" },
+      mp_migrate_state: { index: 3 },
+    },
+    local: { mp_export_diagnostic: { x: 1 } },
+  };
+  const out = S.upgradeSettings(snapshot);
+  assert.strictEqual(out.from, 1);
+  assert.strictEqual(out.to, S.SCHEMA_VERSION);
+  assert.deepStrictEqual(out.sync, {
+    enabled: false,
+    whitelist: ["mpark.org"],
+    mp_migrate_state: { index: 3 },
+  });
+  assert.deepStrictEqual(out.local, {
+    mp_export_diagnostic: { x: 1 },
+    mp_export_state: { status: "done" },
+    [S.SCHEMA_VERSION_KEY]: S.SCHEMA_VERSION,
+  });
+  assert.deepStrictEqual(out.bulk, { mp_export_follows: { items: [1, 2] } });
+  assert.ok(out.changes.includes("[v2 local-only-data] sync.mp_export_follows: moved to local"));
+  assert.ok(
+    out.changes.includes("[v3 bulk-indexeddb] local.mp_export_follows: moved to IndexedDB")
+  );
+  assert.ok(out.changes.includes("sync.theme: invalid value removed"));
+  assert.ok(out.changes.includes("sync.enabled: normalized"));
+  // Input snapshot untouched
+  assert.ok("mp_export_follows" in snapshot.sync);
+}
+
+function testUpgradeLocalMode() {
+  const out = S.upgradeSettings({
+    sync: { mp_export_follows: "stale", mp_export_partial: "only-sync" },
+    local: { mp_config_storage_mode: "local", mp_export_follows: "fresh" },
+  });
+  assert.deepStrictEqual(out.bulk, { mp_export_follows: "fresh", mp_export_partial: "only-sync" });
+  assert.strictEqual(out.local.mp_export_follows, undefined);
+  assert.deepStrictEqual(out.sync, {});
+  assert.ok(
+    out.changes.some((c) => c.endsWith("sync.mp_export_follows: removed (local copy kept)"))
+  );
+}
+
+function testUpgradeFromV2() {
+  const out = S.upgradeSettings({
+    sync: { enabled: true },
+    local: {
+      [S.SCHEMA_VERSION_KEY]: 2,
+      md_match_results: { a: 1 },
+      mp_export_partial: null,
+      md_match_state: { i: 4 },
+    },
+  });
+  assert.strictEqual(out.from, 2);
+  assert.deepStrictEqual(out.bulk, { md_match_results: { a: 1 } });
+  assert.deepStrictEqual(out.local, { md_match_state: { i: 4 }, [S.SCHEMA_VERSION_KEY]: 3 });
+  assert.deepStrictEqual(out.changes, [
+    "[v3 bulk-indexeddb] local.mp_export_partial: removed (empty)",
+    "[v3 bulk-indexeddb] local.md_match_results: moved to IndexedDB",
+  ]);
+}
+
+function testUpgradeCurrentAndNewer() {
+  const current = S.upgradeSettings({
+    sync: { mp_export_follows: "x", debug: true },
+    local: { [S.SCHEMA_VERSION_KEY]: S.SCHEMA_VERSION },
+  });
+  // Migration already applied: only validation runs
+  assert.deepStrictEqual(current.changes, []);
+  assert.strictEqual(current.sync.mp_export_follows, "x");
+
+  const newer = S.upgradeSettings({
+    sync: { theme: "blue" },
+    local: { [S.SCHEMA_VERSION_KEY]: 99 },
+  });
+  assert.strictEqual(newer.to, 99);
+  assert.deepStrictEqual(newer.changes, []);
+  assert.strictEqual(newer.sync.theme, "blue");
+
+  assert.strictEqual(S.readSchemaVersion({}), 1);
+  assert.strictEqual(S.readSchemaVersion({ [S.SCHEMA_VERSION_KEY]: "oops" }), 1);
+}
+
+function testDiffArea() {
+  assert.deepStrictEqual(S.diffArea({ a: 1, b: [1], c: 3 }, { a: 1, b: [2], d: 4 }), {
+    set: { b: [2], d: 4 },
+    remove: ["c"],
+  });
+  assert.deepStrictEqual(S.diffArea(undefined, {}), { set: {}, remove: [] });
+}
+
+function run() {
+  testSplit();
+  testValidateConfigValue();
+  testApplyConfigDefaults();
+  testUpgradeFromLegacy();
+  testUpgradeLocalMode();
+  testUpgradeFromV2();
+  testUpgradeCurrentAndNewer();
+  testDiffArea();
+  console.log("settings_schema.test.js OK");
+}
+
+run();
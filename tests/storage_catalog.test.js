@@ -0,0 +1,118 @@
+const assert = require("assert");
+const C = require("../storage_catalog.js");
+const S = require("../settings_schema.js");
+
+function testCatalog() {
+  // Every routed key is listed once, in its storage area
+  assert.strictEqual(new Set(C.KNOWN_KEYS).size, C.KNOWN_KEYS.length);
+  for (const key of [...S.LOCAL_ONLY_KEYS, ...Object.keys(S.CONFIG_FIELDS)]) {
+    assert.ok(C.isKnownKey(key), key);
+  }
+  assert.strictEqual(C.homeAreaOf("md_match_results"), "bulk");
+  assert.strictEqual(C.homeAreaOf("md_auth_session"), "session");
+  assert.strictEqual(C.homeAreaOf("mp_export_state"), "local");
+  assert.strictEqual(C.homeAreaOf("whitelist"), "shared");
+  assert.strictEqual(C.categoryOf("md_follow_batch_queue"), "mdFollow");
+  assert.strictEqual(C.categoryOf("something_else"), C.OTHER_CATEGORY);
+}
+
+function testTouchKeys() {
+  const index = C.touchKeys({ enabled: 5, gone_key: 1 }, ["theme", C.TOUCHED_KEY, "x"], 10);
+  assert.deepStrictEqual(index, { enabled: 5, theme: 10 });
+  // Own writes / unknown keys only => nothing to record (no write loop)
+  assert.strictEqual(C.touchKeys({}, [C.TOUCHED_KEY, "x"], 10), null);
+  // Session keys are never indexed (tab counters change every few seconds)
+  assert.strictEqual(C.touchKeys({}, ["mp_fix_tab_stats", "md_auth_session"], 10), null);
+  assert.deepStrictEqual(C.touchKeys({ mp_fix_host_health: 3 }, ["theme"], 10), { theme: 10 });
+}
+
+function testTimestamps() {
+  const iso = "2026-03-01T10:00:00.000Z";
+  assert.strictEqual(C.valueTimestamp({ status: "done", updated_at: iso }), Date.parse(iso));
+  assert.strictEqual(C.valueTimestamp({ meta: { captured_at: iso }, items: [] }), Date.parse(iso));
+  assert.strictEqual(C.valueTimestamp({ 12: { ts: 100 }, 15: { ts: 300 } }), 300);
+  assert.strictEqual(C.valueTimestamp(["a"]), null);
+  assert.strictEqual(C.valueTimestamp(true), null);
+  assert.strictEqual(C.lastUpdated("theme", "dark", { theme: 42 }), 42);
+  assert.strictEqual(C.lastUpdated("mp_export_state", { updated_at: iso }, {}), Date.parse(iso));
+}
+
+function testSizes() {
+  assert.strictEqual(C.estimateBytes("k", "é"), 5); // k + quotes + "é" (2 bytes)
+  assert.strictEqual(C.estimateBytes("k", undefined), 0);
+  assert.strictEqual(C.formatBytes(512), "512 B");
+  assert.strictEqual(C.formatBytes(1536), "1.5 KB");
+  assert.strictEqual(C.formatBytes(3 * 1024 * 1024), "3.0 MB");
+}
+
+function testBuildDashboard() {
+  const dash = C.buildDashboard({
+    values: {
+      sync: { enabled: true, legacy_key: 1 },
+      local: {
+        enabled: true,
+        mp_export_state: { status: "running" },
+        md_follow_batch_state: { status: "done" },
+      },
+      bulk: { mp_export_follows: { items: [1, 2] } },
+      session: { md_auth_session: { accessToken: "t" } },
+    },
+    bytes: { sync: { enabled: 11 }, local: { enabled: 11, mp_export_state: 30 } },
+    touched: { enabled: 7 },
+  });
+
+  const settings = dash.categories.find((c) => c.id === "settings");
+  const enabledRows = settings.rows.filter((r) => r.key === "enabled");
+  assert.deepStrictEqual(
+    enabledRows.map((r) => [r.area, r.bytes, r.updatedAt]),
+    [
+      ["sync", 11, 7],
+      ["local", 11, 7],
+    ]
+  );
+  const theme = settings.rows.find((r) => r.key === "theme");
+  assert.deepStrictEqual([theme.area, theme.stored, theme.bytes], ["sync", false, 0]);
+
+  const exp = dash.categories.find((c) => c.id === "export");
+  assert.ok(exp.busy);
+  assert.ok(exp.rows.find((r) => r.key === "mp_export_follows" && r.area === "bulk").bytes > 0);
+  assert.ok(!dash.categories.find((c) => c.id === "mdFollow").busy);
+  assert.ok(dash.categories.find((c) => c.id === "internal").protected);
+
+  const other = dash.categories.find((c) => c.id === C.OTHER_CATEGORY);
+  assert.deepStrictEqual(
+    other.rows.map((r) => [r.key, r.area]),
+    [["legacy_key", "sync"]]
+  );
+  // Missing getBytesInUse figure => JSON estimate
+  const batchBytes = C.estimateBytes("md_follow_batch_state", { status: "done" });
+  assert.strictEqual(dash.totals.local, 11 + 30 + batchBytes);
+  assert.ok(dash.totals.session > 0);
+  return dash;
+}
+
+function testDeletionPlan(dash) {
+  assert.deepStrictEqual(C.deletionPlan("export", dash), { ok: false, error: "busy" });
+  assert.deepStrictEqual(C.deletionPlan("internal", dash), { ok: false, error: "protected" });
+  assert.deepStrictEqual(C.deletionPlan("nope", dash), { ok: false, error: "unknown_category" });
+
+  const settings = C.deletionPlan("settings", dash);
+  assert.deepStrictEqual(settings.keys, ["enabled"]);
+  assert.deepStrictEqual(settings.session, []);
+
+  const account = C.deletionPlan("mdAccount", dash);
+  assert.deepStrictEqual([account.keys, account.session], [[], ["md_auth_session"]]);
+
+  assert.deepStrictEqual(C.deletionPlan(C.OTHER_CATEGORY, dash).other, { sync: ["legacy_key"] });
+}
+
+function run() {
+  testCatalog();
+  testTouchKeys();
+  testTimestamps();
+  testSizes();
+  testDeletionPlan(testBuildDashboard());
+  console.log("storage_catalog.test.js OK");
+}
+
+run();
@@ -0,0 +1,99 @@
+const assert = require("assert");
+const UI = require("../ui_i18n.js");
+
+const LOCALES = {
+  fr: { hello: { message: "Bonjour $1" }, only_fr: { message: "oui" }, broken: 3 },
+  en: { hello: { message: "Hello $1" } },
+};
+
+function makeI18n(fetched) {
+  return UI.createI18n({
+    fetchLocale: async (locale) => {
+      fetched.push(locale);
+      if (locale === "xx") throw new Error("network");
+      return LOCALES[locale] || null;
+    },
+    getMessage: (key, subs) => (key === "hello" ? `chrome:${subs[0]}` : ""),
+  });
+}
+
+async function testLanguages() {
+  const fetched = [];
+  const i18n = makeI18n(fetched);
+
+  // "auto" => chrome.i18n, no fetch
+  assert.strictEqual(await i18n.setLanguage("auto"), null);
+  assert.strictEqual(i18n.t("hello", ["A"]), "chrome:A");
+  assert.deepStrictEqual(fetched, []);
+
+  await i18n.setLanguage("FR");
+  assert.strictEqual(i18n.t("hello", ["A"]), "Bonjour A");
+  assert.strictEqual(i18n.t("only_fr"), "oui");
+  assert.strictEqual(i18n.t("broken"), "");
+  assert.strictEqual(i18n.t("missing"), "");
+
+  // Unknown / failing locale falls back to en
+  await i18n.setLanguage("xx");
+  assert.strictEqual(i18n.t("hello", ["B"]), "Hello B");
+  assert.deepStrictEqual(fetched, ["fr", "xx", "en"]);
+  assert.deepStrictEqual(UI.UI_LANGUAGES, ["auto", "en", "fr"]);
+}
+
+function fakeElement(attrs) {
+  return {
+    attrs: { ...attrs },
+    textContent: "",
+    getAttribute(name) {
+      return this.attrs[name];
+    },
+    setAttribute(name, value) {
+      this.attrs[name] = value;
+    },
+  };
+}
+
+async function testApplyToDom() {
+  const i18n = makeI18n([]);
+  await i18n.setLanguage("fr");
+  const text = fakeElement({ "data-i18n": "only_fr" });
+  const title = fakeElement({ "data-i18n-title": "hello" });
+  const untouched = fakeElement({ "data-i18n": "missing" });
+  untouched.textContent = "Fallback";
+  const rootNode = {
+    querySelectorAll(selector) {
+      const attr = selector.slice(1, -1);
+      return [text, title, untouched].filter((el) => attr in el.attrs);
+    },
+  };
+  i18n.applyToDom(rootNode);
+  assert.strictEqual(text.textContent, "oui");
+  assert.strictEqual(title.attrs.title, "Bonjour $1");
+  assert.strictEqual(untouched.textContent, "Fallback");
+}
+
+function testApplyTheme() {
+  const classes = { html: new Set(), root: new Set() };
+  const classList = (set) => ({ toggle: (name, on) => (on ? set.add(name) : set.delete(name)) });
+  const doc = {
+    documentElement: { classList: classList(classes.html) },
+    getElementById: (id) => (id === "root" ? { classList: classList(classes.root) } : null),
+  };
+  UI.applyTheme("dark", doc);
+  assert.ok(classes.html.has("dark") && classes.root.has("dark"));
+  UI.applyTheme("light", doc);
+  assert.ok(!classes.html.has("dark") && !classes.root.has("dark"));
+  // No document: no throw
+  UI.applyTheme("dark", null);
+}
+
+async function run() {
+  await testLanguages();
+  await testApplyToDom();
+  testApplyTheme();
+  console.log("ui_i18n.test.js OK");
+}
+
+run().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+const assert = require("assert");
+const W = require("../whitelist.js");
+
+function testExpandEntry() {
+  assert.deepStrictEqual(W.expandEntryToDomains("mangapark.*"), [
+    "mangapark.com",
+    "mangapark.org",
+    "mangapark.net",
+    "mangapark.me",
+  ]);
+  assert.deepStrictEqual(W.expandEntryToDomains(" MangaPark.org "), ["mangapark.org"]);
+  assert.deepStrictEqual(W.expandEntryToDomains(""), []);
+  assert.deepStrictEqual(W.expandEntryToDomains("localhost"), []);
+  assert.deepStrictEqual(W.expandEntryToDomains("*.*"), []);
+  // Subdomains only: no apex
+  assert.deepStrictEqual(W.expandEntryToDomains("*.example.org"), []);
+  assert.deepStrictEqual(W.expandEntryToDomains("https://mangapark.net"), []);
+}
+
+function testValidateEntry() {
+  for (const ok of [
+    "mangapark.*",
+    "mangapark.org",
+    "*.example.org",
+    "mangapark.net/title/*",
+    "!ads.mangapark.net",
+    "! mpark.*/my/*",
+  ]) {
+    assert.deepStrictEqual(W.validateWhitelistEntry(ok), { ok: true, error: "" }, ok);
+  }
+  const cases = [
+    ["", "empty"],
+    ["!", "empty"],
+    ["https://mangapark.net", "scheme"],
+    ["manga park.net", "whitespace"],
+    ["mangapark.net:8080", "invalid_chars"],
+    ["user@mangapark.net", "invalid_chars"],
+    ["*.*", "invalid_wildcard"],
+    ["manga*.net", "invalid_wildcard"],
+    ["localhost", "invalid_domain"],
+    ["mangapark..net", "invalid_domain"],
+    ["mangapark.net/title?x=1", "invalid_path"],
+  ];
+  for (const [entry, error] of cases) {
+    assert.strictEqual(W.validateWhitelistEntry(entry).error, error, entry);
+  }
+  assert.deepStrictEqual(W.parseWhitelistEntry("!*.Example.org/A/*").rule, {
+    exclude: true,
+    kind: "subdomains",
+    base: "example.org",
+    path: "/a/*",
+  });
+}
+
+function testIsHostAllowed() {
+  const list = ["mangapark.*", "mangapark.org", "*.example.org"];
+  assert.ok(W.isHostAllowed("mangapark.io", list));
+  assert.ok(W.isHostAllowed("www.mangapark.org", list));
+  assert.ok(W.isHostAllowed("a.example.org", list));
+  assert.ok(!W.isHostAllowed("example.org", list));
+  assert.ok(!W.isHostAllowed("notmangapark.io", list));
+  assert.ok(!W.isHostAllowed("", list));
+  assert.ok(!W.isHostAllowed("mangapark.net", null));
+
+  // Exclusions win, whatever their position
+  assert.ok(!W.isHostAllowed("ads.mangapark.net", ["!ads.mangapark.net", "mangapark.*"]));
+  assert.ok(W.isHostAllowed("mangapark.net", ["mangapark.*", "!ads.mangapark.net"]));
+  // Host-only: path scopes don't exclude the host, scoped entries allow it
+  assert.ok(W.isHostAllowed("mangapark.net", ["mangapark.net", "!mangapark.net/account/*"]));
+  assert.ok(W.isHostAllowed("mpark.org", ["mpark.org/title/*"]));
+}
+
+function testIsHostWideAllowed() {
+  assert.ok(W.isHostWideAllowed("mangapark.net", ["mangapark.*"]));
+  assert.ok(W.isHostWideAllowed("mpark.org", ["mpark.org/title/*", "mpark.org"]));
+  assert.ok(!W.isHostWideAllowed("a.example.org", ["example.org/title/*"]));
+  assert.ok(!W.isHostWideAllowed("mpark.org", ["mpark.org/title/*"]));
+  // Any exclusion on the host, path-scoped or not
+  assert.ok(!W.isHostWideAllowed("mangapark.net", ["mangapark.*", "!mangapark.net/account/*"]));
+  assert.ok(!W.isHostWideAllowed("ads.mangapark.net", ["mangapark.*", "!ads.mangapark.net"]));
+  assert.ok(W.isHostWideAllowed("mangapark.io", ["mangapark.*", "!mangapark.net/account/*"]));
+  assert.ok(!W.isHostWideAllowed("", ["mangapark.*"]));
+  assert.ok(!W.isHostWideAllowed("mangapark.net", null));
+}
+
+function testIsUrlAllowed() {
+  const list = ["mangapark.*", "!mangapark.*/account/*", "mpark.org/title/*", "!ads.mangapark.net"];
+  assert.ok(W.isUrlAllowed("https://mangapark.net/title/123/c1", list));
+  assert.ok(!W.isUrlAllowed("https://mangapark.net/account/settings", list));
+  assert.ok(!W.isUrlAllowed("https://ads.mangapark.net/x", list));
+  assert.ok(W.isUrlAllowed("https://mpark.org/Title/1", list));
+  assert.ok(!W.isUrlAllowed("https://mpark.org/", list));
+  assert.ok(W.isUrlAllowed({ hostname: "mangapark.com", pathname: "/" }, list));
+  assert.ok(!W.isUrlAllowed("not a url", list));
+}
+
+function testExpandWhitelist() {
+  assert.deepStrictEqual(W.expandWhitelistToDomains(["mpark.org", "mpark.*"]), [
+    "mpark.org",
+    "mpark.com",
+    "mpark.net",
+    "mpark.me",
+  ]);
+  assert.deepStrictEqual(W.expandWhitelistToDomains(null), []);
+  assert.deepStrictEqual(
+    W.expandWhitelistToDomains(["*.example.org", "mpark.org/title/*", "!ads.mpark.org"]),
+    ["mpark.org"]
+  );
+  assert.deepStrictEqual(
+    W.expandExclusionsToDomains(["mangapark.*", "!ads.mangapark.net", "!mpark.org/my/*", "!x.*"]),
+    ["ads.mangapark.net", "x.com", "x.org", "x.net", "x.me"]
+  );
+}
+
+function testMatchPatterns() {
+  assert.deepStrictEqual(W.entryToMatchPatterns("mpark.org"), [
+    "*://mpark.org/*",
+    "*://*.mpark.org/*",
+  ]);
+  assert.strictEqual(W.entryToMatchPatterns("mpark.*").length, 8);
+  assert.deepStrictEqual(W.entryToMatchPatterns("bad entry"), []);
+  assert.deepStrictEqual(W.entryToMatchPatterns("*.example.org"), ["*://*.example.org/*"]);
+  assert.deepStrictEqual(W.entryToMatchPatterns("!mpark.org"), []);
+  assert.deepStrictEqual(W.whitelistToMatchPatterns(["mpark.org", "MPARK.org"]), [
+    "*://mpark.org/*",
+    "*://*.mpark.org/*",
+  ]);
+}
+
+function testExtraMatchPatterns() {
+  const manifest = W.whitelistToMatchPatterns(["mangapark.*"]);
+  assert.deepStrictEqual(W.extraMatchPatterns(["mangapark.*", "mangapark.org"], manifest), []);
+  assert.deepStrictEqual(W.extraMatchPatterns(["mangapark.*", "newpark.to"], manifest), [
+    "*://newpark.to/*",
+    "*://*.newpark.to/*",
+  ]);
+  assert.strictEqual(W.extraMatchPatterns(["mpark.*"], null).length, 8);
+}
+
+function testFilterGrantedPatterns() {
+  const patterns = ["*://newpark.to/*", "*://*.newpark.to/*", "*://other.io/*"];
+  assert.deepStrictEqual(
+    W.filterGrantedPatterns(patterns, ["*://newpark.to/*", "*://*.newpark.to/*"]),
+    ["*://newpark.to/*", "*://*.newpark.to/*"]
+  );
+  assert.deepStrictEqual(W.filterGrantedPatterns(patterns, ["*://*/*"]), patterns);
+  assert.deepStrictEqual(W.filterGrantedPatterns(patterns, undefined), []);
+}
+
+function testSuggestEntryForHost() {
+  assert.strictEqual(W.suggestEntryForHost("www.MangaPark.io"), "mangapark.io");
+  assert.strictEqual(W.suggestEntryForHost("read.mpark.to"), "read.mpark.to");
+  assert.strictEqual(W.suggestEntryForHost("localhost"), "");
+  assert.strictEqual(W.suggestEntryForHost(""), "");
+}
+
+function run() {
+  testExpandEntry();
+  testValidateEntry();
+  testIsHostAllowed();
+  testIsHostWideAllowed();
+  testIsUrlAllowed();
+  testExpandWhitelist();
+  testMatchPatterns();
+  testExtraMatchPatterns();
+  testFilterGrantedPatterns();
+  testSuggestEntryForHost();
+  console.log("whitelist.test.js OK");
+}
+
+run();
@@ -0,0 +1,134 @@
+/* global chrome */
+
+/**
+ * ui_i18n.js
+ *
+ * Couche i18n + thème partagée par les pages de l'extension (popup, migrate.html, options.html) :
+ * - chrome.i18n suit la langue du navigateur et ne peut pas être forcé à l'exécution ; pour le
+ *   sélecteur de langue (uiLanguage), on charge `_locales/<lang>/messages.json` comme dictionnaire
+ * - t(key, subs) : dictionnaire manuel prioritaire, sinon chrome.i18n ("auto")
+ * - applyToDom() : data-i18n, data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+ * - applyTheme() : classe `.dark` (Figma Make) sur <html> et sur #root
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_UI_I18N = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const LOCALES_BASE_PATH = "_locales";
+  const UI_LANGUAGES = ["auto", "en", "fr"];
+
+  // Attribute => what it localizes (null = text content)
+  const DOM_BINDINGS = [
+    ["data-i18n", null],
+    ["data-i18n-placeholder", "placeholder"],
+    ["data-i18n-title", "title"],
+    ["data-i18n-aria-label", "aria-label"],
+  ];
+
+  async function fetchLocaleJson(locale) {
+    const url = chrome.runtime.getURL(`${LOCALES_BASE_PATH}/${locale}/messages.json`);
+    const res = await fetch(url, { cache: "no-store" });
+    return res.ok ? res.json() : null;
+  }
+
+  function chromeGetMessage(key, subs) {
+    return chrome.i18n.getMessage(key, subs);
+  }
+
+  /**
+   * @param {{ fetchLocale?: (locale: string) => Promise<object|null>,
+   *  getMessage?: (key: string, subs: string[]) => string }} [deps] defaults: extension files
+   *  and chrome.i18n
+   */
+  function createI18n({ fetchLocale = fetchLocaleJson, getMessage = chromeGetMessage } = {}) {
+    /** @type {Object<string, string>|null} */
+    let dict = null;
+
+    /**
+     * @param {string} lang "auto" => null (chrome.i18n); unknown locale => "en"
+     * @returns {Promise<Object<string, string>|null>}
+     */
+    async function loadLocaleDict(lang) {
+      const locale = String(lang || "").toLowerCase();
+      if (!locale || locale === "auto") return null;
+      for (const cand of [locale, "en"]) {
+        try {
+          const json = await fetchLocale(cand);
+          if (!json) continue;
+          const out = {};
+          for (const [k, v] of Object.entries(json)) {
+            if (v && typeof v.message === "string") out[k] = v.message;
+          }
+          return out;
+        } catch {
+          // try next candidate
+        }
+      }
+      return null;
+    }
+
+    async function setLanguage(lang) {
+      dict = await loadLocaleDict(lang);
+      return dict;
+    }
+
+    function t(key, substitutions) {
+      const k = String(key || "");
+      const subs = Array.isArray(substitutions) ? substitutions : [];
+
+      if (dict && typeof dict[k] === "string") {
+        let s = dict[k];
+        // Chrome-style substitutions $1..$9
+        for (let i = 0; i < subs.length && i < 9; i += 1) {
+          const idx = i + 1;
+          s = s.replaceAll(`$${idx}`, String(subs[i]));
+          s = s.replaceAll(`$${idx}$`, String(subs[i]));
+        }
+        return s;
+      }
+
+      try {
+        return getMessage(k, subs) || "";
+      } catch {
+        return "";
+      }
+    }
+
+    /** @param {ParentNode} rootNode document or a subtree */
+    function applyToDom(rootNode) {
+      for (const [attr, target] of DOM_BINDINGS) {
+        rootNode.querySelectorAll(`[${attr}]`).forEach((el) => {
+          const value = t(el.getAttribute(attr));
+          if (!value) return;
+          if (target) el.setAttribute(target, value);
+          else el.textContent = value;
+        });
+      }
+    }
+
+    return { loadLocaleDict, setLanguage, t, applyToDom };
+  }
+
+  /**
+   * @param {string} theme "dark" | "light"
+   * @param {Document} [doc]
+   */
+  function applyTheme(theme, doc = typeof document !== "undefined" ? document : null) {
+    try {
+      const dark = String(theme || "dark").toLowerCase() === "dark";
+      doc.documentElement.classList.toggle("dark", dark);
+      const rootEl = doc.getElementById("root");
+      if (rootEl) rootEl.classList.toggle("dark", dark);
+    } catch {
+      // no-op
+    }
+  }
+
+  return { UI_LANGUAGES, createI18n, applyTheme };
+});
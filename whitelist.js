@@ -0,0 +1,313 @@
+/**
+ * whitelist.js
+ *
+ * Helpers purs autour des entrées "allowed sites" (matcher unique, tous contextes) :
+ * - "mangapark.*"           => wildcard TLD (étendu aux TLD connus pour DNR / match patterns)
+ * - "mangapark.org"         => domaine explicite (sous-domaines inclus)
+ * - "*.example.org"         => sous-domaines uniquement
+ * - "mangapark.net/title/*" => portée limitée à un chemin (glob, "*" = n'importe quoi)
+ * - "!ads.mangapark.net"    => exclusion (toutes les formes ci-dessus), prioritaire
+ *
+ * Utilisé par content.js / injected_patch.js (page autorisée ?), le service worker (onglets
+ * couverts par les règles declarativeNetRequest, match patterns des scripts enregistrés
+ * dynamiquement) et le popup
+ * (permission optionnelle des domaines ajoutés, entrée proposée pour un miroir détecté).
+ *
+ * Compatible navigateur + Node (CommonJS) pour tests simples.
+ */
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MP_WHITELIST = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // TLD couverts par manifest.json (host_permissions / content_scripts.matches)
+  const KNOWN_TLDS = ["com", "org", "net", "me"];
+
+  const DOMAIN_REGEX = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+  const WILDCARD_BASE_REGEX = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+  const HOST_CHARS_REGEX = /^[a-z0-9.*-]+$/;
+  // Chemin : caractères d'URL usuels, sans query ni fragment
+  const PATH_REGEX = /^\/[a-z0-9._~!$&'()*+,;=:@%/-]*$/;
+
+  function normalizeEntry(raw) {
+    return String(raw || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function fail(error) {
+    return { ok: false, error, rule: null };
+  }
+
+  /**
+   * Parse a whitelist entry.
+   * @param {string} raw
+   * @returns {{ ok: boolean, error: string, rule: null | {
+   *   exclude: boolean, kind: "tld"|"domain"|"subdomains", base: string, path: string } }}
+   *  error codes: empty | scheme | whitespace | invalid_chars | invalid_wildcard |
+   *  invalid_domain | invalid_path
+   */
+  function parseWhitelistEntry(raw) {
+    let e = normalizeEntry(raw);
+    let exclude = false;
+    if (e.startsWith("!")) {
+      exclude = true;
+      e = e.slice(1).trim();
+    }
+    if (!e) return fail("empty");
+    if (e.includes("://")) return fail("scheme");
+    if (/\s/.test(e)) return fail("whitespace");
+
+    const slash = e.indexOf("/");
+    const host = slash === -1 ? e : e.slice(0, slash);
+    const path = slash === -1 ? "" : e.slice(slash);
+    if (!HOST_CHARS_REGEX.test(host)) return fail("invalid_chars");
+    if (path && !PATH_REGEX.test(path)) return fail("invalid_path");
+
+    let kind = "domain";
+    let base = host;
+    if (host.startsWith("*.")) {
+      kind = "subdomains";
+      base = host.slice(2);
+    } else if (host.endsWith(".*")) {
+      kind = "tld";
+      base = host.slice(0, -2);
+    }
+    if (base.includes("*")) return fail("invalid_wildcard");
+    const baseOk = kind === "tld" ? WILDCARD_BASE_REGEX.test(base) : DOMAIN_REGEX.test(base);
+    if (!baseOk) return fail("invalid_domain");
+
+    return { ok: true, error: "", rule: { exclude, kind, base, path } };
+  }
+
+  /**
+   * @param {string} raw
+   * @returns {{ ok: boolean, error: string }} see parseWhitelistEntry() for error codes
+   */
+  function validateWhitelistEntry(raw) {
+    const { ok, error } = parseWhitelistEntry(raw);
+    return { ok, error };
+  }
+
+  function hostMatchesRule(rule, host) {
+    if (rule.kind === "tld") {
+      return new RegExp(`(^|\\.)${escapeRegExp(rule.base)}\\.[^.]+$`).test(host);
+    }
+    if (rule.kind === "subdomains") return host.endsWith(`.${rule.base}`);
+    return host === rule.base || host.endsWith(`.${rule.base}`);
+  }
+
+  function pathMatchesRule(rule, pathname) {
+    const re = new RegExp(`^${rule.path.split("*").map(escapeRegExp).join(".*")}$`);
+    return re.test(String(pathname || "/").toLowerCase());
+  }
+
+  /**
+   * Is a page allowed? Exclusions win over any matching entry.
+   * Host-only checks (pathname null) ignore path scopes: a scoped entry allows its host,
+   * a scoped exclusion doesn't exclude it.
+   * @param {string} hostname
+   * @param {string|null} pathname
+   * @param {string[]} whitelist
+   */
+  function matchWhitelist(hostname, pathname, whitelist) {
+    const host = normalizeEntry(hostname);
+    if (!host) return false;
+
+    let included = false;
+    for (const entry of Array.isArray(whitelist) ? whitelist : []) {
+      const { rule } = parseWhitelistEntry(entry);
+      if (!rule || !hostMatchesRule(rule, host)) continue;
+      if (rule.path) {
+        if (pathname == null) {
+          if (rule.exclude) continue;
+        } else if (!pathMatchesRule(rule, pathname)) {
+          continue;
+        }
+      }
+      if (rule.exclude) return false;
+      included = true;
+    }
+    return included;
+  }
+
+  /**
+   * @param {string} hostname
+   * @param {string[]} whitelist
+   */
+  function isHostAllowed(hostname, whitelist) {
+    return matchWhitelist(hostname, null, whitelist);
+  }
+
+  /**
+   * Is every page of the host allowed? For host-keyed consumers (network rules): path-scoped
+   * entries don't count, and any exclusion on the host (even path-scoped) is enough to say no.
+   * @param {string} hostname
+   * @param {string[]} whitelist
+   */
+  function isHostWideAllowed(hostname, whitelist) {
+    const host = normalizeEntry(hostname);
+    if (!host) return false;
+
+    let included = false;
+    for (const entry of Array.isArray(whitelist) ? whitelist : []) {
+      const { rule } = parseWhitelistEntry(entry);
+      if (!rule || !hostMatchesRule(rule, host)) continue;
+      if (rule.exclude) return false;
+      if (!rule.path) included = true;
+    }
+    return included;
+  }
+
+  /**
+   * @param {string|{ hostname: string, pathname: string }} url URL string or Location
+   * @param {string[]} whitelist
+   */
+  function isUrlAllowed(url, whitelist) {
+    try {
+      const u = typeof url === "string" ? new URL(url) : url;
+      if (!u) return false;
+      return matchWhitelist(u.hostname, u.pathname || "/", whitelist);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Expand a whitelist entry to concrete domains (path scope dropped, exclusions => []).
+   * "*.example.org" has none: example.org itself isn't allowed.
+   * @param {string} entry
+   * @returns {string[]} [] if the entry can't be expanded
+   */
+  function expandEntryToDomains(entry) {
+    const { rule } = parseWhitelistEntry(entry);
+    if (!rule || rule.exclude || rule.kind === "subdomains") return [];
+    if (rule.kind === "tld") return KNOWN_TLDS.map((tld) => `${rule.base}.${tld}`);
+    return [rule.base];
+  }
+
+  /**
+   * Domains of host-wide exclusions ("!ads.mangapark.net"; path-scoped ones are left to the page).
+   * @param {string[]} whitelist
+   * @returns {string[]}
+   */
+  function expandExclusionsToDomains(whitelist) {
+    const out = [];
+    for (const entry of Array.isArray(whitelist) ? whitelist : []) {
+      const { rule } = parseWhitelistEntry(entry);
+      if (!rule || !rule.exclude || rule.path) continue;
+      const domains =
+        rule.kind === "tld" ? KNOWN_TLDS.map((tld) => `${rule.base}.${tld}`) : [rule.base];
+      for (const d of domains) {
+        if (!out.includes(d)) out.push(d);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * @param {string[]} whitelist
+   * @returns {string[]} deduped domains, in whitelist order
+   */
+  function expandWhitelistToDomains(whitelist) {
+    const out = [];
+    for (const entry of Array.isArray(whitelist) ? whitelist : []) {
+      for (const d of expandEntryToDomains(entry)) {
+        if (!out.includes(d)) out.push(d);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Match patterns (scripting / permissions) for a whitelist entry, subdomains included.
+   * "*.example.org" => "*://*.example.org/*" only (the pattern still matches the apex: the
+   * scripts check the whitelist themselves).
+   * @param {string} entry
+   * @returns {string[]}
+   */
+  function entryToMatchPatterns(entry) {
+    const { rule } = parseWhitelistEntry(entry);
+    if (rule && !rule.exclude && rule.kind === "subdomains") return [`*://*.${rule.base}/*`];
+    const out = [];
+    for (const d of expandEntryToDomains(entry)) {
+      out.push(`*://${d}/*`, `*://*.${d}/*`);
+    }
+    return out;
+  }
+
+  /**
+   * @param {string[]} whitelist
+   * @returns {string[]} deduped match patterns
+   */
+  function whitelistToMatchPatterns(whitelist) {
+    const out = [];
+    for (const entry of Array.isArray(whitelist) ? whitelist : []) {
+      for (const p of entryToMatchPatterns(entry)) {
+        if (!out.includes(p)) out.push(p);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Match patterns of the whitelist not already covered by the manifest content_scripts
+   * (user-added domains => dynamic registration + optional host permission).
+   * @param {string[]} whitelist
+   * @param {string[]} staticMatches manifest content_scripts[].matches
+   * @returns {string[]}
+   */
+  function extraMatchPatterns(whitelist, staticMatches) {
+    const known = new Set(Array.isArray(staticMatches) ? staticMatches : []);
+    return whitelistToMatchPatterns(whitelist).filter((p) => !known.has(p));
+  }
+
+  /**
+   * Keep patterns covered by granted host permissions (exact pattern or all hosts).
+   * @param {string[]} patterns
+   * @param {string[]} grantedOrigins chrome.permissions.getAll().origins
+   * @returns {string[]}
+   */
+  function filterGrantedPatterns(patterns, grantedOrigins) {
+    const granted = new Set(Array.isArray(grantedOrigins) ? grantedOrigins : []);
+    if (granted.has("*://*/*") || granted.has("<all_urls>")) {
+      return Array.isArray(patterns) ? patterns.slice() : [];
+    }
+    return (Array.isArray(patterns) ? patterns : []).filter((p) => granted.has(p));
+  }
+
+  /**
+   * Whitelist entry suggested for a detected mirror host ("www." dropped).
+   * @param {string} hostname
+   * @returns {string} "" when the host can't be turned into an explicit domain entry
+   */
+  function suggestEntryForHost(hostname) {
+    const host = normalizeEntry(hostname).replace(/^www\./, "");
+    return DOMAIN_REGEX.test(host) ? host : "";
+  }
+
+  return {
+    KNOWN_TLDS,
+    normalizeEntry,
+    parseWhitelistEntry,
+    validateWhitelistEntry,
+    isHostAllowed,
+    isHostWideAllowed,
+    isUrlAllowed,
+    expandEntryToDomains,
+    expandExclusionsToDomains,
+    expandWhitelistToDomains,
+    entryToMatchPatterns,
+    whitelistToMatchPatterns,
+    extraMatchPatterns,
+    filterGrantedPatterns,
+    suggestEntryForHost,
+  };
+});